@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
 const authService = require('../services/authService');
 const { User } = require('../models');
 const { logger } = require('../config/database');
@@ -137,7 +139,7 @@ const validateUserOwnership = (resourceUserIdField = 'userId') => {
 };
 
 /**
- * Middleware to check admin permissions (future use)
+ * Middleware to check admin permissions
  */
 const requireAdmin = (req, res, next) => {
   try {
@@ -160,6 +162,64 @@ const requireAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify Pub/Sub push requests. With GMAIL_PUSH_AUDIENCE set
+ * the request must carry a Google-signed OIDC token for that audience;
+ * otherwise the ?token= query parameter must match GMAIL_PUSH_TOKEN.
+ */
+const verifyPushRequest = async (req, res, next) => {
+  const reject = () => res.status(401).json({
+    success: false,
+    message: 'Invalid push credentials',
+    error: 'INVALID_PUSH_TOKEN'
+  });
+
+  try {
+    const audience = process.env.GMAIL_PUSH_AUDIENCE;
+    const sharedToken = process.env.GMAIL_PUSH_TOKEN;
+
+    if (audience) {
+      const authHeader = req.headers['authorization'];
+      const idToken = authHeader && authHeader.split(' ')[1];
+
+      if (!idToken) {
+        return reject();
+      }
+
+      const ticket = await new google.auth.OAuth2().verifyIdToken({ idToken, audience });
+      const payload = ticket.getPayload();
+      const serviceAccount = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+
+      if (!payload.email_verified || (serviceAccount && payload.email !== serviceAccount)) {
+        return reject();
+      }
+
+      return next();
+    }
+
+    if (sharedToken) {
+      const provided = Buffer.from(String(req.query.token || ''));
+      const expected = Buffer.from(sharedToken);
+
+      if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return reject();
+      }
+
+      return next();
+    }
+
+    logger.error('Gmail push request received but neither GMAIL_PUSH_AUDIENCE nor GMAIL_PUSH_TOKEN is set');
+    return res.status(503).json({
+      success: false,
+      message: 'Push notifications are not configured',
+      error: 'PUSH_NOT_CONFIGURED'
+    });
+  } catch (error) {
+    logger.warn('Push request verification failed:', error.message);
+    return reject();
+  }
+};
+
 /**
  * Middleware to log authentication events
  */
@@ -204,5 +264,6 @@ module.exports = {
   optionalAuth,
   validateUserOwnership,
   requireAdmin,
+  verifyPushRequest,
   logAuthEvents
 };
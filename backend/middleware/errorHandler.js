@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const { logger } = require('../config/database');
+const gmailService = require('../services/gmailService');
 
 /**
  * Global error handler middleware
@@ -125,6 +126,57 @@ const asyncHandler = (fn) => {
   };
 };
 
+/**
+ * Send an error response for a failed Gmail operation
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the Gmail service
+ * @param {Object} fallback - { message, error } used for unrecognized errors
+ */
+const sendGmailError = (res, error, fallback) => {
+  switch (gmailService.getErrorCode(error)) {
+    // Handle authentication errors specifically
+    case 'AUTHENTICATION_REQUIRED':
+      return res.status(401).json({
+        success: false,
+        message: 'Gmail authentication expired. Please re-authenticate.',
+        error: 'AUTHENTICATION_REQUIRED',
+        requiresAuth: true
+      });
+
+    // Handle API rate limiting
+    case 'RATE_LIMIT_EXCEEDED':
+      return res.status(429).json({
+        success: false,
+        message: 'Gmail API rate limit exceeded. Please try again later.',
+        error: 'RATE_LIMIT_EXCEEDED'
+      });
+
+    // Full mailbox access is granted separately, through GET /auth/google/full-access
+    case 'FULL_ACCESS_REQUIRED':
+      return res.status(403).json({
+        success: false,
+        message: 'Permanent delete needs full access to your Gmail. Grant it and try again.',
+        error: 'FULL_ACCESS_REQUIRED',
+        requiresFullAccess: true
+      });
+
+    // Handle permission errors
+    case 'ACCESS_FORBIDDEN':
+      return res.status(403).json({
+        success: false,
+        message: 'Gmail API access forbidden. Check OAuth permissions.',
+        error: 'ACCESS_FORBIDDEN'
+      });
+
+    default:
+      return res.status(500).json({
+        success: false,
+        ...fallback,
+        details: error.message
+      });
+  }
+};
+
 /**
  * Rate limiting configurations
  */
@@ -221,6 +273,7 @@ module.exports = {
   errorHandler,
   notFoundHandler,
   asyncHandler,
+  sendGmailError,
   createRateLimit,
   authRateLimit,
   emailRateLimit,
@@ -72,6 +72,16 @@ const validateEmailQuery = [
     .optional()
     .isBoolean()
     .withMessage('hasAttachment must be a boolean'),
+
+  query('label')
+    .optional()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Label must be between 1 and 500 characters'),
+
+  query('snoozed')
+    .optional()
+    .isBoolean()
+    .withMessage('snoozed must be a boolean'),
   
   handleValidationErrors
 ];
@@ -87,6 +97,21 @@ const validateEmailId = [
   handleValidationErrors
 ];
 
+/**
+ * Email and attachment ID parameter validation
+ */
+const validateAttachmentId = [
+  param('emailId')
+    .isInt({ min: 1 })
+    .withMessage('Email ID must be a positive integer'),
+
+  param('attachmentId')
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a positive integer'),
+
+  handleValidationErrors
+];
+
 /**
  * User ID parameter validation
  */
@@ -111,6 +136,16 @@ const validateEmailUpdate = [
     .optional()
     .isBoolean()
     .withMessage('isStarred must be a boolean'),
+
+  body(['addLabels', 'removeLabels'])
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('addLabels and removeLabels must be arrays of 1 to 100 label IDs or names'),
+
+  body(['addLabels.*', 'removeLabels.*'])
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Labels must be label IDs or names'),
   
   handleValidationErrors
 ];
@@ -119,10 +154,15 @@ const validateEmailUpdate = [
  * Gmail sync validation
  */
 const validateGmailSync = [
+  body('mode')
+    .optional()
+    .isIn(['full', 'incremental'])
+    .withMessage('Mode must be one of: full, incremental'),
+  
   body('maxResults')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('maxResults must be between 1 and 100'),
+    .isInt({ min: 1, max: 500 })
+    .withMessage('maxResults must be between 1 and 500'),
   
   body('pageToken')
     .optional()
@@ -140,6 +180,370 @@ const validateGmailSync = [
   handleValidationErrors
 ];
 
+/**
+ * Backfill start validation
+ */
+const validateBackfill = [
+  body('restart')
+    .optional()
+    .isBoolean()
+    .withMessage('restart must be a boolean'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Mailbox export request validation (filters match GET /emails)
+ */
+const validateExport = [
+  body('format')
+    .isIn(['mbox', 'jsonl'])
+    .withMessage('Format must be mbox or jsonl'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  body('filters.search')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search term must be between 1 and 200 characters')
+    .trim()
+    .escape(),
+
+  body('filters.sender')
+    .optional()
+    .isEmail()
+    .withMessage('Sender must be a valid email address')
+    .normalizeEmail(),
+
+  body('filters.subject')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters')
+    .trim()
+    .escape(),
+
+  body('filters.dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Date from must be a valid ISO 8601 date'),
+
+  body('filters.dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Date to must be a valid ISO 8601 date'),
+
+  body('filters.isUnread')
+    .optional()
+    .isBoolean()
+    .withMessage('isUnread must be a boolean'),
+
+  body('filters.hasAttachment')
+    .optional()
+    .isBoolean()
+    .withMessage('hasAttachment must be a boolean'),
+
+  handleValidationErrors
+];
+
+/**
+ * Export job ID parameter validation
+ */
+const validateExportId = [
+  param('exportId')
+    .isInt({ min: 1 })
+    .withMessage('Export ID must be a positive integer'),
+
+  handleValidationErrors
+];
+
+/**
+ * Label list query validation
+ */
+const validateLabelQuery = [
+  query('refresh')
+    .optional()
+    .isBoolean()
+    .withMessage('refresh must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Optional label fields shared by label creation and updates
+const labelAppearanceRules = [
+  body(['textColor', 'backgroundColor'])
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Colors must be hex colors like #16a766'),
+
+  body('labelListVisibility')
+    .optional()
+    .isIn(['labelShow', 'labelShowIfUnread', 'labelHide'])
+    .withMessage('labelListVisibility must be one of: labelShow, labelShowIfUnread, labelHide'),
+
+  body('messageListVisibility')
+    .optional()
+    .isIn(['show', 'hide'])
+    .withMessage('messageListVisibility must be one of: show, hide')
+];
+
+/**
+ * Label creation validation
+ */
+const validateLabel = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 225 })
+    .withMessage('Name must be between 1 and 225 characters'),
+
+  ...labelAppearanceRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Label update validation
+ */
+const validateLabelUpdate = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 225 })
+    .withMessage('Name must be between 1 and 225 characters'),
+
+  ...labelAppearanceRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Label ID parameter validation
+ */
+const validateLabelId = [
+  param('labelId')
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Label ID must be between 1 and 255 characters'),
+
+  handleValidationErrors
+];
+
+// "Name <address>" or a bare address, on one line
+const isAddress = (value) => {
+  if (typeof value !== 'string' || /[\r\n]/.test(value)) return false;
+
+  const match = value.match(/<([^<>]+)>\s*$/);
+  return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test((match ? match[1] : value).trim());
+};
+
+// Fields of a message composed in the app
+const messageRules = [
+  body(['to', 'cc', 'bcc'])
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Recipients must be an array of at most 100 addresses'),
+
+  body(['to.*', 'cc.*', 'bcc.*'])
+    .custom(isAddress)
+    .withMessage('Recipients must be email addresses, optionally as "Name <address>"'),
+
+  body('subject')
+    .optional()
+    .isString()
+    .isLength({ max: 998 })
+    .withMessage('Subject must be at most 998 characters'),
+
+  body(['text', 'html'])
+    .optional()
+    .isString()
+    .withMessage('Text and HTML bodies must be strings'),
+
+  body('attachments')
+    .optional()
+    .isArray({ max: 25 })
+    .withMessage('Attachments must be an array of at most 25 files'),
+
+  body('attachments.*.filename')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Attachment filenames must be between 1 and 255 characters'),
+
+  body('attachments.*.mimeType')
+    .optional()
+    .matches(/^[\w.+-]+\/[\w.+-]+$/)
+    .withMessage('Attachment MIME types must look like type/subtype'),
+
+  body('attachments.*.content')
+    .isBase64()
+    .withMessage('Attachment content must be base64-encoded')
+];
+
+const recipientRequired = body('to')
+  .custom((to, { req }) => ['to', 'cc', 'bcc'].some(field => (req.body[field] || []).length > 0))
+  .withMessage('At least one recipient is required');
+
+/**
+ * Validation for sending a new message (at least one recipient)
+ */
+const validateSendEmail = [
+  ...messageRules,
+  recipientRequired,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation for scheduling a message: as for sending, plus a future sendAt
+ * and optionally the draft it was written in
+ */
+const validateScheduledMessage = [
+  ...messageRules,
+  recipientRequired,
+
+  body('sendAt')
+    .isISO8601()
+    .withMessage('sendAt must be an ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('sendAt must be in the future'),
+
+  body('draftId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Draft ID must be a positive integer'),
+
+  handleValidationErrors
+];
+
+/**
+ * Scheduled message ID parameter validation
+ */
+const validateScheduledId = [
+  param('scheduledId')
+    .isInt({ min: 1 })
+    .withMessage('Scheduled message ID must be a positive integer'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation for replies (recipients come from the original; any given are added)
+ */
+const validateReplyEmail = [
+  ...messageRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Draft content validation (a draft may have no recipients yet)
+ */
+const validateDraft = [
+  ...messageRules,
+
+  handleValidationErrors
+];
+
+/**
+ * Draft ID parameter validation
+ */
+const validateDraftId = [
+  param('draftId')
+    .isInt({ min: 1 })
+    .withMessage('Draft ID must be a positive integer'),
+
+  handleValidationErrors
+];
+
+/**
+ * Draft conflict resolution validation
+ */
+const validateDraftResolve = [
+  body('keep')
+    .isIn(['local', 'remote'])
+    .withMessage('keep must be one of: local, remote'),
+
+  handleValidationErrors
+];
+
+/**
+ * Snooze validation
+ */
+const validateSnooze = [
+  body('until')
+    .isISO8601()
+    .withMessage('until must be an ISO 8601 date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('until must be in the future'),
+
+  body('removeFromInbox')
+    .optional()
+    .isBoolean()
+    .withMessage('removeFromInbox must be a boolean'),
+
+  handleValidationErrors
+];
+
+/**
+ * Thread ID parameter validation (Gmail thread IDs, or import:<hash> for imported mail)
+ */
+const validateThreadId = [
+  param('threadId')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Thread ID must be between 1 and 255 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Sync history query validation
+ */
+const validateSyncHistory = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  query('mode')
+    .optional()
+    .isIn(['manual', 'incremental', 'backfill'])
+    .withMessage('Mode must be one of: manual, incremental, backfill'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Pub/Sub push message validation
+ */
+const validatePubSubPush = [
+  body('message')
+    .isObject()
+    .withMessage('message must be an object'),
+  
+  body('message.data')
+    .isBase64()
+    .withMessage('message.data must be base64 encoded'),
+  
+  body('message.messageId')
+    .optional()
+    .isString()
+    .withMessage('message.messageId must be a string'),
+  
+  handleValidationErrors
+];
+
 /**
  * Search validation
  */
@@ -265,9 +669,28 @@ module.exports = {
   handleValidationErrors,
   validateEmailQuery,
   validateEmailId,
+  validateAttachmentId,
   validateUserId,
   validateEmailUpdate,
   validateGmailSync,
+  validateBackfill,
+  validateExport,
+  validateExportId,
+  validateThreadId,
+  validateLabelQuery,
+  validateLabel,
+  validateLabelUpdate,
+  validateLabelId,
+  validateSendEmail,
+  validateReplyEmail,
+  validateDraft,
+  validateDraftId,
+  validateDraftResolve,
+  validateScheduledMessage,
+  validateScheduledId,
+  validateSnooze,
+  validateSyncHistory,
+  validatePubSubPush,
   validateSearch,
   validateOAuthCallback,
   validatePagination,
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const EmailMetadata = require('./EmailMetadata');
+
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  emailId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: EmailMetadata,
+      key: 'id'
+    }
+  },
+  partId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  filename: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    defaultValue: ''
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'application/octet-stream'
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Gmail's attachment IDs are long and not stable between fetches; partId is
+  // used to look the part up again when a stored ID stops working
+  gmailAttachmentId: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  contentId: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  isInline: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'attachments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['emailId']
+    }
+  ]
+});
+
+// Define associations
+EmailMetadata.hasMany(Attachment, {
+  foreignKey: 'emailId',
+  as: 'attachments',
+  onDelete: 'CASCADE'
+});
+
+Attachment.belongsTo(EmailMetadata, {
+  foreignKey: 'emailId',
+  as: 'email'
+});
+
+module.exports = Attachment;
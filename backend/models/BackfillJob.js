@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const BackfillJob = sequelize.define('BackfillJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'failed'),
+    defaultValue: 'running'
+  },
+  pageToken: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  pagesDone: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  messagesIndexed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  estimatedTotal: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'backfill_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Define associations
+User.hasOne(BackfillJob, {
+  foreignKey: 'userId',
+  as: 'backfillJob',
+  onDelete: 'CASCADE'
+});
+
+BackfillJob.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Instance methods
+BackfillJob.prototype.getProgress = function() {
+  const elapsedSeconds = (Date.now() - new Date(this.startedAt).getTime()) / 1000;
+  const rate = elapsedSeconds > 0 ? this.messagesIndexed / elapsedSeconds : 0;
+
+  let etaSeconds = null;
+  if (this.status === 'completed') {
+    etaSeconds = 0;
+  } else if (this.estimatedTotal && rate > 0) {
+    etaSeconds = Math.max(0, Math.round((this.estimatedTotal - this.messagesIndexed) / rate));
+  }
+
+  return {
+    status: this.status,
+    pagesDone: this.pagesDone,
+    messagesIndexed: this.messagesIndexed,
+    estimatedTotal: this.estimatedTotal,
+    percentComplete: this.estimatedTotal
+      ? Math.min(100, Math.round((this.messagesIndexed / this.estimatedTotal) * 100))
+      : null,
+    etaSeconds,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    lastError: this.lastError
+  };
+};
+
+module.exports = BackfillJob;
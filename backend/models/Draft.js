@@ -0,0 +1,141 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const Draft = sequelize.define('Draft', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  // Set once the draft exists in Gmail
+  gmailDraftId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // ID of the remote draft's message when the two copies last matched;
+  // Gmail gives a draft a new message on every update
+  gmailMessageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  threadId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  to: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  cc: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  bcc: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  subject: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  text: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  html: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  // [{ filename, mimeType, content (base64) }]
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Threading headers of drafted replies
+  inReplyTo: {
+    type: DataTypes.STRING(998),
+    allowNull: true
+  },
+  references: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // pending: local changes not yet in Gmail; deleting: deleted here, not yet in Gmail;
+  // conflict: changed in Gmail and here since they last matched
+  syncStatus: {
+    type: DataTypes.ENUM('pending', 'synced', 'conflict', 'deleting'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set while a push is in progress, so the worker and a save don't push at once
+  claimedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'drafts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'updatedAt']
+    },
+    {
+      fields: ['userId', 'gmailDraftId']
+    },
+    {
+      fields: ['syncStatus', 'nextAttemptAt']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(Draft, {
+  foreignKey: 'userId',
+  as: 'drafts',
+  onDelete: 'CASCADE'
+});
+
+Draft.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Class methods
+Draft.findDue = function(limit = 50) {
+  const { Op } = require('sequelize');
+
+  return this.findAll({
+    where: {
+      syncStatus: ['pending', 'deleting'],
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    order: [['id', 'ASC']],
+    limit
+  });
+};
+
+module.exports = Draft;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const EmailMetadata = require('./EmailMetadata');
+
+const EmailBody = sequelize.define('EmailBody', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  emailId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: EmailMetadata,
+      key: 'id'
+    }
+  },
+  textBody: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  htmlBody: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  fetchedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'email_bodies',
+  timestamps: true
+});
+
+// Define associations
+EmailMetadata.hasOne(EmailBody, {
+  foreignKey: 'emailId',
+  as: 'body',
+  onDelete: 'CASCADE'
+});
+
+EmailBody.belongsTo(EmailMetadata, {
+  foreignKey: 'emailId',
+  as: 'email'
+});
+
+module.exports = EmailBody;
@@ -2,6 +2,12 @@ const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const User = require('./User');
 
+// Compare field values; label arrays are compared regardless of order
+const sameValue = (a, b) => {
+  const normalize = (value) => Array.isArray(value) ? [...value].sort() : value;
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
 const EmailMetadata = sequelize.define('EmailMetadata', {
   id: {
     type: DataTypes.INTEGER,
@@ -101,6 +107,44 @@ const EmailMetadata = sequelize.define('EmailMetadata', {
     validate: {
       len: [0, 255]
     }
+  },
+  // 'import' rows come from mbox/.eml archives and have no Gmail counterpart
+  source: {
+    type: DataTypes.ENUM('gmail', 'import'),
+    allowNull: false,
+    defaultValue: 'gmail'
+  },
+  isDeleted: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  localChanges: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  // Hidden from the inbox listing until then
+  snoozedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Whether snoozing took the message out of the Gmail inbox, to be put back on waking
+  snoozeRemovedInbox: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // When the message last woke from snooze; it sorts as if it arrived then
+  unsnoozedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'email_metadata',
@@ -133,6 +177,15 @@ const EmailMetadata = sequelize.define('EmailMetadata', {
     },
     {
       fields: ['priority']
+    },
+    {
+      fields: ['userId', 'gmailMessageId']
+    },
+    {
+      fields: ['isDeleted']
+    },
+    {
+      fields: ['snoozedUntil']
     }
   ]
 });
@@ -160,7 +213,103 @@ EmailMetadata.prototype.toggleStar = function() {
   return this.save();
 };
 
+/**
+ * Apply a user's edit and remember it as a pending local change.
+ * localChanges maps each edited field to { base, changedAt }, where base is
+ * the Gmail value the edit was made against.
+ */
+EmailMetadata.prototype.applyLocalEdit = function(changes) {
+  const pending = { ...(this.localChanges || {}) };
+  const changedAt = new Date().toISOString();
+
+  Object.entries(changes).forEach(([field, value]) => {
+    const base = pending[field] ? pending[field].base : this[field];
+
+    // Editing back to the Gmail value cancels the pending change
+    if (sameValue(value, base)) {
+      delete pending[field];
+    } else {
+      pending[field] = { base, changedAt };
+    }
+  });
+
+  return this.update({
+    ...changes,
+    localChanges: pending
+  });
+};
+
+/**
+ * Record that Gmail now holds a value we pushed to it. The pending edit is
+ * dropped if the row still has that value; if the user edited the field again
+ * meanwhile, the pushed value becomes the new base of that edit.
+ */
+EmailMetadata.prototype.settleLocalChanges = function(pushed) {
+  const pending = { ...(this.localChanges || {}) };
+  const changedAt = new Date().toISOString();
+
+  Object.entries(pushed).forEach(([field, value]) => {
+    if (sameValue(this[field], value)) {
+      delete pending[field];
+    } else {
+      pending[field] = { base: value, changedAt };
+    }
+  });
+
+  return this.update({ localChanges: pending });
+};
+
+/**
+ * Merge Gmail's current values into this row. Conflict rule:
+ * - fields without a pending local edit take the Gmail value;
+ * - a pending local edit is kept while Gmail still reports its base value;
+ * - once Gmail reports the edited value the edit is settled;
+ * - if Gmail changed the field since the edit was made, Gmail wins.
+ * @param {Object} remote - Gmail-derived field values
+ * @returns {Object} Fields to update (empty when nothing changed)
+ */
+EmailMetadata.prototype.mergeRemote = function(remote) {
+  const pending = { ...(this.localChanges || {}) };
+  const updateData = {};
+  let pendingChanged = false;
+
+  Object.entries(remote).forEach(([field, value]) => {
+    const edit = pending[field];
+
+    if (!edit) {
+      if (!sameValue(value, this[field])) updateData[field] = value;
+      return;
+    }
+
+    if (sameValue(value, this[field])) {
+      delete pending[field];
+      pendingChanged = true;
+    } else if (!sameValue(value, edit.base)) {
+      updateData[field] = value;
+      delete pending[field];
+      pendingChanged = true;
+    }
+  });
+
+  if (pendingChanged) {
+    updateData.localChanges = pending;
+  }
+
+  return updateData;
+};
+
 // Class methods
+
+// Label IDs after adding and removing some ({ add, remove } as sent to Gmail)
+EmailMetadata.changeLabels = function(labels, { add = [], remove = [] }) {
+  return [...new Set([...(labels || []), ...add])].filter(labelId => !remove.includes(labelId));
+};
+
+// Condition matching rows whose labels include a Gmail label ID
+EmailMetadata.hasLabel = function(labelId) {
+  return sequelize.where(sequelize.fn('JSON_CONTAINS', sequelize.col('labels'), JSON.stringify(labelId)), 1);
+};
+
 EmailMetadata.findByUser = function(userId, options = {}) {
   const {
     limit = 20,
@@ -172,6 +321,7 @@ EmailMetadata.findByUser = function(userId, options = {}) {
   return this.findAndCountAll({
     where: {
       userId,
+      isDeleted: false,
       ...where
     },
     limit,
@@ -196,6 +346,7 @@ EmailMetadata.searchEmails = function(userId, searchTerm, options = {}) {
   return this.findAndCountAll({
     where: {
       userId,
+      isDeleted: false,
       [Op.or]: [
         { subject: { [Op.like]: `%${searchTerm}%` } },
         { sender: { [Op.like]: `%${searchTerm}%` } },
@@ -214,13 +365,120 @@ EmailMetadata.searchEmails = function(userId, searchTerm, options = {}) {
   });
 };
 
+// Where clause for the GET /api/emails filters; also used by exports
+EmailMetadata.buildListFilter = function(userId, filters = {}) {
+  const { Op } = require('sequelize');
+  const {
+    search = '',
+    sender = '',
+    subject = '',
+    dateFrom = '',
+    dateTo = '',
+    isUnread = null,
+    hasAttachment = null,
+    labelId = '',
+    snoozed = null
+  } = filters;
+
+  const where = {
+    userId,
+    isDeleted: false
+  };
+
+  if (search) {
+    where[Op.or] = [
+      { subject: { [Op.like]: `%${search}%` } },
+      { sender: { [Op.like]: `%${search}%` } },
+      { senderName: { [Op.like]: `%${search}%` } },
+      { snippet: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  if (sender) {
+    where.sender = { [Op.like]: `%${sender}%` };
+  }
+
+  if (subject) {
+    where.subject = { [Op.like]: `%${subject}%` };
+  }
+
+  if (dateFrom) {
+    where.receivedDate = {
+      ...(where.receivedDate || {}),
+      [Op.gte]: new Date(dateFrom)
+    };
+  }
+
+  if (dateTo) {
+    where.receivedDate = {
+      ...(where.receivedDate || {}),
+      [Op.lte]: new Date(dateTo)
+    };
+  }
+
+  // Query strings arrive as 'true'/'false', JSON bodies as booleans
+  if (isUnread !== null && isUnread !== undefined) {
+    where.isRead = String(isUnread) !== 'true';
+  }
+
+  if (hasAttachment !== null && hasAttachment !== undefined) {
+    where.hasAttachments = String(hasAttachment) === 'true';
+  }
+
+  if (labelId) {
+    where[Op.and] = [EmailMetadata.hasLabel(labelId)];
+  }
+
+  if (snoozed !== null && snoozed !== undefined) {
+    where.snoozedUntil = String(snoozed) === 'true' ? { [Op.ne]: null } : null;
+  }
+
+  return where;
+};
+
 EmailMetadata.getUnreadCount = function(userId) {
   return this.count({
     where: {
       userId,
+      isDeleted: false,
       isRead: false
     }
   });
 };
 
+// Mark messages that are gone from Gmail (or have left the synced labels) as deleted
+EmailMetadata.tombstone = async function(userId, gmailMessageIds) {
+  if (gmailMessageIds.length === 0) return 0;
+
+  const [count] = await this.update({
+    isDeleted: true,
+    deletedAt: new Date()
+  }, {
+    where: {
+      userId,
+      gmailMessageId: gmailMessageIds,
+      isDeleted: false
+    }
+  });
+
+  return count;
+};
+
+// Date messages sort by in the inbox: when they arrived, or woke from snooze
+EmailMetadata.inboxDate = function() {
+  return sequelize.fn('COALESCE', sequelize.col('unsnoozedAt'), sequelize.col('receivedDate'));
+};
+
+EmailMetadata.findSnoozeDue = function(limit = 200) {
+  const { Op } = require('sequelize');
+
+  return this.findAll({
+    where: {
+      snoozedUntil: { [Op.lte]: new Date() }
+    },
+    order: [['snoozedUntil', 'ASC']],
+    limit
+  });
+};
+
 module.exports = EmailMetadata;
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const ExportJob = sequelize.define('ExportJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  format: {
+    type: DataTypes.ENUM('mbox', 'jsonl'),
+    allowNull: false
+  },
+  // Same filters as GET /api/emails (search, sender, subject, dateFrom, dateTo, isUnread, hasAttachment)
+  filters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'expired'),
+    defaultValue: 'pending'
+  },
+  totalMessages: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  exportedMessages: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  failedMessages: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  filePath: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  fileSize: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'export_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status', 'expiresAt']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(ExportJob, {
+  foreignKey: 'userId',
+  as: 'exportJobs',
+  onDelete: 'CASCADE'
+});
+
+ExportJob.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Instance methods
+ExportJob.prototype.getProgress = function() {
+  return {
+    id: this.id,
+    format: this.format,
+    filters: this.filters,
+    status: this.status,
+    totalMessages: this.totalMessages,
+    exportedMessages: this.exportedMessages,
+    failedMessages: this.failedMessages,
+    percentComplete: this.totalMessages
+      ? Math.min(100, Math.round(((this.exportedMessages + this.failedMessages) / this.totalMessages) * 100))
+      : null,
+    fileSize: this.fileSize !== null ? Number(this.fileSize) : null,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    lastError: this.lastError
+  };
+};
+
+module.exports = ExportJob;
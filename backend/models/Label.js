@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// A user's Gmail labels, mirrored from users.labels.list (see labelService)
+const Label = sequelize.define('Label', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  // Gmail label ID, e.g. INBOX or Label_123 (the values stored in EmailMetadata.labels)
+  labelId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  name: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('system', 'user'),
+    allowNull: false,
+    defaultValue: 'user'
+  },
+  // Hex colors set in Gmail; null when the label has no color
+  textColor: {
+    type: DataTypes.STRING(7),
+    allowNull: true
+  },
+  backgroundColor: {
+    type: DataTypes.STRING(7),
+    allowNull: true
+  },
+  // labelShow, labelShowIfUnread or labelHide
+  labelListVisibility: {
+    type: DataTypes.STRING(32),
+    allowNull: true
+  },
+  messagesTotal: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  messagesUnread: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  threadsTotal: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  threadsUnread: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'labels',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'labelId']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(Label, {
+  foreignKey: 'userId',
+  as: 'gmailLabels',
+  onDelete: 'CASCADE'
+});
+
+Label.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+module.exports = Label;
@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const ScheduledMessage = sequelize.define('ScheduledMessage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  // Message-ID header, fixed when scheduled so a retry can tell whether an
+  // earlier attempt already reached Gmail
+  messageId: {
+    type: DataTypes.STRING(998),
+    allowNull: false
+  },
+  // Thread of a drafted reply
+  threadId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  to: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  cc: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  bcc: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  subject: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  text: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  html: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  // [{ filename, mimeType, content (base64) }]
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  inReplyTo: {
+    type: DataTypes.STRING(998),
+    allowNull: true
+  },
+  references: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sendAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Rows are removed once sent
+  status: {
+    type: DataTypes.ENUM('scheduled', 'sending', 'failed'),
+    defaultValue: 'scheduled'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // sendAt, then the time of the next retry
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduled_messages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'sendAt']
+    },
+    {
+      fields: ['status', 'nextAttemptAt']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(ScheduledMessage, {
+  foreignKey: 'userId',
+  as: 'scheduledMessages',
+  onDelete: 'CASCADE'
+});
+
+ScheduledMessage.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Class methods
+ScheduledMessage.findDue = function(limit = 50) {
+  const { Op } = require('sequelize');
+
+  return this.findAll({
+    where: {
+      status: 'scheduled',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    order: [['nextAttemptAt', 'ASC']],
+    limit
+  });
+};
+
+module.exports = ScheduledMessage;
@@ -0,0 +1,147 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const SyncRun = sequelize.define('SyncRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  mode: {
+    type: DataTypes.ENUM('manual', 'incremental', 'backfill'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'succeeded', 'failed', 'interrupted'),
+    defaultValue: 'running'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  addedCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  updatedCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  deletedCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  errorCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  historyId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'sync_runs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'startedAt']
+    },
+    {
+      fields: ['mode']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(SyncRun, {
+  foreignKey: 'userId',
+  as: 'syncRuns',
+  onDelete: 'CASCADE'
+});
+
+SyncRun.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Instance methods
+SyncRun.prototype.addCounts = function(counts = {}) {
+  this.addedCount += counts.added || 0;
+  this.updatedCount += counts.updated || 0;
+  this.deletedCount += counts.deleted || 0;
+  return this.save();
+};
+
+SyncRun.prototype.succeed = function(counts = {}, historyId = null) {
+  this.status = 'succeeded';
+  this.finishedAt = new Date();
+  this.historyId = historyId;
+  return this.addCounts(counts);
+};
+
+SyncRun.prototype.fail = function(errorCode, errorMessage, historyId = null) {
+  this.status = 'failed';
+  this.finishedAt = new Date();
+  this.errorCode = errorCode;
+  this.errorMessage = errorMessage;
+  this.historyId = historyId;
+  return this.save();
+};
+
+SyncRun.prototype.interrupt = function(historyId = null, errorCode = null, errorMessage = null) {
+  this.status = 'interrupted';
+  this.finishedAt = new Date();
+  this.historyId = historyId;
+  this.errorCode = errorCode;
+  this.errorMessage = errorMessage;
+  return this.save();
+};
+
+// Class methods
+SyncRun.begin = function(userId, mode) {
+  return this.create({
+    userId,
+    mode,
+    startedAt: new Date()
+  });
+};
+
+SyncRun.findByUser = function(userId, options = {}) {
+  const {
+    limit = 20,
+    offset = 0,
+    where = {}
+  } = options;
+
+  return this.findAndCountAll({
+    where: {
+      userId,
+      ...where
+    },
+    limit,
+    offset,
+    order: [['startedAt', 'DESC']]
+  });
+};
+
+module.exports = SyncRun;
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// Per-conversation aggregates over a user's (non-deleted) EmailMetadata rows,
+// maintained by threadService whenever sync, imports or local edits touch a thread
+const Thread = sequelize.define('Thread', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  threadId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 255]
+    }
+  },
+  subject: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  snippet: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // [{ email, name }] in order of first message
+  participants: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  messageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  unreadCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  isStarred: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  hasAttachments: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  labels: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  latestDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'threads',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'threadId']
+    },
+    {
+      fields: ['userId', 'latestDate']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(Thread, {
+  foreignKey: 'userId',
+  as: 'threads',
+  onDelete: 'CASCADE'
+});
+
+Thread.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+module.exports = Thread;
@@ -51,6 +51,23 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // OAuth scopes the user has granted, space separated
+  grantedScopes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  historyId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  watchExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   lastLoginAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -58,6 +75,10 @@ const User = sequelize.define('User', {
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  role: {
+    type: DataTypes.ENUM('user', 'admin'),
+    defaultValue: 'user'
   }
 }, {
   tableName: 'users',
@@ -104,4 +125,15 @@ User.findByEmail = function(email) {
   });
 };
 
+User.findSyncable = function() {
+  const { Op } = require('sequelize');
+
+  return this.findAll({
+    where: {
+      isActive: true,
+      refreshToken: { [Op.ne]: null }
+    }
+  });
+};
+
 module.exports = User;
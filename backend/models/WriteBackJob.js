@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const WriteBackJob = sequelize.define('WriteBackJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM('modify'),
+    defaultValue: 'modify'
+  },
+  gmailMessageIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  addLabelIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  removeLabelIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'done', 'failed'),
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'write_back_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'nextAttemptAt']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// Define associations
+User.hasMany(WriteBackJob, {
+  foreignKey: 'userId',
+  as: 'writeBackJobs',
+  onDelete: 'CASCADE'
+});
+
+WriteBackJob.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Class methods
+WriteBackJob.findDue = function(limit = 50) {
+  const { Op } = require('sequelize');
+
+  return this.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    order: [['id', 'ASC']],
+    limit
+  });
+};
+
+module.exports = WriteBackJob;
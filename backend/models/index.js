@@ -1,7 +1,27 @@
 const User = require('./User');
 const EmailMetadata = require('./EmailMetadata');
+const BackfillJob = require('./BackfillJob');
+const SyncRun = require('./SyncRun');
+const WriteBackJob = require('./WriteBackJob');
+const EmailBody = require('./EmailBody');
+const Attachment = require('./Attachment');
+const ExportJob = require('./ExportJob');
+const Thread = require('./Thread');
+const Label = require('./Label');
+const Draft = require('./Draft');
+const ScheduledMessage = require('./ScheduledMessage');
 
 module.exports = {
   User,
-  EmailMetadata
+  EmailMetadata,
+  BackfillJob,
+  SyncRun,
+  WriteBackJob,
+  EmailBody,
+  Attachment,
+  ExportJob,
+  Thread,
+  Label,
+  Draft,
+  ScheduledMessage
 };
@@ -0,0 +1,37 @@
+const express = require('express');
+const syncScheduler = require('../services/syncScheduler');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @route GET /admin/sync/scheduler
+ * @desc Get background sync scheduler status: configuration, next run, last cycle and recent failures
+ * @access Admin
+ */
+router.get('/sync/scheduler',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        message: 'Sync scheduler status retrieved successfully',
+        data: {
+          scheduler: syncScheduler.getStatus()
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching sync scheduler status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync scheduler status',
+        error: 'SCHEDULER_STATUS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
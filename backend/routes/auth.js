@@ -67,6 +67,32 @@ router.get('/google', authRateLimit, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @route GET /auth/google/full-access
+ * @desc Get a Google OAuth2 URL that adds full mailbox access (needed for permanent delete) to the
+ *       scopes already granted; it returns through /auth/callback like sign-in
+ * @access Private
+ */
+router.get('/google/full-access', authRateLimit, authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Authorization URL generated successfully',
+      data: {
+        authUrl: authService.getFullAccessUrl(req.user),
+        granted: authService.hasFullAccess(req.user)
+      }
+    });
+  } catch (error) {
+    logger.error('Error generating full access URL:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate authorization URL',
+      error: 'AUTH_URL_GENERATION_FAILED'
+    });
+  }
+}));
+
 /**
  * @swagger
  * /api/auth/callback:
@@ -226,7 +252,7 @@ router.get('/me',
   asyncHandler(async (req, res) => {
     try {
       const user = await User.findByPk(req.userId, {
-        attributes: ['id', 'email', 'name', 'picture', 'lastLoginAt', 'createdAt']
+        attributes: ['id', 'email', 'name', 'picture', 'lastLoginAt', 'lastSyncedAt', 'createdAt']
       });
       
       if (!user) {
@@ -0,0 +1,258 @@
+const express = require('express');
+const draftService = require('../services/draftService');
+const { asyncHandler, emailRateLimit, sendGmailError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateDraft,
+  validateDraftId,
+  validateDraftResolve,
+  validateSendEmail
+} = require('../middleware/validation');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+const draftNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Draft not found',
+  error: 'DRAFT_NOT_FOUND'
+});
+
+/**
+ * @route GET /drafts
+ * @desc List the user's drafts, latest first, after bringing in changes made in Gmail.
+ *       Stored drafts are listed when Gmail can't be reached.
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  emailRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const drafts = await draftService.list(req.user);
+
+      res.json({
+        success: true,
+        message: 'Drafts retrieved successfully',
+        data: {
+          drafts
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching drafts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch drafts',
+        error: 'DRAFTS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /drafts/:draftId
+ * @desc Get a draft with its attachment content, for editing
+ * @access Private
+ */
+router.get('/:draftId',
+  authenticateToken,
+  validateDraftId,
+  asyncHandler(async (req, res) => {
+    try {
+      const draft = await draftService.find(req.userId, req.params.draftId);
+      if (!draft) return draftNotFound(res);
+
+      res.json({
+        success: true,
+        message: 'Draft retrieved successfully',
+        data: {
+          draft: draftService.describe(draft, { content: true })
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching draft:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch draft',
+        error: 'DRAFT_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /drafts
+ * @desc Save a new draft and create it in Gmail (retried in the background when Gmail
+ *       can't be reached)
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  emailRateLimit,
+  validateDraft,
+  asyncHandler(async (req, res) => {
+    try {
+      const draft = await draftService.create(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Draft saved successfully',
+        data: {
+          draft: draftService.describe(draft)
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating draft:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save draft',
+        error: 'DRAFT_SAVE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route PUT /drafts/:draftId
+ * @desc Replace a draft's recipients, subject, bodies and attachments, and push them to Gmail
+ * @access Private
+ */
+router.put('/:draftId',
+  authenticateToken,
+  emailRateLimit,
+  validateDraftId,
+  validateDraft,
+  asyncHandler(async (req, res) => {
+    try {
+      const draft = await draftService.find(req.userId, req.params.draftId);
+      if (!draft) return draftNotFound(res);
+
+      await draftService.update(req.user, draft, req.body);
+
+      res.json({
+        success: true,
+        message: 'Draft saved successfully',
+        data: {
+          draft: draftService.describe(draft)
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating draft:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save draft',
+        error: 'DRAFT_SAVE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route DELETE /drafts/:draftId
+ * @desc Delete a draft here and in Gmail
+ * @access Private
+ */
+router.delete('/:draftId',
+  authenticateToken,
+  emailRateLimit,
+  validateDraftId,
+  asyncHandler(async (req, res) => {
+    try {
+      const draft = await draftService.find(req.userId, req.params.draftId);
+      if (!draft) return draftNotFound(res);
+
+      await draftService.remove(req.user, draft);
+
+      res.json({
+        success: true,
+        message: 'Draft deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting draft:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete draft',
+        error: 'DRAFT_DELETE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /drafts/:draftId/send
+ * @desc Send a draft with the content given (as for POST /emails/send), in the thread it
+ *       replies to, then delete it
+ * @access Private
+ */
+router.post('/:draftId/send',
+  authenticateToken,
+  emailRateLimit,
+  validateDraftId,
+  validateSendEmail,
+  asyncHandler(async (req, res) => {
+    try {
+      const draft = await draftService.find(req.userId, req.params.draftId);
+      if (!draft) return draftNotFound(res);
+
+      const email = await draftService.send(req.user, draft, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Email sent successfully',
+        data: { email }
+      });
+    } catch (error) {
+      logger.error('Error sending draft:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to send email',
+        error: 'EMAIL_SEND_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /drafts/:draftId/resolve
+ * @desc Settle a draft changed both here and in Gmail: keep 'local' overwrites Gmail's
+ *       copy, keep 'remote' replaces the local one
+ * @access Private
+ */
+router.post('/:draftId/resolve',
+  authenticateToken,
+  emailRateLimit,
+  validateDraftId,
+  validateDraftResolve,
+  asyncHandler(async (req, res) => {
+    try {
+      const draft = await draftService.find(req.userId, req.params.draftId);
+      if (!draft) return draftNotFound(res);
+
+      const resolved = await draftService.resolve(req.user, draft, req.body.keep);
+
+      res.json({
+        success: true,
+        message: resolved ? 'Draft conflict resolved' : 'Draft no longer exists in Gmail and was removed',
+        data: {
+          draft: resolved && draftService.describe(resolved)
+        }
+      });
+    } catch (error) {
+      const status = draftService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      logger.error('Error resolving draft conflict:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to resolve draft conflict',
+        error: 'DRAFT_RESOLVE_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -1,13 +1,33 @@
 const express = require('express');
+const { pipeline } = require('stream');
 const gmailService = require('../services/gmailService');
+const backfillService = require('../services/backfillService');
+const quotaManager = require('../services/quotaManager');
+const retryPolicy = require('../services/retryPolicy');
+const syncService = require('../services/syncService');
+const writeBackService = require('../services/writeBackService');
+const emailBodyService = require('../services/emailBodyService');
+const attachmentService = require('../services/attachmentService');
+const importService = require('../services/importService');
+const threadService = require('../services/threadService');
+const labelService = require('../services/labelService');
+const mailboxService = require('../services/mailboxService');
+const composeService = require('../services/composeService');
+const snoozeService = require('../services/snoozeService');
 const { EmailMetadata } = require('../models');
-const { asyncHandler, emailRateLimit } = require('../middleware/errorHandler');
+const { asyncHandler, emailRateLimit, sendGmailError } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
 const { 
   validateEmailQuery, 
   validateEmailId, 
+  validateAttachmentId,
   validateEmailUpdate,
+  validateSendEmail,
+  validateReplyEmail,
+  validateSnooze,
   validateGmailSync,
+  validateBackfill,
+  validateSyncHistory,
   validateSearch,
   validatePagination
 } = require('../middleware/validation');
@@ -15,6 +35,21 @@ const { logger } = require('../config/database');
 
 const router = express.Router();
 
+/**
+ * Download filename for a message's .eml file, built from its subject
+ * @param {Object} email - EmailMetadata record
+ * @returns {string} Filename
+ */
+const emlFilename = (email) => {
+  const subject = (email.subject || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+
+  return `${subject || 'message'}.eml`;
+};
+
 /**
  * @swagger
  * /api/emails:
@@ -78,6 +113,11 @@ const router = express.Router();
  *           type: boolean
  *         description: Filter emails with attachments
  *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         description: Filter by Gmail label, given by ID (e.g. Label_123) or name
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -142,55 +182,32 @@ router.get('/',
         dateTo = '',
         isUnread = null,
         hasAttachment = null,
+        label = '',
+        snoozed = 'false',
         sort = 'receivedDate',
         order = 'DESC'
       } = req.query;
 
       const offset = (page - 1) * limit;
-      const { Op } = require('sequelize');
-
-      // Build where conditions
-      const whereConditions = {
-        userId: req.userId
-      };
-
-      if (search) {
-        whereConditions[Op.or] = [
-          { subject: { [Op.like]: `%${search}%` } },
-          { sender: { [Op.like]: `%${search}%` } },
-          { senderName: { [Op.like]: `%${search}%` } },
-          { snippet: { [Op.like]: `%${search}%` } }
-        ];
-      }
-
-      if (sender) {
-        whereConditions.sender = { [Op.like]: `%${sender}%` };
-      }
-
-      if (subject) {
-        whereConditions.subject = { [Op.like]: `%${subject}%` };
-      }
 
-      if (dateFrom) {
-        whereConditions.receivedDate = {
-          ...(whereConditions.receivedDate || {}),
-          [Op.gte]: new Date(dateFrom)
-        };
-      }
-
-      if (dateTo) {
-        whereConditions.receivedDate = {
-          ...(whereConditions.receivedDate || {}),
-          [Op.lte]: new Date(dateTo)
-        };
-      }
-
-      if (isUnread !== null) {
-        whereConditions.isRead = isUnread === 'true' ? false : true;
-      }
+      const whereConditions = EmailMetadata.buildListFilter(req.userId, {
+        search,
+        sender,
+        subject,
+        dateFrom,
+        dateTo,
+        isUnread,
+        hasAttachment,
+        labelId: label ? await labelService.resolveLabelId(req.userId, label) : '',
+        snoozed
+      });
 
-      if (hasAttachment !== null) {
-        whereConditions.hasAttachments = hasAttachment === 'true';
+      // Snoozed messages are listed by wake time; woken ones sort as if they arrived then
+      let orderBy = [[sort, order]];
+      if (snoozed === 'true') {
+        orderBy = [['snoozedUntil', 'ASC']];
+      } else if (sort === 'receivedDate') {
+        orderBy = [[EmailMetadata.inboxDate(), order]];
       }
 
       // Execute query
@@ -198,11 +215,11 @@ router.get('/',
         where: whereConditions,
         limit: parseInt(limit),
         offset: parseInt(offset),
-        order: [[sort, order]],
+        order: orderBy,
         attributes: [
           'id', 'messageId', 'threadId', 'subject', 'sender', 'senderName',
           'snippet', 'receivedDate', 'isRead', 'isStarred', 'hasAttachments',
-          'labels', 'priority', 'size', 'createdAt'
+          'labels', 'priority', 'size', 'source', 'snoozedUntil', 'createdAt'
         ]
       });
 
@@ -281,18 +298,17 @@ router.get('/:emailId',
 );
 
 /**
- * @route PUT /emails/:emailId
- * @desc Update email status (read, starred)
+ * @route GET /emails/:emailId/body
+ * @desc Get the text/plain body and the sanitized text/html body of an email, fetched from Gmail
+ *       on demand (cached after the first fetch; ?refresh=true fetches again). Remote images are
+ *       blocked unless ?images=show.
  * @access Private
  */
-router.put('/:emailId', 
+router.get('/:emailId/body', 
   authenticateToken,
   validateEmailId,
-  validateEmailUpdate,
   asyncHandler(async (req, res) => {
     try {
-      const { isRead, isStarred } = req.body;
-      
       const email = await EmailMetadata.findOne({
         where: {
           id: req.params.emailId,
@@ -308,190 +324,170 @@ router.put('/:emailId',
         });
       }
 
-      // Update email properties
-      const updateData = {};
-      if (typeof isRead === 'boolean') {
-        updateData.isRead = isRead;
-      }
-      if (typeof isStarred === 'boolean') {
-        updateData.isStarred = isStarred;
-      }
-
-      await email.update(updateData);
+      const body = await emailBodyService.getBody(req.user, email, {
+        refresh: req.query.refresh === 'true',
+        allowExternalImages: req.query.images === 'show'
+      });
 
       res.json({
         success: true,
-        message: 'Email updated successfully',
+        message: 'Email body retrieved successfully',
         data: {
-          email
+          body
         }
       });
     } catch (error) {
-      logger.error('Error updating email:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update email',
-        error: 'EMAIL_UPDATE_FAILED'
+      logger.error('Error fetching email body:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to fetch email body',
+        error: 'EMAIL_BODY_FETCH_FAILED'
       });
     }
   })
 );
 
 /**
- * @route POST /emails/sync
- * @desc Sync emails from Gmail
+ * @route GET /emails/:emailId/raw
+ * @desc Download the original message, headers included, as an .eml file streamed from Gmail
  * @access Private
  */
-router.post('/sync', 
+router.get('/:emailId/raw', 
   authenticateToken,
-  emailRateLimit,
-  validateGmailSync,
+  validateEmailId,
   asyncHandler(async (req, res) => {
     try {
-      const {
-        maxResults = 20,
-        pageToken = null,
-        query = ''
-      } = req.body;
-
-      const result = await gmailService.fetchEmails(req.user, {
-        maxResults,
-        pageToken,
-        query
-      });      res.json({
-        success: true,
-        message: 'Emails synced successfully',
-        data: result
+      const email = await EmailMetadata.findOne({
+        where: {
+          id: req.params.emailId,
+          userId: req.userId
+        }
       });
-    } catch (error) {
-      logger.error('Error syncing emails:', error);
-      
-      // Handle authentication errors specifically
-      if (error.message.includes('re-authenticate') || 
-          error.message.includes('authentication failed') ||
-          error.message.includes('invalid_grant')) {
-        return res.status(401).json({
-          success: false,
-          message: 'Gmail authentication expired. Please re-authenticate.',
-          error: 'AUTHENTICATION_REQUIRED',
-          requiresAuth: true
-        });
-      }
-      
-      // Handle API rate limiting
-      if (error.message.includes('rate limit')) {
-        return res.status(429).json({
+
+      if (!email) {
+        return res.status(404).json({
           success: false,
-          message: 'Gmail API rate limit exceeded. Please try again later.',
-          error: 'RATE_LIMIT_EXCEEDED'
+          message: 'Email not found',
+          error: 'EMAIL_NOT_FOUND'
         });
       }
-      
-      // Handle permission errors
-      if (error.message.includes('forbidden') || error.message.includes('access forbidden')) {
-        return res.status(403).json({
+
+      if (!email.gmailMessageId) {
+        return res.status(409).json({
           success: false,
-          message: 'Gmail API access forbidden. Check OAuth permissions.',
-          error: 'ACCESS_FORBIDDEN'
+          message: 'Imported emails have no original in Gmail',
+          error: 'RAW_NOT_AVAILABLE'
         });
       }
-      
-      res.status(500).json({
-        success: false,
-        message: 'Failed to sync emails from Gmail',
-        error: 'EMAIL_SYNC_FAILED',
-        details: error.message
+
+      const content = await gmailService.getRawMessageStream(req.user, email.gmailMessageId);
+
+      res.attachment(emlFilename(email));
+      res.type('message/rfc822');
+
+      // Headers are already sent if Gmail fails mid-download; the connection is dropped
+      pipeline(content, res, (error) => {
+        if (error) {
+          logger.error(`Error streaming raw email ${email.id}:`, error);
+        }
+      });
+    } catch (error) {
+      logger.error('Error downloading raw email:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to download email',
+        error: 'EMAIL_RAW_FETCH_FAILED'
       });
     }
   })
 );
 
 /**
- * @route POST /emails/search
- * @desc Advanced email search
+ * @route GET /emails/:emailId/attachments
+ * @desc List an email's attachments and inline images, as recorded during sync
  * @access Private
  */
-router.post('/search', 
+router.get('/:emailId/attachments', 
   authenticateToken,
-  emailRateLimit,
-  validateSearch,
+  validateEmailId,
   asyncHandler(async (req, res) => {
     try {
-      const {
-        query,
-        filters = {},
-        pagination = { page: 1, limit: 20 }
-      } = req.body;
-
-      const searchOptions = {
-        query,
-        sender: filters.sender || '',
-        subject: filters.subject || '',
-        dateFrom: filters.dateFrom || '',
-        dateTo: filters.dateTo || '',
-        hasAttachment: filters.hasAttachment,
-        isUnread: filters.isUnread,
-        page: pagination.page || 1,
-        limit: pagination.limit || 20
-      };
+      const email = await EmailMetadata.findOne({
+        where: {
+          id: req.params.emailId,
+          userId: req.userId
+        }
+      });
 
-      const result = await gmailService.searchEmails(req.user, searchOptions);
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found',
+          error: 'EMAIL_NOT_FOUND'
+        });
+      }
 
-      // Calculate pagination info
-      const totalPages = Math.ceil(result.count / searchOptions.limit);
+      const attachments = await attachmentService.listForEmail(email);
 
       res.json({
         success: true,
-        message: 'Email search completed successfully',
+        message: 'Attachments retrieved successfully',
         data: {
-          emails: result.rows,
-          pagination: {
-            currentPage: searchOptions.page,
-            totalPages,
-            totalCount: result.count,
-            limit: searchOptions.limit,
-            hasNextPage: searchOptions.page < totalPages,
-            hasPrevPage: searchOptions.page > 1
-          },
-          searchQuery: query,
-          filters
+          attachments
         }
       });
     } catch (error) {
-      logger.error('Error searching emails:', error);
+      logger.error('Error fetching attachments:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to search emails',
-        error: 'EMAIL_SEARCH_FAILED'
+        message: 'Failed to fetch attachments',
+        error: 'ATTACHMENTS_FETCH_FAILED'
       });
     }
   })
 );
 
 /**
- * @route GET /emails/stats
- * @desc Get email statistics for user
+ * @route GET /emails/:emailId/attachments/:attachmentId
+ * @desc Download an attachment, streamed from Gmail
  * @access Private
  */
-router.get('/stats/overview', 
+router.get('/:emailId/attachments/:attachmentId', 
   authenticateToken,
+  validateAttachmentId,
   asyncHandler(async (req, res) => {
     try {
-      const stats = await gmailService.getEmailStats(req.user);
+      const email = await EmailMetadata.findOne({
+        where: {
+          id: req.params.emailId,
+          userId: req.userId
+        }
+      });
 
-      res.json({
-        success: true,
-        message: 'Email statistics retrieved successfully',
-        data: {
-          stats
+      const attachment = email && await attachmentService.findForEmail(email, req.params.attachmentId);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found',
+          error: 'ATTACHMENT_NOT_FOUND'
+        });
+      }
+
+      const content = await attachmentService.openDownload(req.user, email, attachment);
+
+      res.attachment(attachment.filename || `attachment-${attachment.id}`);
+      res.type(attachment.mimeType);
+
+      // Headers are already sent if Gmail fails mid-download; the connection is dropped
+      pipeline(content, res, (error) => {
+        if (error) {
+          logger.error(`Error streaming attachment ${attachment.id}:`, error);
         }
       });
     } catch (error) {
-      logger.error('Error fetching email stats:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to fetch email statistics',
-        error: 'EMAIL_STATS_FETCH_FAILED'
+      logger.error('Error downloading attachment:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to download attachment',
+        error: 'ATTACHMENT_DOWNLOAD_FAILED'
       });
     }
   })
@@ -499,8 +495,10 @@ router.get('/stats/overview',
 
 /**
  * @route PUT /emails/bulk
- * @desc Bulk update emails (mark as read, star, etc.)
+ * @desc Bulk update emails: mark as read, star, or add/remove labels (value is then an array of
+ *       label IDs or names); or archive, unarchive, trash, untrash or permanently delete them (no value)
  * @access Private
+ * Declared before /:emailId so "bulk" isn't taken for an email ID.
  */
 router.put('/bulk', 
   authenticateToken,
@@ -517,32 +515,69 @@ router.put('/bulk',
         });
       }
 
-      if (!['isRead', 'isStarred'].includes(action)) {
+      if (mailboxService.isAction(action)) {
+        const emails = await EmailMetadata.findAll({
+          where: {
+            id: emailIds,
+            userId: req.userId
+          }
+        });
+
+        const result = await mailboxService.apply(req.user, emails, action);
+
+        return res.json({
+          success: true,
+          message: `${result.updatedCount} emails updated successfully`,
+          data: { ...result, action }
+        });
+      }
+
+      if (!['isRead', 'isStarred', 'addLabels', 'removeLabels'].includes(action)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid action. Must be isRead or isStarred',
+          message: 'Invalid action. Must be isRead, isStarred, addLabels, removeLabels, archive, ' +
+            'unarchive, trash, untrash or delete',
           error: 'INVALID_ACTION'
         });
       }
 
-      if (typeof value !== 'boolean') {
+      const isLabelAction = action === 'addLabels' || action === 'removeLabels';
+
+      if (isLabelAction
+        ? !Array.isArray(value) || value.length === 0 || !value.every(label => typeof label === 'string' && label)
+        : typeof value !== 'boolean') {
         return res.status(400).json({
           success: false,
-          message: 'Value must be a boolean',
+          message: isLabelAction ? 'Value must be an array of label IDs or names' : 'Value must be a boolean',
           error: 'INVALID_VALUE'
         });
       }
 
-      // Update emails
-      const [updatedCount] = await EmailMetadata.update(
-        { [action]: value },
-        {
-          where: {
-            id: emailIds,
-            userId: req.userId
-          }
+      const emails = await EmailMetadata.findAll({
+        where: {
+          id: emailIds,
+          userId: req.userId
         }
-      );
+      });
+
+      // Labels are changed in Gmail directly rather than through write-back
+      if (isLabelAction) {
+        const labels = await labelService.resolveChanges(req.userId, { [action === 'addLabels' ? 'add' : 'remove']: value });
+        const { updatedCount } = await labelService.applyToMessages(req.user, emails, labels);
+
+        return res.json({
+          success: true,
+          message: `${updatedCount} emails updated successfully`,
+          data: { updatedCount, action, value }
+        });
+      }
+
+      // Update emails, recording the change as a pending local edit on each
+      await Promise.all(emails.map(email => email.applyLocalEdit({ [action]: value })));
+      await threadService.refresh(req.userId, emails.map(email => email.threadId));
+      const updatedCount = emails.length;
+
+      const job = await writeBackService.enqueueChanges(req.user, emails, { [action]: value });
 
       res.json({
         success: true,
@@ -550,13 +585,22 @@ router.put('/bulk',
         data: {
           updatedCount,
           action,
-          value
+          value,
+          writeBack: writeBackService.describe(job)
         }
       });
     } catch (error) {
+      const status = labelService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
       logger.error('Error bulk updating emails:', error);
-      res.status(500).json({
-        success: false,
+      sendGmailError(res, error, {
         message: 'Failed to bulk update emails',
         error: 'BULK_UPDATE_FAILED'
       });
@@ -564,4 +608,682 @@ router.put('/bulk',
   })
 );
 
+/**
+ * @route PUT /emails/:emailId
+ * @desc Update email status (read, starred; pushed to Gmail when write-back is enabled) and labels
+ *       (addLabels/removeLabels: label IDs or names; changed in Gmail directly)
+ * @access Private
+ */
+router.put('/:emailId', 
+  authenticateToken,
+  validateEmailId,
+  validateEmailUpdate,
+  asyncHandler(async (req, res) => {
+    try {
+      const { isRead, isStarred, addLabels, removeLabels } = req.body;
+      
+      const email = await EmailMetadata.findOne({
+        where: {
+          id: req.params.emailId,
+          userId: req.userId
+        }
+      });
+
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found',
+          error: 'EMAIL_NOT_FOUND'
+        });
+      }
+
+      // Update email properties
+      const updateData = {};
+      if (typeof isRead === 'boolean') {
+        updateData.isRead = isRead;
+      }
+      if (typeof isStarred === 'boolean') {
+        updateData.isStarred = isStarred;
+      }
+
+      // Labels go to Gmail first, so nothing changes here if Gmail refuses them
+      if (addLabels || removeLabels) {
+        const labels = await labelService.resolveChanges(req.userId, { add: addLabels, remove: removeLabels });
+        await labelService.applyToMessages(req.user, [email], labels);
+      }
+
+      // Recorded as pending local changes so a sync won't revert them
+      if (Object.keys(updateData).length > 0) {
+        await email.applyLocalEdit(updateData);
+        await threadService.refresh(req.userId, [email.threadId]);
+      }
+
+      const job = await writeBackService.enqueueChanges(req.user, [email], updateData);
+
+      res.json({
+        success: true,
+        message: 'Email updated successfully',
+        data: {
+          email,
+          writeBack: writeBackService.describe(job)
+        }
+      });
+    } catch (error) {
+      const status = labelService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      logger.error('Error updating email:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to update email',
+        error: 'EMAIL_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * Archive, trash, restore or permanently delete one email in Gmail
+ */
+const applyMailboxAction = (fixedAction) => asyncHandler(async (req, res) => {
+  const action = fixedAction || req.params.action;
+
+  try {
+    const email = await EmailMetadata.findOne({
+      where: {
+        id: req.params.emailId,
+        userId: req.userId
+      }
+    });
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found',
+        error: 'EMAIL_NOT_FOUND'
+      });
+    }
+
+    if (!email.gmailMessageId && action !== 'delete') {
+      return res.status(409).json({
+        success: false,
+        message: 'Imported emails are not in Gmail',
+        error: 'NOT_IN_GMAIL'
+      });
+    }
+
+    const result = await mailboxService.apply(req.user, [email], action);
+
+    res.json({
+      success: true,
+      message: 'Email updated successfully',
+      data: { ...result, action }
+    });
+  } catch (error) {
+    logger.error(`Error running ${action} on email:`, error);
+    sendGmailError(res, error, {
+      message: 'Failed to update email',
+      error: 'EMAIL_UPDATE_FAILED'
+    });
+  }
+});
+
+/**
+ * @route POST /emails/:emailId/:action
+ * @desc Archive (remove from the inbox), unarchive, trash or untrash an email
+ * @access Private
+ */
+router.post('/:emailId/:action(archive|unarchive|trash|untrash)',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  applyMailboxAction()
+);
+
+/**
+ * @route DELETE /emails/:emailId
+ * @desc Permanently delete an email in Gmail (skipping the trash) and remove it locally
+ * @access Private
+ */
+router.delete('/:emailId',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  applyMailboxAction('delete')
+);
+
+/**
+ * @route POST /emails/:emailId/snooze
+ * @desc Hide an email from the inbox listing until `until`, when it comes back unread at the
+ *       top. removeFromInbox also takes it out of the Gmail inbox until then.
+ * @access Private
+ */
+router.post('/:emailId/snooze',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  validateSnooze,
+  asyncHandler(async (req, res) => {
+    try {
+      const email = await EmailMetadata.findOne({
+        where: {
+          id: req.params.emailId,
+          userId: req.userId,
+          isDeleted: false
+        }
+      });
+
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found',
+          error: 'EMAIL_NOT_FOUND'
+        });
+      }
+
+      await snoozeService.snooze(req.user, [email], new Date(req.body.until), {
+        removeFromInbox: String(req.body.removeFromInbox) === 'true'
+      });
+
+      res.json({
+        success: true,
+        message: 'Email snoozed successfully',
+        data: { email }
+      });
+    } catch (error) {
+      logger.error('Error snoozing email:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to snooze email',
+        error: 'EMAIL_SNOOZE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route DELETE /emails/:emailId/snooze
+ * @desc Unsnooze an email now; it returns to the inbox as it was
+ * @access Private
+ */
+router.delete('/:emailId/snooze',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  asyncHandler(async (req, res) => {
+    try {
+      const email = await EmailMetadata.findOne({
+        where: {
+          id: req.params.emailId,
+          userId: req.userId
+        }
+      });
+
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found',
+          error: 'EMAIL_NOT_FOUND'
+        });
+      }
+
+      if (email.snoozedUntil) {
+        await snoozeService.wake(req.user, [email]);
+      }
+
+      res.json({
+        success: true,
+        message: 'Email unsnoozed successfully',
+        data: { email }
+      });
+    } catch (error) {
+      logger.error('Error unsnoozing email:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to unsnooze email',
+        error: 'EMAIL_SNOOZE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /emails/sync
+ * @desc Sync emails from Gmail (mode: full re-lists a page, incremental replays Gmail history)
+ * @access Private
+ */
+router.post('/sync', 
+  authenticateToken,
+  emailRateLimit,
+  validateGmailSync,
+  asyncHandler(async (req, res) => {
+    try {
+      const {
+        mode = 'full',
+        maxResults = 20,
+        pageToken = null,
+        query = ''
+      } = req.body;
+
+      const result = await syncService.run(req.user, mode === 'incremental' ? 'incremental' : 'manual', {
+        maxResults,
+        pageToken,
+        query
+      });
+
+      res.json({
+        success: true,
+        message: result.partial
+          ? 'Emails partially synced; the rest will be picked up by the next sync'
+          : 'Emails synced successfully',
+        data: result
+      });
+    } catch (error) {
+      const status = syncService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      logger.error('Error syncing emails:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to sync emails from Gmail',
+        error: 'EMAIL_SYNC_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /emails/sync/backfill
+ * @desc Start or resume a background backfill of the whole mailbox
+ * @access Private
+ */
+router.post('/sync/backfill', 
+  authenticateToken,
+  emailRateLimit,
+  validateBackfill,
+  asyncHandler(async (req, res) => {
+    try {
+      const { restart = false } = req.body;
+
+      const job = await backfillService.startJob(req.user, { restart });
+
+      res.status(202).json({
+        success: true,
+        message: job.status === 'completed'
+          ? 'Mailbox is already fully indexed'
+          : 'Backfill started',
+        data: {
+          backfill: job.getProgress()
+        }
+      });
+    } catch (error) {
+      logger.error('Error starting backfill:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to start mailbox backfill',
+        error: 'BACKFILL_START_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /emails/sync/status
+ * @desc Get sync status: last run, last successful sync, backfill progress (pages done, messages indexed, ETA), Gmail quota usage and circuit breaker state
+ * @access Private
+ */
+router.get('/sync/status', 
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    try {
+      const [backfill, lastRun] = await Promise.all([
+        backfillService.getStatus(req.userId),
+        syncService.getLastRun(req.userId)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Sync status retrieved successfully',
+        data: {
+          lastSyncedAt: req.user.lastSyncedAt,
+          lastRun,
+          backfill,
+          quota: quotaManager.getUsage(req.userId),
+          circuit: retryPolicy.getState(req.userId)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching sync status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync status',
+        error: 'SYNC_STATUS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /emails/sync/history
+ * @desc Get the user's past sync runs, newest first
+ * @access Private
+ */
+router.get('/sync/history', 
+  authenticateToken,
+  validateSyncHistory,
+  asyncHandler(async (req, res) => {
+    try {
+      const { page = 1, limit = 20, mode = null } = req.query;
+
+      const result = await syncService.getHistory(req.userId, { page, limit, mode });
+      const totalPages = Math.ceil(result.count / limit);
+
+      res.json({
+        success: true,
+        message: 'Sync history retrieved successfully',
+        data: {
+          runs: result.rows,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalCount: result.count,
+            limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching sync history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sync history',
+        error: 'SYNC_HISTORY_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /emails/send
+ * @desc Send a new message through Gmail (to/cc/bcc, subject, text and/or html, attachments with
+ *       base64 content); the sent message is stored right away
+ * @access Private
+ */
+router.post('/send',
+  authenticateToken,
+  emailRateLimit,
+  validateSendEmail,
+  asyncHandler(async (req, res) => {
+    try {
+      const { to, cc, bcc, subject, text, html, attachments } = req.body;
+
+      const email = await composeService.send(req.user, { to, cc, bcc, subject, text, html, attachments });
+
+      res.status(201).json({
+        success: true,
+        message: 'Email sent successfully',
+        data: { email }
+      });
+    } catch (error) {
+      logger.error('Error sending email:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to send email',
+        error: 'EMAIL_SEND_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * Reply to or forward one of the user's emails through Gmail
+ */
+const answerEmail = (mode) => asyncHandler(async (req, res) => {
+  try {
+    const email = await EmailMetadata.findOne({
+      where: {
+        id: req.params.emailId,
+        userId: req.userId
+      }
+    });
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found',
+        error: 'EMAIL_NOT_FOUND'
+      });
+    }
+
+    if (!email.gmailMessageId) {
+      return res.status(409).json({
+        success: false,
+        message: 'Imported emails are not in Gmail',
+        error: 'NOT_IN_GMAIL'
+      });
+    }
+
+    const { to, cc, bcc, text, html, attachments } = req.body;
+    const message = { to, cc, bcc, text, html, attachments };
+
+    const sent = mode === 'forward'
+      ? await composeService.forward(req.user, email, message)
+      : await composeService.reply(req.user, email, message, { all: mode === 'reply-all' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Email sent successfully',
+      data: { email: sent }
+    });
+  } catch (error) {
+    logger.error(`Error sending ${mode} to email ${req.params.emailId}:`, error);
+    sendGmailError(res, error, {
+      message: 'Failed to send email',
+      error: 'EMAIL_SEND_FAILED'
+    });
+  }
+});
+
+/**
+ * @route POST /emails/:emailId/reply
+ * @desc Reply to the sender, in the same Gmail thread, quoting the original
+ * @access Private
+ */
+router.post('/:emailId/reply',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  validateReplyEmail,
+  answerEmail('reply')
+);
+
+/**
+ * @route POST /emails/:emailId/reply-all
+ * @desc Reply to the sender and every recipient except the user
+ * @access Private
+ */
+router.post('/:emailId/reply-all',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  validateReplyEmail,
+  answerEmail('reply-all')
+);
+
+/**
+ * @route POST /emails/:emailId/forward
+ * @desc Forward an email with its attachments to new recipients
+ * @access Private
+ */
+router.post('/:emailId/forward',
+  authenticateToken,
+  emailRateLimit,
+  validateEmailId,
+  validateSendEmail,
+  answerEmail('forward')
+);
+
+/**
+ * @route POST /emails/import
+ * @desc Import a legacy archive into the local index: send an mbox file as application/mbox or a
+ *       single message as message/rfc822. Messages already indexed (same Message-ID) are skipped.
+ * @access Private
+ */
+router.post('/import', 
+  authenticateToken,
+  emailRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const length = parseInt(req.headers['content-length']);
+
+      if (!['application/mbox', 'message/rfc822'].includes(contentType)) {
+        return res.status(415).json({
+          success: false,
+          message: 'Send an mbox file as application/mbox or a message as message/rfc822',
+          error: 'UNSUPPORTED_IMPORT_TYPE'
+        });
+      }
+
+      if (!length) {
+        return res.status(411).json({
+          success: false,
+          message: 'Content-Length is required',
+          error: 'CONTENT_LENGTH_REQUIRED'
+        });
+      }
+
+      if (length > importService.maxBytes) {
+        return res.status(413).json({
+          success: false,
+          message: `Archive is larger than ${importService.maxBytes} bytes; use the import-mail script instead`,
+          error: 'IMPORT_TOO_LARGE'
+        });
+      }
+
+      let summary;
+      if (contentType === 'application/mbox') {
+        summary = await importService.importMbox(req.user, req);
+      } else {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        summary = await importService.importMessage(req.user, Buffer.concat(chunks));
+      }
+
+      res.json({
+        success: true,
+        message: `Imported ${summary.imported} emails (${summary.duplicates} already indexed, ${summary.failed} failed)`,
+        data: summary
+      });
+    } catch (error) {
+      logger.error('Error importing emails:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import emails',
+        error: 'EMAIL_IMPORT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /emails/search
+ * @desc Advanced email search
+ * @access Private
+ */
+router.post('/search', 
+  authenticateToken,
+  emailRateLimit,
+  validateSearch,
+  asyncHandler(async (req, res) => {
+    try {
+      const {
+        query,
+        filters = {},
+        pagination = { page: 1, limit: 20 }
+      } = req.body;
+
+      const searchOptions = {
+        query,
+        sender: filters.sender || '',
+        subject: filters.subject || '',
+        dateFrom: filters.dateFrom || '',
+        dateTo: filters.dateTo || '',
+        hasAttachment: filters.hasAttachment,
+        isUnread: filters.isUnread,
+        page: pagination.page || 1,
+        limit: pagination.limit || 20
+      };
+
+      const result = await gmailService.searchEmails(req.user, searchOptions);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(result.count / searchOptions.limit);
+
+      res.json({
+        success: true,
+        message: 'Email search completed successfully',
+        data: {
+          emails: result.rows,
+          pagination: {
+            currentPage: searchOptions.page,
+            totalPages,
+            totalCount: result.count,
+            limit: searchOptions.limit,
+            hasNextPage: searchOptions.page < totalPages,
+            hasPrevPage: searchOptions.page > 1
+          },
+          searchQuery: query,
+          filters
+        }
+      });
+    } catch (error) {
+      logger.error('Error searching emails:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search emails',
+        error: 'EMAIL_SEARCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /emails/stats
+ * @desc Get email statistics for user
+ * @access Private
+ */
+router.get('/stats/overview', 
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    try {
+      const stats = await gmailService.getEmailStats(req.user);
+
+      res.json({
+        success: true,
+        message: 'Email statistics retrieved successfully',
+        data: {
+          stats
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching email stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch email statistics',
+        error: 'EMAIL_STATS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const exportService = require('../services/exportService');
+const { ExportJob } = require('../models');
+const { asyncHandler, emailRateLimit } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { validateExport, validateExportId, validatePagination } = require('../middleware/validation');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+// Filters accepted from the request body (the same as GET /emails)
+const FILTER_KEYS = ['search', 'sender', 'subject', 'dateFrom', 'dateTo', 'isUnread', 'hasAttachment'];
+
+/**
+ * @route POST /exports
+ * @desc Start a background export of the user's indexed mail as mbox (original messages from Gmail)
+ *       or JSON Lines (email metadata and labels), filtered like GET /emails
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  emailRateLimit,
+  validateExport,
+  asyncHandler(async (req, res) => {
+    try {
+      const { format, filters = {} } = req.body;
+
+      const job = await exportService.createJob(req.user, {
+        format,
+        filters: Object.fromEntries(
+          FILTER_KEYS
+            .filter(key => filters[key] !== undefined && filters[key] !== '')
+            .map(key => [key, filters[key]])
+        )
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Export started',
+        data: {
+          export: job.getProgress()
+        }
+      });
+    } catch (error) {
+      if (error.code === 'EXPORT_IN_PROGRESS') {
+        return res.status(409).json({
+          success: false,
+          message: 'An export is already in progress. Wait for it to finish before starting another.',
+          error: 'EXPORT_IN_PROGRESS'
+        });
+      }
+
+      logger.error('Error starting export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start export',
+        error: 'EXPORT_START_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /exports
+ * @desc List the user's export jobs, newest first (paginated)
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  validatePagination,
+  asyncHandler(async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await ExportJob.findAndCountAll({
+        where: { userId: req.userId },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      const totalPages = Math.ceil(result.count / limit);
+
+      res.json({
+        success: true,
+        message: 'Exports retrieved successfully',
+        data: {
+          exports: result.rows.map(job => job.getProgress()),
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalCount: result.count,
+            limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching exports:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch exports',
+        error: 'EXPORTS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /exports/:exportId
+ * @desc Get an export job's progress, and its expiry once completed
+ * @access Private
+ */
+router.get('/:exportId',
+  authenticateToken,
+  validateExportId,
+  asyncHandler(async (req, res) => {
+    try {
+      const job = await exportService.findForUser(req.userId, req.params.exportId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found',
+          error: 'EXPORT_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Export retrieved successfully',
+        data: {
+          export: job.getProgress()
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch export',
+        error: 'EXPORT_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /exports/:exportId/download
+ * @desc Download a completed export until it expires
+ * @access Private
+ */
+router.get('/:exportId/download',
+  authenticateToken,
+  validateExportId,
+  asyncHandler(async (req, res) => {
+    try {
+      const job = await exportService.findForUser(req.userId, req.params.exportId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found',
+          error: 'EXPORT_NOT_FOUND'
+        });
+      }
+
+      // Expired files are removed hourly; don't serve one that is due for removal
+      if (job.status === 'expired' || (job.expiresAt && new Date(job.expiresAt) <= new Date())) {
+        return res.status(410).json({
+          success: false,
+          message: 'Export has expired. Start a new export.',
+          error: 'EXPORT_EXPIRED'
+        });
+      }
+
+      if (job.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: `Export is ${job.status}`,
+          error: 'EXPORT_NOT_READY'
+        });
+      }
+
+      res.type(job.format === 'mbox' ? 'application/mbox' : 'application/x-ndjson');
+      res.download(job.filePath, exportService.getFilename(job), (error) => {
+        if (!error) return;
+
+        logger.error(`Error sending export ${job.id}:`, error);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: 'Failed to download export',
+            error: 'EXPORT_DOWNLOAD_FAILED'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Error downloading export:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download export',
+        error: 'EXPORT_DOWNLOAD_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const labelService = require('../services/labelService');
+const { asyncHandler, emailRateLimit, sendGmailError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { validateLabelQuery, validateLabel, validateLabelUpdate, validateLabelId } = require('../middleware/validation');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @route GET /labels
+ * @desc List the user's Gmail labels with names, colors and message/unread counts. Labels are
+ *       synced from Gmail on first use and after syncs; ?refresh=true syncs them now.
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  emailRateLimit,
+  validateLabelQuery,
+  asyncHandler(async (req, res) => {
+    try {
+      let labels = await labelService.listForUser(req.userId);
+
+      if (labels.length === 0 || req.query.refresh === 'true') {
+        labels = await labelService.sync(req.user);
+      }
+
+      res.json({
+        success: true,
+        message: 'Labels retrieved successfully',
+        data: {
+          labels
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching labels:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to fetch labels',
+        error: 'LABELS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /labels
+ * @desc Create a user label in Gmail (name, optional colors and visibility)
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  emailRateLimit,
+  validateLabel,
+  asyncHandler(async (req, res) => {
+    try {
+      const label = await labelService.create(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Label created successfully',
+        data: {
+          label
+        }
+      });
+    } catch (error) {
+      const status = labelService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      logger.error('Error creating label:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to create label',
+        error: 'LABEL_CREATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route PATCH /labels/:labelId
+ * @desc Rename or recolor a user label in Gmail
+ * @access Private
+ */
+router.patch('/:labelId',
+  authenticateToken,
+  emailRateLimit,
+  validateLabelId,
+  validateLabelUpdate,
+  asyncHandler(async (req, res) => {
+    try {
+      const label = await labelService.findForUser(req.userId, req.params.labelId);
+
+      if (!label) {
+        return res.status(404).json({
+          success: false,
+          message: 'Label not found',
+          error: 'LABEL_NOT_FOUND'
+        });
+      }
+
+      await labelService.update(req.user, label, req.body);
+
+      res.json({
+        success: true,
+        message: 'Label updated successfully',
+        data: {
+          label
+        }
+      });
+    } catch (error) {
+      const status = labelService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      logger.error('Error updating label:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to update label',
+        error: 'LABEL_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route DELETE /labels/:labelId
+ * @desc Delete a user label in Gmail; it is taken off every message
+ * @access Private
+ */
+router.delete('/:labelId',
+  authenticateToken,
+  emailRateLimit,
+  validateLabelId,
+  asyncHandler(async (req, res) => {
+    try {
+      const label = await labelService.findForUser(req.userId, req.params.labelId);
+
+      if (!label) {
+        return res.status(404).json({
+          success: false,
+          message: 'Label not found',
+          error: 'LABEL_NOT_FOUND'
+        });
+      }
+
+      await labelService.remove(req.user, label);
+
+      res.json({
+        success: true,
+        message: 'Label deleted successfully'
+      });
+    } catch (error) {
+      const status = labelService.getErrorStatus(error);
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+          error: error.code
+        });
+      }
+
+      logger.error('Error deleting label:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to delete label',
+        error: 'LABEL_DELETE_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
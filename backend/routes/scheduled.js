@@ -0,0 +1,205 @@
+const express = require('express');
+const scheduledSendService = require('../services/scheduledSendService');
+const draftService = require('../services/draftService');
+const { asyncHandler, emailRateLimit } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { validateScheduledMessage, validateScheduledId } = require('../middleware/validation');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+const scheduledNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Scheduled message not found',
+  error: 'SCHEDULED_MESSAGE_NOT_FOUND'
+});
+
+// Responds for errors the service raised on purpose; false for anything else
+const sendScheduledError = (res, error) => {
+  const status = scheduledSendService.getErrorStatus(error);
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+  return true;
+};
+
+/**
+ * @route GET /scheduled
+ * @desc List messages waiting to be sent, soonest first (including ones that failed)
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    try {
+      const messages = await scheduledSendService.list(req.userId);
+
+      res.json({
+        success: true,
+        message: 'Scheduled messages retrieved successfully',
+        data: {
+          messages
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching scheduled messages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scheduled messages',
+        error: 'SCHEDULED_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /scheduled/:scheduledId
+ * @desc Get a scheduled message with its attachment content, for editing
+ * @access Private
+ */
+router.get('/:scheduledId',
+  authenticateToken,
+  validateScheduledId,
+  asyncHandler(async (req, res) => {
+    try {
+      const scheduled = await scheduledSendService.find(req.userId, req.params.scheduledId);
+      if (!scheduled) return scheduledNotFound(res);
+
+      res.json({
+        success: true,
+        message: 'Scheduled message retrieved successfully',
+        data: {
+          message: scheduledSendService.describe(scheduled, { content: true })
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching scheduled message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scheduled message',
+        error: 'SCHEDULED_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /scheduled
+ * @desc Queue a message (as for POST /emails/send) to be sent at sendAt. With draftId the
+ *       message keeps the draft's thread and the draft is deleted.
+ * @access Private
+ */
+router.post('/',
+  authenticateToken,
+  emailRateLimit,
+  validateScheduledMessage,
+  asyncHandler(async (req, res) => {
+    try {
+      let draft = null;
+      if (req.body.draftId) {
+        draft = await draftService.find(req.userId, req.body.draftId);
+        if (!draft) {
+          return res.status(404).json({
+            success: false,
+            message: 'Draft not found',
+            error: 'DRAFT_NOT_FOUND'
+          });
+        }
+      }
+
+      const scheduled = await scheduledSendService.schedule(req.user, req.body, new Date(req.body.sendAt), { draft });
+
+      res.status(201).json({
+        success: true,
+        message: 'Message scheduled successfully',
+        data: {
+          message: scheduledSendService.describe(scheduled)
+        }
+      });
+    } catch (error) {
+      logger.error('Error scheduling message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to schedule message',
+        error: 'SCHEDULE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route PUT /scheduled/:scheduledId
+ * @desc Replace the content and sendAt of a message that hasn't been sent (a failed one is
+ *       queued again)
+ * @access Private
+ */
+router.put('/:scheduledId',
+  authenticateToken,
+  emailRateLimit,
+  validateScheduledId,
+  validateScheduledMessage,
+  asyncHandler(async (req, res) => {
+    try {
+      const scheduled = await scheduledSendService.find(req.userId, req.params.scheduledId);
+      if (!scheduled) return scheduledNotFound(res);
+
+      await scheduledSendService.update(scheduled, req.body, new Date(req.body.sendAt));
+
+      res.json({
+        success: true,
+        message: 'Scheduled message updated successfully',
+        data: {
+          message: scheduledSendService.describe(scheduled)
+        }
+      });
+    } catch (error) {
+      if (sendScheduledError(res, error)) return;
+
+      logger.error('Error updating scheduled message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update scheduled message',
+        error: 'SCHEDULE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route DELETE /scheduled/:scheduledId
+ * @desc Cancel a message that hasn't been sent
+ * @access Private
+ */
+router.delete('/:scheduledId',
+  authenticateToken,
+  emailRateLimit,
+  validateScheduledId,
+  asyncHandler(async (req, res) => {
+    try {
+      const scheduled = await scheduledSendService.find(req.userId, req.params.scheduledId);
+      if (!scheduled) return scheduledNotFound(res);
+
+      await scheduledSendService.cancel(scheduled);
+
+      res.json({
+        success: true,
+        message: 'Scheduled message cancelled successfully'
+      });
+    } catch (error) {
+      if (sendScheduledError(res, error)) return;
+
+      logger.error('Error cancelling scheduled message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel scheduled message',
+        error: 'SCHEDULE_CANCEL_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
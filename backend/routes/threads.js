@@ -0,0 +1,185 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const threadService = require('../services/threadService');
+const snoozeService = require('../services/snoozeService');
+const { Thread, EmailMetadata } = require('../models');
+const { asyncHandler, emailRateLimit, sendGmailError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { validateThreadId, validatePagination, validateSnooze } = require('../middleware/validation');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @route GET /threads
+ * @desc List the user's conversations, most recent activity first (paginated). Each thread carries
+ *       its participants, message count, latest date and unread count.
+ * @access Private
+ */
+router.get('/',
+  authenticateToken,
+  validatePagination,
+  asyncHandler(async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await Thread.findAndCountAll({
+        where: { userId: req.userId },
+        order: [['latestDate', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      const totalPages = Math.ceil(result.count / limit);
+
+      res.json({
+        success: true,
+        message: 'Threads retrieved successfully',
+        data: {
+          threads: result.rows,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalCount: result.count,
+            limit,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching threads:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch threads',
+        error: 'THREADS_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route GET /threads/:threadId
+ * @desc Get a thread with all of its messages, oldest first
+ * @access Private
+ */
+router.get('/:threadId',
+  authenticateToken,
+  validateThreadId,
+  asyncHandler(async (req, res) => {
+    try {
+      const thread = await threadService.findForUser(req.userId, req.params.threadId);
+
+      if (!thread) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found',
+          error: 'THREAD_NOT_FOUND'
+        });
+      }
+
+      const messages = await threadService.listMessages(req.userId, thread.threadId);
+
+      res.json({
+        success: true,
+        message: 'Thread retrieved successfully',
+        data: {
+          thread,
+          messages
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching thread:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch thread',
+        error: 'THREAD_FETCH_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route POST /threads/:threadId/snooze
+ * @desc Snooze every message of a thread (body as for POST /emails/:emailId/snooze)
+ * @access Private
+ */
+router.post('/:threadId/snooze',
+  authenticateToken,
+  emailRateLimit,
+  validateThreadId,
+  validateSnooze,
+  asyncHandler(async (req, res) => {
+    try {
+      const emails = await EmailMetadata.findAll({
+        where: { userId: req.userId, threadId: req.params.threadId, isDeleted: false }
+      });
+
+      if (emails.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found',
+          error: 'THREAD_NOT_FOUND'
+        });
+      }
+
+      await snoozeService.snooze(req.user, emails, new Date(req.body.until), {
+        removeFromInbox: String(req.body.removeFromInbox) === 'true'
+      });
+
+      res.json({
+        success: true,
+        message: 'Thread snoozed successfully',
+        data: {
+          snoozedUntil: emails[0].snoozedUntil,
+          count: emails.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error snoozing thread:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to snooze thread',
+        error: 'THREAD_SNOOZE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @route DELETE /threads/:threadId/snooze
+ * @desc Unsnooze the snoozed messages of a thread now
+ * @access Private
+ */
+router.delete('/:threadId/snooze',
+  authenticateToken,
+  emailRateLimit,
+  validateThreadId,
+  asyncHandler(async (req, res) => {
+    try {
+      const emails = await EmailMetadata.findAll({
+        where: { userId: req.userId, threadId: req.params.threadId, snoozedUntil: { [Op.ne]: null } }
+      });
+
+      if (emails.length > 0) {
+        await snoozeService.wake(req.user, emails);
+      }
+
+      res.json({
+        success: true,
+        message: 'Thread unsnoozed successfully',
+        data: {
+          count: emails.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error unsnoozing thread:', error);
+      sendGmailError(res, error, {
+        message: 'Failed to unsnooze thread',
+        error: 'THREAD_SNOOZE_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -19,7 +19,7 @@ router.get('/profile',
       const user = await User.findByPk(req.userId, {
         attributes: [
           'id', 'email', 'name', 'picture', 'lastLoginAt', 
-          'createdAt', 'updatedAt'
+          'lastSyncedAt', 'createdAt', 'updatedAt'
         ]
       });
 
@@ -138,33 +138,38 @@ router.get('/activity',
         EmailMetadata.count({
           where: {
             userId: req.userId,
+            isDeleted: false,
             receivedDate: { [Op.gte]: today }
           }
         }),
         EmailMetadata.count({
           where: {
             userId: req.userId,
+            isDeleted: false,
             receivedDate: { [Op.gte]: thisWeek }
           }
         }),
         EmailMetadata.count({
           where: {
             userId: req.userId,
+            isDeleted: false,
             receivedDate: { [Op.gte]: thisMonth }
           }
         }),
         EmailMetadata.count({
-          where: { userId: req.userId }
+          where: { userId: req.userId, isDeleted: false }
         }),
         EmailMetadata.count({
           where: {
             userId: req.userId,
+            isDeleted: false,
             isRead: false
           }
         }),
         EmailMetadata.count({
           where: {
             userId: req.userId,
+            isDeleted: false,
             isStarred: true
           }
         })
@@ -0,0 +1,55 @@
+const express = require('express');
+const watchService = require('../services/watchService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { verifyPushRequest } = require('../middleware/auth');
+const { validatePubSubPush } = require('../middleware/validation');
+const { logger } = require('../config/database');
+
+const router = express.Router();
+
+/**
+ * @route POST /webhooks/gmail
+ * @desc Receive a Gmail push notification from Pub/Sub and trigger an incremental sync.
+ *       Any 2xx acknowledges the message; other statuses make Pub/Sub redeliver it.
+ * @access Pub/Sub (OIDC token or shared push token)
+ */
+router.post('/gmail',
+  verifyPushRequest,
+  validatePubSubPush,
+  asyncHandler(async (req, res) => {
+    let notification;
+    try {
+      notification = JSON.parse(Buffer.from(req.body.message.data, 'base64').toString('utf8'));
+    } catch (error) {
+      notification = null;
+    }
+
+    if (!notification || !notification.emailAddress || !/^\d+$/.test(String(notification.historyId))) {
+      logger.warn(`Malformed Gmail push message ${req.body.message.messageId || ''}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Push message must contain emailAddress and historyId',
+        error: 'INVALID_PUSH_MESSAGE'
+      });
+    }
+
+    try {
+      const status = await watchService.handleNotification(notification);
+
+      res.json({
+        success: true,
+        message: 'Notification received',
+        data: { status }
+      });
+    } catch (error) {
+      logger.error('Error handling Gmail push notification:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to handle push notification',
+        error: 'PUSH_HANDLING_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Import a legacy mail archive into a user's local index.
+ *
+ * Usage:
+ *   node scripts/importMail.js <userEmail> <path>
+ *
+ * <path> is an mbox file, a single .eml file, or a directory of .eml files.
+ * Messages whose Message-ID is already indexed for the user are skipped, so
+ * an interrupted import can simply be run again.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { User } = require('../models');
+const importService = require('../services/importService');
+
+async function importMail(userEmail, archivePath) {
+  const user = await User.findOne({ where: { email: userEmail } });
+
+  if (!user) {
+    throw new Error(`No user with email ${userEmail}`);
+  }
+
+  const stats = await fs.promises.stat(archivePath);
+  let summary;
+
+  if (stats.isDirectory()) {
+    console.log(`📂 Importing .eml files from ${archivePath} for ${user.email}`);
+    summary = await importService.importEmlDirectory(user, archivePath);
+  } else if (archivePath.toLowerCase().endsWith('.eml')) {
+    console.log(`📄 Importing ${archivePath} for ${user.email}`);
+    summary = await importService.importMessage(user, await fs.promises.readFile(archivePath));
+  } else {
+    console.log(`📦 Importing mbox ${archivePath} for ${user.email}`);
+    summary = await importService.importMbox(user, fs.createReadStream(archivePath));
+  }
+
+  console.log(`✅ Imported: ${summary.imported}`);
+  console.log(`🔁 Already indexed: ${summary.duplicates}`);
+  console.log(`❌ Failed: ${summary.failed}`);
+
+  return summary;
+}
+
+// Run if script is executed directly
+if (require.main === module) {
+  const [userEmail, archivePath] = process.argv.slice(2);
+
+  if (!userEmail || !archivePath) {
+    console.error('Usage: node scripts/importMail.js <userEmail> <path>');
+    process.exit(1);
+  }
+
+  importMail(userEmail, archivePath)
+    .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('💥 Import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importMail };
@@ -0,0 +1,84 @@
+/**
+ * Local stand-in for Google Pub/Sub: POSTs a Gmail push notification to
+ * the webhook endpoint, shaped exactly like a real push delivery.
+ *
+ * Usage:
+ *   node scripts/simulatePubSubPush.js <emailAddress> [historyId] [url]
+ *
+ * Uses GMAIL_PUSH_TOKEN from .env as the ?token= query parameter. The
+ * history ID defaults to the user's stored checkpoint + 1 so a sync runs.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { User } = require('../models');
+
+async function simulatePubSubPush(emailAddress, historyId, url) {
+  if (!historyId) {
+    const user = await User.findOne({ where: { email: emailAddress } });
+    historyId = user && user.historyId ? (BigInt(user.historyId) + 1n).toString() : '1';
+  }
+
+  const protocol = process.env.USE_HTTPS === 'true' ? 'https' : 'http';
+  const target = new URL(url || `${protocol}://${process.env.HOST || 'localhost'}:${process.env.PORT || 5000}/api/webhooks/gmail`);
+  if (process.env.GMAIL_PUSH_TOKEN) {
+    target.searchParams.set('token', process.env.GMAIL_PUSH_TOKEN);
+  }
+
+  const body = JSON.stringify({
+    message: {
+      data: Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString('base64'),
+      messageId: crypto.randomBytes(8).toString('hex'),
+      publishTime: new Date().toISOString()
+    },
+    subscription: 'projects/local/subscriptions/gmail-push'
+  });
+
+  console.log(`📨 Pushing historyId ${historyId} for ${emailAddress} to ${target.origin}${target.pathname}`);
+
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      // Local servers use self-signed certificates
+      rejectUnauthorized: false
+    }, (response) => {
+      let data = '';
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        console.log(`📊 Response status: ${response.statusCode}`);
+        console.log(`📝 Response body: ${data}`);
+        resolve(response.statusCode);
+      });
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Run if script is executed directly
+if (require.main === module) {
+  const [emailAddress, historyId, url] = process.argv.slice(2);
+
+  if (!emailAddress) {
+    console.error('Usage: node scripts/simulatePubSubPush.js <emailAddress> [historyId] [url]');
+    process.exit(1);
+  }
+
+  simulatePubSubPush(emailAddress, historyId, url)
+    .then(status => process.exit(status >= 200 && status < 300 ? 0 : 1))
+    .catch(error => {
+      console.error('💥 Push failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { simulatePubSubPush };
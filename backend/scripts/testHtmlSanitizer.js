@@ -0,0 +1,58 @@
+/**
+ * Checks that the HTML sanitizer keeps remote content and scripts out of email bodies
+ */
+
+const htmlSanitizer = require('../services/htmlSanitizer');
+
+const REMOTE = 't.example';
+
+// [description, html, expected number of external resources at least]
+const CASES = [
+  ['remote <img>', `<img src="http://${REMOTE}/p.png">`, 1],
+  ['url() in a style attribute', `<div style="background:url(http://${REMOTE}/p.png)">x</div>`, 1],
+  ['escaped url( in a style attribute', `<div style="color:red;background:\\75 rl(http://${REMOTE}/p.png)">x</div>`, 1],
+  ['escaped url( in a style sheet', `<style>p{color:red}div{background:\\75rl(http://${REMOTE}/p.png)}</style>`, 1],
+  ['escape in an unclosed style sheet rule', `<style>div{background:\\75rl(http://${REMOTE}/p.png)</style>`, 1],
+  ['image-set() in a style attribute', `<div style="background:image-set('http://${REMOTE}/a.png' 1x)">x</div>`, 1],
+  ['image-set() in a style sheet', `<style>div{background:-webkit-image-set('http://${REMOTE}/a.png' 1x)}</style>`, 1],
+  ['script', `<script>fetch('http://${REMOTE}/')</script>`, 0],
+  ['@import', `<style>@import 'http://${REMOTE}/a.css';</style>`, 0]
+];
+
+function testHtmlSanitizer() {
+  let failures = 0;
+
+  console.log('🧪 Testing HTML sanitizer...');
+
+  CASES.forEach(([description, html, expected]) => {
+    const { html: output, externalResources } = htmlSanitizer.sanitize(html);
+    const leaked = output.includes(REMOTE) && !output.includes(`data-external-src="http://${REMOTE}`);
+
+    if (leaked || externalResources < expected) {
+      failures++;
+      console.log(`❌ ${description}: ${output} (externalResources: ${externalResources})`);
+    } else {
+      console.log(`✅ ${description}`);
+    }
+  });
+
+  // Declarations that are safe survive next to dropped ones
+  const { html: kept } = htmlSanitizer.sanitize('<style>p{color:red}div{background:\\75rl(x)}</style>');
+  if (!kept.includes('p{color:red}')) {
+    failures++;
+    console.log(`❌ safe rules are kept: ${kept}`);
+  } else {
+    console.log('✅ safe rules are kept');
+  }
+
+  return failures;
+}
+
+// Run test if script is executed directly
+if (require.main === module) {
+  const failures = testHtmlSanitizer();
+  console.log(failures ? `\n💥 ${failures} check(s) failed` : '\n🎯 All checks passed');
+  process.exit(failures ? 1 : 0);
+}
+
+module.exports = { testHtmlSanitizer };
@@ -20,6 +20,27 @@ const {
 const authRoutes = require('./routes/auth');
 const emailRoutes = require('./routes/emails');
 const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const exportRoutes = require('./routes/exports');
+const threadRoutes = require('./routes/threads');
+const labelRoutes = require('./routes/labels');
+const draftRoutes = require('./routes/drafts');
+const scheduledRoutes = require('./routes/scheduled');
+const webhookRoutes = require('./routes/webhooks');
+
+// Import background services (each exposes start() and stop())
+const backfillService = require('./services/backfillService');
+const writeBackService = require('./services/writeBackService');
+const syncScheduler = require('./services/syncScheduler');
+const watchService = require('./services/watchService');
+const exportService = require('./services/exportService');
+const threadService = require('./services/threadService');
+const draftService = require('./services/draftService');
+const scheduledSendService = require('./services/scheduledSendService');
+const snoozeService = require('./services/snoozeService');
+
+const backgroundServices = [backfillService, writeBackService, syncScheduler, watchService, exportService, threadService, draftService,
+  scheduledSendService, snoozeService];
 
 // Initialize Express app
 const app = express();
@@ -89,6 +110,9 @@ app.use(requestLogger);
 // Swagger API Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, swaggerOptions));
 
+// Pub/Sub push webhooks (all pushes come from Google, so they bypass the per-IP rate limit)
+app.use('/api/webhooks', webhookRoutes);
+
 // Rate limiting
 app.use('/api/', apiRateLimit);
 
@@ -194,6 +218,12 @@ app.get('/api/status', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/threads', threadRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/scheduled', scheduledRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -212,6 +242,13 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
+  // Let background jobs finish their current step before closing the database
+  Promise.all(backgroundServices.map(service => service.stop()))
+    .catch((err) => logger.error('Error stopping background services:', err))
+    .then(() => closeServer());
+};
+
+const closeServer = () => {
   server.close((err) => {
     if (err) {
       logger.error('Error during server shutdown:', err);
@@ -281,6 +318,10 @@ const logEndpoints = (protocol, host, port) => {
   logger.info(`  GET  ${protocol}://${host}:${port}/api/auth/callback - OAuth callback`);
   logger.info(`  GET  ${protocol}://${host}:${port}/api/emails - Get user emails`);
   logger.info(`  POST ${protocol}://${host}:${port}/api/emails/sync - Sync emails from Gmail`);
+  logger.info(`  POST ${protocol}://${host}:${port}/api/emails/sync/backfill - Backfill the whole mailbox`);
+  logger.info(`  GET  ${protocol}://${host}:${port}/api/emails/sync/status - Backfill progress`);
+  logger.info(`  GET  ${protocol}://${host}:${port}/api/admin/sync/scheduler - Sync scheduler status (admin)`);
+  logger.info(`  POST ${protocol}://${host}:${port}/api/webhooks/gmail - Gmail push notifications (Pub/Sub)`);
 };
 
 // Start server
@@ -305,7 +346,12 @@ const startServer = async () => {
     const certsDir = path.join(__dirname, 'certs');
     if (!fs.existsSync(certsDir)) {
       fs.mkdirSync(certsDir, { recursive: true });
-    }    // HTTPS configuration
+    }
+
+    // Start background services (resumes persisted jobs)
+    backgroundServices.forEach(service => service.start());
+
+    // HTTPS configuration
     let server;
     let useHTTPS = process.env.USE_HTTPS === 'true';
     
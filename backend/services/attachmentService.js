@@ -0,0 +1,81 @@
+const { Readable } = require('stream');
+const { Attachment } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const mimeParser = require('./mimeParser');
+
+// Columns returned to clients (Gmail's attachment ID stays server-side)
+const PUBLIC_ATTRIBUTES = ['id', 'emailId', 'partId', 'filename', 'mimeType', 'size', 'contentId', 'isInline'];
+
+class AttachmentService {
+  /**
+   * Attachments recorded for an email during sync
+   * @param {Object} email - EmailMetadata record
+   * @returns {Array} Attachment records
+   */
+  async listForEmail(email) {
+    return Attachment.findAll({
+      where: { emailId: email.id },
+      attributes: PUBLIC_ATTRIBUTES,
+      order: [['partId', 'ASC']]
+    });
+  }
+
+  /**
+   * Find one attachment of an email
+   * @param {Object} email - EmailMetadata record
+   * @param {number} attachmentId - Attachment ID
+   * @returns {Object|null} Attachment record
+   */
+  async findForEmail(email, attachmentId) {
+    return Attachment.findOne({ where: { id: attachmentId, emailId: email.id } });
+  }
+
+  /**
+   * Open a stream of an attachment's content from Gmail. When the stored
+   * Gmail attachment ID has gone stale, the message is fetched again and
+   * the part is found by its part ID.
+   * @param {Object} user - User record
+   * @param {Object} email - EmailMetadata record
+   * @param {Object} attachment - Attachment record
+   * @returns {Readable} Attachment bytes
+   */
+  async openDownload(user, email, attachment) {
+    if (attachment.gmailAttachmentId) {
+      const response = await gmailService.getAttachmentStream(user, email.gmailMessageId, attachment.gmailAttachmentId);
+      if (response) {
+        return response;
+      }
+    }
+
+    const tree = await gmailService.getMessageTree(user, email.gmailMessageId);
+    let part = null;
+    mimeParser.walk(tree, (candidate) => {
+      if (candidate.partId === attachment.partId) part = candidate;
+    });
+
+    if (!part) {
+      throw new Error(`Attachment part ${attachment.partId} is no longer in the message`);
+    }
+
+    // Small parts come back inline in the message itself
+    if (part.body || !part.attachmentId) {
+      return Readable.from([part.body || Buffer.alloc(0)]);
+    }
+
+    const response = await gmailService.getAttachmentStream(user, email.gmailMessageId, part.attachmentId);
+    if (!response) {
+      throw new Error(`Gmail rejected attachment ${attachment.id} of email ${email.id}`);
+    }
+
+    try {
+      await attachment.update({ gmailAttachmentId: part.attachmentId });
+    } catch (error) {
+      logger.error(`Error updating attachment ${attachment.id}:`, error);
+    }
+
+    return response;
+  }
+}
+
+module.exports = new AttachmentService();
@@ -4,6 +4,18 @@ const { User } = require('../models');
 const { logger } = require('../config/database');
 require('dotenv').config();
 
+// Requested at sign-in
+const DEFAULT_SCOPES = [
+  'https://www.googleapis.com/auth/userinfo.email',
+  'https://www.googleapis.com/auth/userinfo.profile',
+  'https://www.googleapis.com/auth/gmail.readonly',
+  'https://www.googleapis.com/auth/gmail.modify',
+  'https://www.googleapis.com/auth/gmail.send'
+];
+
+// Full mailbox access, needed only for permanent delete; requested the first time it is used
+const FULL_MAIL_SCOPE = 'https://mail.google.com/';
+
 class AuthService {
   constructor() {
     // Initialize OAuth2 client with error handling
@@ -21,21 +33,20 @@ class AuthService {
 
   /**
    * Generate OAuth2 authorization URL
+   * @param {Object} options - { scopes: requested on top of DEFAULT_SCOPES, loginHint: account to use }
    * @returns {string} Authorization URL
    */
-  getAuthUrl() {
-    try {
-      const scopes = [
-        'https://www.googleapis.com/auth/userinfo.email',
-        'https://www.googleapis.com/auth/userinfo.profile',
-        'https://www.googleapis.com/auth/gmail.readonly'
-      ];
+  getAuthUrl(options = {}) {
+    const { scopes = [], loginHint } = options;
 
+    try {
       return this.oauth2Client.generateAuthUrl({
         access_type: 'offline',
-        scope: scopes,
+        scope: [...DEFAULT_SCOPES, ...scopes],
         prompt: 'consent', // Force consent to get refresh token
-        include_granted_scopes: true
+        // Scopes granted earlier (e.g. full access) are kept in the new tokens
+        include_granted_scopes: true,
+        ...(loginHint && { login_hint: loginHint })
       });
     } catch (error) {
       logger.error('Error generating auth URL:', error);
@@ -43,6 +54,24 @@ class AuthService {
     }
   }
 
+  /**
+   * Authorization URL that asks an existing user for full mailbox access
+   * @param {Object} user - User record
+   * @returns {string} Authorization URL
+   */
+  getFullAccessUrl(user) {
+    return this.getAuthUrl({ scopes: [FULL_MAIL_SCOPE], loginHint: user.email });
+  }
+
+  /**
+   * Whether the user has granted full mailbox access
+   * @param {Object} user - User record
+   * @returns {boolean}
+   */
+  hasFullAccess(user) {
+    return (user.grantedScopes || '').split(' ').includes(FULL_MAIL_SCOPE);
+  }
+
   /**
    * Exchange authorization code for tokens
    * @param {string} code - Authorization code from Google
@@ -109,6 +138,7 @@ class AuthService {
           accessToken: tokens.access_token,
           refreshToken: tokens.refresh_token,
           tokenExpiry: tokenExpiry,
+          grantedScopes: tokens.scope || null,
           lastLoginAt: new Date()
         }
       });
@@ -122,6 +152,7 @@ class AuthService {
           accessToken: tokens.access_token,
           refreshToken: tokens.refresh_token || user.refreshToken,
           tokenExpiry: tokenExpiry,
+          grantedScopes: tokens.scope || user.grantedScopes,
           lastLoginAt: new Date()
         });
       }
@@ -0,0 +1,226 @@
+const { User, BackfillJob, SyncRun } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const syncService = require('./syncService');
+const labelService = require('./labelService');
+const retryPolicy = require('./retryPolicy');
+
+const PAGE_SIZE = parseInt(process.env.BACKFILL_PAGE_SIZE) || 100;
+const PAGE_DELAY_MS = parseInt(process.env.BACKFILL_PAGE_DELAY_MS) || 1000;
+const RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BackfillService {
+  constructor() {
+    // userId -> { stopRequested, promise } for jobs running in this process
+    this.runners = new Map();
+  }
+
+  /**
+   * Resume backfill jobs that were running when the server last stopped
+   */
+  async start() {
+    try {
+      const jobs = await BackfillJob.findAll({ where: { status: 'running' } });
+
+      jobs.forEach(job => this.launch(job));
+
+      if (jobs.length > 0) {
+        logger.info(`Resumed ${jobs.length} backfill job(s)`);
+      }
+    } catch (error) {
+      logger.error('Error resuming backfill jobs:', error);
+    }
+  }
+
+  /**
+   * Ask running jobs to stop after their current page and wait for them.
+   * Jobs stay in the running state so they resume on the next start.
+   */
+  async stop() {
+    const runners = [...this.runners.values()];
+    runners.forEach(runner => {
+      runner.stopRequested = true;
+    });
+
+    await Promise.all(runners.map(runner => runner.promise));
+  }
+
+  /**
+   * Start (or resume) a full-mailbox backfill for a user
+   * @param {Object} user - User record
+   * @param {Object} options - { restart: discard the saved cursor and start over }
+   * @returns {Object} Backfill job record
+   */
+  async startJob(user, options = {}) {
+    const { restart = false } = options;
+
+    let job = await BackfillJob.findOne({ where: { userId: user.id } });
+
+    if (job && this.runners.has(user.id)) {
+      return job;
+    }
+
+    if (job && job.status === 'completed' && !restart) {
+      return job;
+    }
+
+    const estimatedTotal = await gmailService.getSyncedMessageCount(user);
+
+    if (!job) {
+      job = await BackfillJob.create({
+        userId: user.id,
+        estimatedTotal,
+        startedAt: new Date()
+      });
+    } else if (restart || job.status === 'completed') {
+      await job.update({
+        status: 'running',
+        pageToken: null,
+        pagesDone: 0,
+        messagesIndexed: 0,
+        estimatedTotal,
+        startedAt: new Date(),
+        completedAt: null,
+        lastError: null
+      });
+    } else {
+      // Failed or orphaned job: resume from the saved cursor
+      await job.update({
+        status: 'running',
+        estimatedTotal,
+        lastError: null
+      });
+    }
+
+    this.launch(job);
+    return job;
+  }
+
+  /**
+   * Whether a backfill is running for a user in this process
+   * @param {number} userId - User ID
+   * @returns {boolean}
+   */
+  isRunning(userId) {
+    return this.runners.has(userId);
+  }
+
+  /**
+   * Get backfill progress for a user
+   * @param {number} userId - User ID
+   * @returns {Object|null} Progress, or null if no backfill was ever started
+   */
+  async getStatus(userId) {
+    const job = await BackfillJob.findOne({ where: { userId } });
+    return job ? job.getProgress() : null;
+  }
+
+  /**
+   * Run a job in the background
+   * @param {Object} job - Backfill job record
+   */
+  launch(job) {
+    const runner = { stopRequested: false, promise: null };
+    this.runners.set(job.userId, runner);
+
+    runner.promise = this.run(job, runner)
+      .catch(error => logger.error(`Backfill runner crashed for user ${job.userId}:`, error))
+      .finally(() => this.runners.delete(job.userId));
+  }
+
+  /**
+   * Walk every page of the mailbox, persisting the cursor after each page.
+   * Each run of the loop is recorded as a 'backfill' SyncRun.
+   * @param {Object} job - Backfill job record
+   * @param {Object} runner - Runner state for stop requests
+   */
+  async run(job, runner) {
+    logger.info(`Backfill running for user ${job.userId} from page ${job.pagesDone + 1}`);
+
+    const syncRun = await SyncRun.begin(job.userId, 'backfill');
+    let user = null;
+
+    while (!runner.stopRequested) {
+      try {
+        user = await User.findByPk(job.userId);
+
+        if (!user || !user.isActive) {
+          throw new Error('User not found or inactive');
+        }
+
+        const page = await gmailService.syncMessagePage(user, {
+          maxResults: PAGE_SIZE,
+          pageToken: job.pageToken
+        });
+
+        await job.update({
+          pageToken: page.nextPageToken,
+          pagesDone: job.pagesDone + 1,
+          messagesIndexed: job.messagesIndexed + page.emails.length,
+          lastError: null
+        });
+        await syncRun.addCounts({
+          added: page.added,
+          updated: page.updated,
+          deleted: page.deleted
+        });
+
+        if (!page.nextPageToken) {
+          // Everything still in the mailbox was seen during this walk
+          const deleted = await gmailService.tombstoneUnseen(user, job.startedAt);
+
+          await job.update({
+            status: 'completed',
+            completedAt: new Date()
+          });
+          await syncRun.succeed({ deleted }, user.historyId);
+          await user.update({ lastSyncedAt: syncRun.finishedAt });
+          await labelService.refresh(user, { changed: true });
+          logger.info(`Backfill completed for user ${job.userId}: ${job.messagesIndexed} messages in ${job.pagesDone} pages`);
+          return;
+        }
+      } catch (error) {
+        // Rate limiting is temporary: keep the cursor and retry the page later
+        if (gmailService.getErrorCode(error) === 'RATE_LIMIT_EXCEEDED') {
+          const { openUntil } = retryPolicy.getState(job.userId);
+          const waitMs = openUntil ? Math.max(openUntil - Date.now(), PAGE_DELAY_MS) : RATE_LIMIT_WAIT_MS;
+
+          logger.warn(`Backfill rate limited for user ${job.userId}, retrying page ${job.pagesDone + 1} in ${waitMs}ms`);
+          await job.update({ lastError: error.message });
+          await this.wait(runner, waitMs);
+          continue;
+        }
+
+        logger.error(`Backfill failed for user ${job.userId}:`, error);
+        await job.update({
+          status: 'failed',
+          lastError: error.message
+        });
+        await syncService.recordFailure(syncRun, error, user ? user.historyId : null);
+        return;
+      }
+
+      await sleep(PAGE_DELAY_MS);
+    }
+
+    await syncRun.interrupt(user ? user.historyId : null);
+    logger.info(`Backfill paused for user ${job.userId} after ${job.pagesDone} pages`);
+  }
+
+  /**
+   * Sleep for up to `ms`, waking early if the runner is asked to stop
+   * @param {Object} runner - Runner state for stop requests
+   * @param {number} ms - Milliseconds to wait
+   */
+  async wait(runner, ms) {
+    const until = Date.now() + ms;
+
+    while (!runner.stopRequested && Date.now() < until) {
+      await sleep(Math.min(PAGE_DELAY_MS, until - Date.now()));
+    }
+  }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,266 @@
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const mimeBuilder = require('./mimeBuilder');
+const mimeParser = require('./mimeParser');
+const htmlSanitizer = require('./htmlSanitizer');
+
+// Style Gmail gives quoted text in replies
+const QUOTE_STYLE = 'margin:0 0 0 .8ex;border-left:1px #ccc solid;padding-left:1ex';
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const textToHtml = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+class ComposeService {
+  /**
+   * Build a message from the user
+   * @param {Object} user - User record
+   * @param {Object} message - { to, cc, bcc, subject, text, html,
+   *   attachments: [{ filename, mimeType, content (base64) }] }
+   * @param {Object} options - { headers: extra headers, forwarded:
+   *   attachments with Buffer content, messageId: Message-ID to send with }
+   * @returns {Buffer} Message source
+   */
+  compose(user, message, options = {}) {
+    const { headers = {}, forwarded = [], messageId = null } = options;
+
+    return mimeBuilder.build({
+      ...message,
+      from: this.fromAddress(user),
+      headers,
+      messageId,
+      attachments: [
+        ...forwarded,
+        ...(message.attachments || []).map(attachment => ({
+          ...attachment,
+          content: Buffer.from(attachment.content, 'base64')
+        }))
+      ]
+    });
+  }
+
+  /**
+   * Build a message from the user and send it through Gmail
+   * @param {Object} user - User record
+   * @param {Object} message - As for compose
+   * @param {Object} options - As for compose, plus threadId: Gmail thread to send in
+   * @returns {Object|null} EmailMetadata record of the sent message
+   */
+  async send(user, message, options = {}) {
+    const raw = this.compose(user, message, options);
+    const email = await gmailService.sendMessage(user, raw, { threadId: options.threadId || null });
+    logger.info(`Sent message for user ${user.email}`);
+
+    return email;
+  }
+
+  /**
+   * Reply to a message, in its Gmail thread, quoting its body. Replies go
+   * to Reply-To (or From); reply-all adds the original To and Cc. The
+   * user's own address is left out, and replying to one's own message goes
+   * to its original recipients.
+   * @param {Object} user - User record
+   * @param {Object} email - EmailMetadata record being replied to
+   * @param {Object} message - { text, html, attachments } written by the user, plus
+   *   any recipients to add (to, cc, bcc)
+   * @param {Object} options - { all: reply to all recipients }
+   * @returns {Object|null} EmailMetadata record of the sent message
+   */
+  async reply(user, email, message, options = {}) {
+    const { all = false } = options;
+    const original = await this.loadOriginal(user, email);
+    const isOwn = (address) => this.sameAddress(address, user.email);
+
+    const fromSelf = original.from.some(isOwn);
+    let to = fromSelf ? original.to : original.replyTo;
+    let cc = all ? original.cc : [];
+    if (all && !fromSelf) {
+      to = [...to, ...original.to];
+    }
+
+    to = this.uniqueAddresses([...to, ...(message.to || [])].filter(address => !isOwn(address)));
+    cc = this.uniqueAddresses([...cc, ...(message.cc || [])].filter(address => !isOwn(address)))
+      .filter(address => !to.some(other => this.sameAddress(address, other)));
+
+    // A reply to oneself with no one else on it goes back to oneself
+    if (to.length === 0 && cc.length === 0) {
+      to = [user.email];
+    }
+
+    const attribution = `On ${original.date}, ${original.fromText} wrote:`;
+    const quotedText = (original.text || '').split(/\r?\n/).map(line => `> ${line}`).join('\n');
+
+    return this.send(user, {
+      ...message,
+      to,
+      cc,
+      subject: this.prefixSubject('Re:', original.subject, /^re:/i),
+      text: `${message.text || ''}\n\n${attribution}\n${quotedText}\n`,
+      html: `${this.userHtml(message)}<br><div class="gmail_quote">${escapeHtml(attribution)}<br>` +
+        `<blockquote style="${QUOTE_STYLE}">${original.html}</blockquote></div>`
+    }, {
+      headers: this.threadingHeaders(original),
+      threadId: email.threadId
+    });
+  }
+
+  /**
+   * Forward a message with its attachments, in its Gmail thread
+   * @param {Object} user - User record
+   * @param {Object} email - EmailMetadata record being forwarded
+   * @param {Object} message - { to, cc, bcc, text, html, attachments } written by the user
+   * @returns {Object|null} EmailMetadata record of the sent message
+   */
+  async forward(user, email, message) {
+    const original = await this.loadOriginal(user, email);
+    const forwarded = await this.loadAttachments(user, email.gmailMessageId, original.tree);
+
+    const summary = [
+      '---------- Forwarded message ---------',
+      `From: ${original.fromText}`,
+      `Date: ${original.date}`,
+      `Subject: ${original.subject}`,
+      original.to.length > 0 && `To: ${original.to.join(', ')}`,
+      original.cc.length > 0 && `Cc: ${original.cc.join(', ')}`
+    ].filter(Boolean);
+
+    return this.send(user, {
+      ...message,
+      subject: this.prefixSubject('Fwd:', original.subject, /^(fwd?|fw):/i),
+      text: `${message.text || ''}\n\n${summary.join('\n')}\n\n${original.text || ''}\n`,
+      html: `${this.userHtml(message)}<br><div class="gmail_quote">${summary.map(escapeHtml).join('<br>')}` +
+        `<br><br>${original.html}</div>`
+    }, {
+      headers: this.threadingHeaders(original),
+      threadId: email.threadId,
+      forwarded
+    });
+  }
+
+  /**
+   * Headers and bodies of the message being answered, fetched from Gmail
+   * @param {Object} user - User record
+   * @param {Object} email - EmailMetadata record
+   * @returns {Object} { tree, messageId, references, subject, date, from,
+   *   fromText, replyTo, to, cc (address lists), text, html (sanitized) }
+   */
+  async loadOriginal(user, email) {
+    const tree = await gmailService.getMessageTree(user, email.gmailMessageId);
+    const header = (name) => mimeParser.decodeHeader(mimeParser.getHeader(tree.headers, name));
+    const addresses = (name) => mimeBuilder.parseAddressList(header(name));
+    const { text, html } = mimeParser.extractBodies(tree);
+
+    const from = addresses('From');
+    const replyTo = addresses('Reply-To');
+
+    return {
+      tree,
+      // Rows without a Message-ID header fall back to the Gmail ID, which can't be referenced
+      messageId: /^<[^<>]+>$/.test(email.messageId) ? email.messageId : null,
+      references: mimeParser.getHeader(tree.headers, 'References'),
+      subject: header('Subject') || email.subject || '',
+      date: header('Date') || new Date(email.receivedDate).toUTCString(),
+      from,
+      fromText: header('From') || email.sender,
+      replyTo: replyTo.length > 0 ? replyTo : from,
+      to: addresses('To'),
+      cc: addresses('Cc'),
+      text: text || email.snippet,
+      html: html
+        ? htmlSanitizer.sanitize(html, { allowExternalImages: true }).html
+        : textToHtml(text || email.snippet || '')
+    };
+  }
+
+  /**
+   * Attachments of a message with their content, for forwarding. Inline
+   * images are not carried over; the sanitized HTML no longer refers to them.
+   * @param {Object} user - User record
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {Object} tree - MIME part tree from getMessageTree
+   * @returns {Array} [{ filename, mimeType, content (Buffer) }]
+   */
+  async loadAttachments(user, gmailMessageId, tree) {
+    const parts = [];
+    mimeParser.walk(tree, (part) => {
+      const isInline = Boolean(part.contentId) && part.disposition !== 'attachment';
+      if (mimeParser.isAttachment(part) && !isInline) parts.push(part);
+    });
+
+    const attachments = [];
+    for (const part of parts) {
+      let content = part.body;
+
+      if (!content && part.attachmentId) {
+        const stream = await gmailService.getAttachmentStream(user, gmailMessageId, part.attachmentId);
+        if (!stream) {
+          throw new Error(`Gmail rejected an attachment of message ${gmailMessageId}`);
+        }
+
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+        }
+        content = Buffer.concat(chunks);
+      }
+
+      attachments.push({
+        filename: part.filename || (part.mimeType === 'message/rfc822' ? 'message.eml' : 'attachment'),
+        mimeType: part.mimeType,
+        content: content || Buffer.alloc(0)
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * In-Reply-To and References so the message threads under the original
+   * in Gmail and other clients
+   * @param {Object} original - From loadOriginal
+   * @returns {Object} Headers
+   */
+  threadingHeaders(original) {
+    if (!original.messageId) return {};
+
+    return {
+      'In-Reply-To': original.messageId,
+      References: [original.references, original.messageId].filter(Boolean).join(' ')
+    };
+  }
+
+  prefixSubject(prefix, subject, pattern) {
+    return pattern.test(subject.trim()) ? subject : `${prefix} ${subject}`;
+  }
+
+  // HTML version of what the user wrote
+  userHtml(message) {
+    if (message.html) return message.html;
+    return message.text ? `<div>${textToHtml(message.text)}</div>` : '';
+  }
+
+  uniqueAddresses(addresses) {
+    return addresses.filter((address, index) => (
+      addresses.findIndex(other => this.sameAddress(address, other)) === index
+    ));
+  }
+
+  sameAddress(a, b) {
+    return mimeBuilder.parseAddress(a).address.toLowerCase() === mimeBuilder.parseAddress(b).address.toLowerCase();
+  }
+
+  /**
+   * The user's From address, with their Google profile name
+   * @param {Object} user - User record
+   * @returns {string}
+   */
+  fromAddress(user) {
+    return user.name ? `${user.name} <${user.email}>` : user.email;
+  }
+}
+
+module.exports = new ComposeService();
@@ -0,0 +1,487 @@
+const { User, Draft } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const composeService = require('./composeService');
+const mimeParser = require('./mimeParser');
+const mimeBuilder = require('./mimeBuilder');
+
+const POLL_INTERVAL_MS = parseInt(process.env.DRAFT_SYNC_POLL_MS) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.DRAFT_SYNC_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long a push holds its claim on a draft; a claim left by a crash lapses after this
+const CLAIM_MS = 5 * 60 * 1000;
+
+// Fields of a draft the user edits; a save replaces all of them
+const MESSAGE_FIELDS = ['to', 'cc', 'bcc', 'subject', 'text', 'html', 'attachments'];
+
+// HTTP status for each draft error code
+const ERROR_STATUS = {
+  DRAFT_NOT_IN_CONFLICT: 409
+};
+
+const draftError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class DraftService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Start polling for drafts whose changes haven't reached Gmail yet
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    logger.info(`Draft sync worker started (every ${POLL_INTERVAL_MS}ms)`);
+  }
+
+  /**
+   * Stop polling and wait for the batch in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+
+  /**
+   * Bring in changes made to drafts in Gmail, then list the user's drafts,
+   * latest first. When Gmail can't be reached the stored drafts are listed.
+   * @param {Object} user - User record
+   * @returns {Array} Draft records, without attachment content
+   */
+  async list(user) {
+    try {
+      await this.pull(user);
+    } catch (error) {
+      logger.warn(`Could not refresh drafts from Gmail for user ${user.id}: ${error.message}`);
+    }
+
+    const drafts = await Draft.findAll({
+      where: { userId: user.id, syncStatus: ['pending', 'synced', 'conflict'] },
+      order: [['updatedAt', 'DESC']]
+    });
+
+    return drafts.map(draft => this.describe(draft));
+  }
+
+  /**
+   * Find one of the user's drafts (not one being deleted)
+   * @param {number} userId - User ID
+   * @param {number|string} draftId - Draft ID
+   * @returns {Object|null} Draft record
+   */
+  async find(userId, draftId) {
+    const draft = await Draft.findOne({ where: { id: draftId, userId } });
+    return draft && draft.syncStatus !== 'deleting' ? draft : null;
+  }
+
+  /**
+   * Save a new draft and try to create it in Gmail right away
+   * @param {Object} user - User record
+   * @param {Object} message - { to, cc, bcc, subject, text, html, attachments }
+   * @returns {Object} Draft record
+   */
+  async create(user, message) {
+    const draft = await Draft.create({
+      userId: user.id,
+      ...this.messageFields(message),
+      nextAttemptAt: new Date()
+    });
+
+    await this.push(draft, user);
+    return draft;
+  }
+
+  /**
+   * Replace a draft's content and try to push it to Gmail right away. A
+   * draft in conflict keeps the new content but waits for resolve.
+   * @param {Object} user - User record
+   * @param {Object} draft - Draft record
+   * @param {Object} message - { to, cc, bcc, subject, text, html, attachments }
+   * @returns {Object} Draft record
+   */
+  async update(user, draft, message) {
+    if (draft.syncStatus === 'conflict') {
+      return draft.update(this.messageFields(message));
+    }
+
+    await draft.update({
+      ...this.messageFields(message),
+      syncStatus: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null
+    });
+
+    await this.push(draft, user);
+    return draft;
+  }
+
+  /**
+   * Delete a draft here and, through the worker, in Gmail
+   * @param {Object} user - User record
+   * @param {Object} draft - Draft record
+   */
+  async remove(user, draft) {
+    await this.markDeleting(draft);
+    await this.push(draft, user);
+  }
+
+  /**
+   * Hide a draft and queue its deletion in Gmail, without pushing it yet
+   * @param {Object} draft - Draft record
+   * @param {Object} options - Sequelize query options, e.g. { transaction }
+   */
+  markDeleting(draft, options = {}) {
+    return draft.update({
+      syncStatus: 'deleting',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null
+    }, options);
+  }
+
+  /**
+   * Send a draft with the content given (its latest edit), in its thread,
+   * then delete it
+   * @param {Object} user - User record
+   * @param {Object} draft - Draft record
+   * @param {Object} message - { to, cc, bcc, subject, text, html, attachments }
+   * @returns {Object|null} EmailMetadata record of the sent message
+   */
+  async send(user, draft, message) {
+    const email = await composeService.send(user, this.messageFields(message), {
+      headers: {
+        'In-Reply-To': draft.inReplyTo,
+        References: draft.references
+      },
+      // A new message's draft sits in a thread of its own, which isn't one to reply in
+      threadId: draft.inReplyTo ? draft.threadId : null
+    });
+
+    await this.remove(user, draft);
+    return email;
+  }
+
+  /**
+   * Settle a draft changed both here and in Gmail by keeping one side
+   * @param {Object} user - User record
+   * @param {Object} draft - Draft record in conflict
+   * @param {string} keep - 'local' to overwrite Gmail, 'remote' to take Gmail's copy
+   * @returns {Object|null} Draft record, or null when Gmail's copy was kept
+   *   and no longer exists
+   */
+  async resolve(user, draft, keep) {
+    if (draft.syncStatus !== 'conflict') {
+      throw draftError('Draft is not in conflict', 'DRAFT_NOT_IN_CONFLICT');
+    }
+
+    const remote = draft.gmailDraftId ? await gmailService.getDraft(user, draft.gmailDraftId) : null;
+
+    if (keep === 'remote') {
+      if (!remote) {
+        await draft.destroy();
+        return null;
+      }
+
+      return draft.update({
+        ...await this.readRemote(user, remote),
+        syncStatus: 'synced',
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null
+      });
+    }
+
+    // Overwrite the current remote copy, or recreate it when it's gone
+    await draft.update({
+      gmailDraftId: remote ? remote.id : null,
+      gmailMessageId: remote ? remote.message.id : null,
+      syncStatus: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null
+    });
+
+    await this.push(draft, user);
+    return draft;
+  }
+
+  /**
+   * Push every draft whose retry time has come
+   */
+  async processDue() {
+    if (this.processing) return;
+
+    this.processing = (async () => {
+      try {
+        const drafts = await Draft.findDue();
+
+        for (const draft of drafts) {
+          if (!this.timer) break;
+          await this.push(draft);
+        }
+      } catch (error) {
+        logger.error('Error processing draft sync queue:', error);
+      }
+    })();
+
+    await this.processing;
+    this.processing = null;
+  }
+
+  /**
+   * Create, update or delete a draft in Gmail to match the local copy; on
+   * failure schedule a retry with exponential backoff. A draft whose Gmail
+   * message changed (or went away) since the two last matched is marked as
+   * a conflict instead of being overwritten. A draft already being pushed
+   * is left to that push; changes saved meanwhile are picked up by the worker.
+   * @param {Object} draft - Draft record, pending or deleting
+   * @param {Object} user - User record (loaded when omitted)
+   */
+  async push(draft, user = null) {
+    const { Op } = require('sequelize');
+
+    // Claim the draft, so a save and the worker never both create it in Gmail
+    const [claimed] = await Draft.update({ claimedUntil: new Date(Date.now() + CLAIM_MS) }, {
+      where: {
+        id: draft.id,
+        [Op.or]: [{ claimedUntil: null }, { claimedUntil: { [Op.lte]: new Date() } }]
+      }
+    });
+    if (!claimed) return;
+
+    try {
+      await this.pushClaimed(draft, user);
+    } finally {
+      await Draft.update({ claimedUntil: null }, { where: { id: draft.id } });
+    }
+  }
+
+  async pushClaimed(draft, user) {
+    try {
+      // The worker may have read the draft before a save changed it
+      await draft.reload();
+      user = user || await User.findByPk(draft.userId);
+
+      if (!user || !user.isActive) {
+        await draft.update({ nextAttemptAt: null, lastError: 'User not found or inactive' });
+        return;
+      }
+
+      if (draft.syncStatus === 'deleting') {
+        if (draft.gmailDraftId) {
+          await gmailService.deleteDraft(user, draft.gmailDraftId);
+        }
+        await draft.destroy();
+        return;
+      }
+
+      if (draft.gmailDraftId) {
+        const remote = await gmailService.getDraft(user, draft.gmailDraftId);
+
+        if (!remote || remote.message.id !== draft.gmailMessageId) {
+          await this.markConflict(draft, remote ? 'Changed in Gmail' : 'Deleted or sent in Gmail');
+          return;
+        }
+      }
+
+      const pushed = JSON.stringify(this.messageFields(draft));
+      const saved = await gmailService.saveDraft(user, draft.gmailDraftId, this.buildRaw(user, draft), {
+        threadId: draft.threadId
+      });
+
+      const remoteIds = {
+        gmailDraftId: saved.id,
+        gmailMessageId: saved.message.id,
+        threadId: saved.message.threadId || draft.threadId
+      };
+
+      // Edits (or a delete) saved while the push was in flight go out with the next one
+      await draft.reload();
+      const isCurrent = draft.syncStatus === 'pending' && JSON.stringify(this.messageFields(draft)) === pushed;
+
+      await draft.update(isCurrent
+        ? { ...remoteIds, syncStatus: 'synced', attempts: 0, nextAttemptAt: null, lastError: null }
+        : remoteIds);
+    } catch (error) {
+      const attempts = draft.attempts + 1;
+      const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+
+      logger.warn(`Draft ${draft.id} sync failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+
+      // Out of attempts, the draft waits for its next edit
+      await draft.update({
+        attempts,
+        nextAttemptAt: attempts >= MAX_ATTEMPTS ? null : new Date(Date.now() + delay),
+        lastError: error.message
+      });
+    }
+  }
+
+  /**
+   * Bring the user's Gmail drafts into the drafts table: new drafts are
+   * added, synced ones take Gmail's changes and are removed once gone from
+   * Gmail (deleted or sent there). Pending drafts changed in Gmail too
+   * become conflicts.
+   * @param {Object} user - User record
+   */
+  async pull(user) {
+    const remoteDrafts = await gmailService.listDrafts(user);
+    const localDrafts = await Draft.findAll({ where: { userId: user.id } });
+    const byDraftId = new Map(localDrafts
+      .filter(draft => draft.gmailDraftId)
+      .map(draft => [draft.gmailDraftId, draft]));
+
+    for (const remote of remoteDrafts) {
+      const draft = byDraftId.get(remote.id);
+      byDraftId.delete(remote.id);
+
+      if (!draft) {
+        await Draft.create({
+          userId: user.id,
+          ...await this.readRemote(user, remote),
+          syncStatus: 'synced'
+        });
+        continue;
+      }
+
+      if (remote.message.id === draft.gmailMessageId) continue;
+
+      if (draft.syncStatus === 'synced') {
+        await draft.update(await this.readRemote(user, remote));
+      } else if (draft.syncStatus === 'pending') {
+        await this.markConflict(draft, 'Changed in Gmail');
+      }
+    }
+
+    // Left over: drafts no longer in Gmail
+    for (const draft of byDraftId.values()) {
+      if (draft.syncStatus === 'synced') {
+        await draft.destroy();
+      } else if (draft.syncStatus === 'pending') {
+        await this.markConflict(draft, 'Deleted or sent in Gmail');
+      }
+    }
+  }
+
+  /**
+   * Draft fields from a Gmail draft's message
+   * @param {Object} user - User record
+   * @param {Object} remote - Gmail draft ({ id, message: { id, threadId } })
+   * @returns {Object} Draft fields
+   */
+  async readRemote(user, remote) {
+    const tree = await gmailService.getMessageTree(user, remote.message.id);
+    const header = (name) => mimeParser.decodeHeader(mimeParser.getHeader(tree.headers, name));
+    const { text, html } = mimeParser.extractBodies(tree);
+    const attachments = await composeService.loadAttachments(user, remote.message.id, tree);
+
+    return {
+      gmailDraftId: remote.id,
+      gmailMessageId: remote.message.id,
+      threadId: remote.message.threadId || null,
+      to: mimeBuilder.parseAddressList(header('To')),
+      cc: mimeBuilder.parseAddressList(header('Cc')),
+      bcc: mimeBuilder.parseAddressList(header('Bcc')),
+      subject: header('Subject') || null,
+      text: text || null,
+      html: html || null,
+      attachments: attachments.map(attachment => ({
+        ...attachment,
+        content: attachment.content.toString('base64')
+      })),
+      inReplyTo: mimeParser.getHeader(tree.headers, 'In-Reply-To').trim() || null,
+      references: mimeParser.getHeader(tree.headers, 'References').trim() || null
+    };
+  }
+
+  /**
+   * Message source for a draft, with its threading headers
+   * @param {Object} user - User record
+   * @param {Object} draft - Draft record
+   * @returns {Buffer}
+   */
+  buildRaw(user, draft) {
+    return composeService.compose(user, this.messageFields(draft), {
+      headers: {
+        'In-Reply-To': draft.inReplyTo,
+        References: draft.references
+      }
+    });
+  }
+
+  async markConflict(draft, reason) {
+    logger.info(`Draft ${draft.id} is in conflict with Gmail: ${reason}`);
+
+    await draft.update({
+      syncStatus: 'conflict',
+      nextAttemptAt: null,
+      lastError: reason
+    });
+  }
+
+  /**
+   * The editable fields of a message, with the defaults of a blank draft
+   * @param {Object} message - Request body or draft record
+   * @returns {Object}
+   */
+  messageFields(message) {
+    return {
+      to: message.to || [],
+      cc: message.cc || [],
+      bcc: message.bcc || [],
+      subject: message.subject || null,
+      text: message.text || null,
+      html: message.html || null,
+      attachments: message.attachments || []
+    };
+  }
+
+  getErrorStatus(error) {
+    return ERROR_STATUS[error.code] || null;
+  }
+
+  /**
+   * Summarize a draft for API responses
+   * @param {Object} draft - Draft record
+   * @param {Object} options - { content: include attachment content }
+   * @returns {Object}
+   */
+  describe(draft, options = {}) {
+    const { content = false } = options;
+
+    return {
+      id: draft.id,
+      gmailDraftId: draft.gmailDraftId,
+      threadId: draft.threadId,
+      ...MESSAGE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: draft[field] }), {}),
+      attachments: (draft.attachments || []).map(({ filename, mimeType, content: data }) => ({
+        filename,
+        mimeType,
+        size: Buffer.byteLength(data || '', 'base64'),
+        ...(content && { content: data })
+      })),
+      isReply: Boolean(draft.inReplyTo),
+      syncStatus: draft.syncStatus,
+      ...(draft.lastError && { lastError: draft.lastError }),
+      updatedAt: draft.updatedAt
+    };
+  }
+}
+
+module.exports = new DraftService();
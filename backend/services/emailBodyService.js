@@ -0,0 +1,100 @@
+const { EmailBody } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const mimeParser = require('./mimeParser');
+const htmlSanitizer = require('./htmlSanitizer');
+
+class EmailBodyService {
+  /**
+   * Whether fetched bodies are cached in the email_bodies table
+   * @returns {boolean}
+   */
+  isCacheEnabled() {
+    return process.env.EMAIL_BODY_CACHE !== 'false';
+  }
+
+  /**
+   * Get the text/plain and text/html bodies of a message, from the cache
+   * when possible, otherwise from Gmail. The HTML body is sanitized on every
+   * read so sanitizer changes apply to cached bodies too.
+   * @param {Object} user - User record
+   * @param {Object} email - EmailMetadata record owned by the user
+   * @param {Object} options - { refresh: bypass the cache, allowExternalImages: keep remote images }
+   * @returns {Object} { text, html, externalResources, fetchedAt, cached }
+   */
+  async getBody(user, email, options = {}) {
+    const { refresh = false, allowExternalImages = false } = options;
+    const body = await this.loadBody(user, email, refresh);
+    const sanitized = body.html
+      ? htmlSanitizer.sanitize(body.html, { allowExternalImages })
+      : { html: null, externalResources: 0 };
+
+    return {
+      text: body.text,
+      html: sanitized.html,
+      externalResources: sanitized.externalResources,
+      fetchedAt: body.fetchedAt,
+      cached: body.cached
+    };
+  }
+
+  async loadBody(user, email, refresh) {
+    // Imported messages have no Gmail copy; their stored body is the only one
+    const isImported = !email.gmailMessageId;
+
+    if ((this.isCacheEnabled() && !refresh) || isImported) {
+      const cached = await EmailBody.findOne({ where: { emailId: email.id } });
+
+      if (cached || isImported) {
+        return {
+          text: cached ? cached.textBody : null,
+          html: cached ? cached.htmlBody : null,
+          fetchedAt: cached ? cached.fetchedAt : null,
+          cached: true
+        };
+      }
+    }
+
+    const tree = await gmailService.getMessageTree(user, email.gmailMessageId, { inlineImages: true });
+    const { text, html } = mimeParser.extractBodies(tree);
+    const resolvedHtml = html ? this.resolveContentIds(html, mimeParser.getInlineImages(tree)) : null;
+    const fetchedAt = new Date();
+
+    if (this.isCacheEnabled()) {
+      try {
+        await EmailBody.upsert({
+          emailId: email.id,
+          textBody: text,
+          htmlBody: resolvedHtml,
+          fetchedAt
+        });
+      } catch (error) {
+        // A failed cache write shouldn't fail the request
+        logger.error(`Error caching body of email ${email.id}:`, error);
+      }
+    }
+
+    return { text, html: resolvedHtml, fetchedAt, cached: false };
+  }
+
+  /**
+   * Replace cid: references with the inline images they point to.
+   * References to images that weren't loaded are left for the sanitizer to drop.
+   * @param {string} html - HTML body
+   * @param {Map} images - contentId -> data URI
+   * @returns {string} HTML body
+   */
+  resolveContentIds(html, images) {
+    return html.replace(/cid:([^"'\s)>]+)/gi, (match, contentId) => {
+      let id = contentId;
+      try {
+        id = decodeURIComponent(contentId);
+      } catch (error) {
+        // Not percent-encoded
+      }
+      return images.get(id) || match;
+    });
+  }
+}
+
+module.exports = new EmailBodyService();
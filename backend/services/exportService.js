@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, EmailMetadata, ExportJob } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const retryPolicy = require('./retryPolicy');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports');
+const EXPORT_TTL_MS = parseInt(process.env.EXPORT_TTL_MS) || 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const PAGE_SIZE = 100;
+const RATE_LIMIT_WAIT_MS = 60 * 1000;
+const STOP_CHECK_MS = 1000;
+
+// EmailMetadata columns written to JSON Lines exports
+const JSONL_ATTRIBUTES = [
+  'id', 'messageId', 'gmailMessageId', 'threadId', 'subject', 'sender', 'senderName',
+  'recipient', 'snippet', 'receivedDate', 'isRead', 'isStarred', 'hasAttachments',
+  'labels', 'priority', 'size', 'source'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// asctime() format used on mbox "From " separator lines, e.g. "Mon Jan  5 09:03:00 2026"
+const asctime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+};
+
+class ExportService {
+  constructor() {
+    // jobId -> { stopRequested, promise } for jobs running in this process
+    this.runners = new Map();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Restart exports interrupted by the last shutdown and begin removing
+   * expired artifacts
+   */
+  async start() {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL_MS);
+
+    try {
+      await this.removeExpired();
+
+      const jobs = await ExportJob.findAll({ where: { status: ['pending', 'running'] } });
+      jobs.forEach(job => this.launch(job));
+
+      if (jobs.length > 0) {
+        logger.info(`Restarted ${jobs.length} export job(s)`);
+      }
+    } catch (error) {
+      logger.error('Error restarting export jobs:', error);
+    }
+  }
+
+  /**
+   * Ask running exports to stop and wait for them. They restart from the
+   * beginning on the next start, since a partial file can't be resumed.
+   */
+  async stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
+    const runners = [...this.runners.values()];
+    runners.forEach(runner => {
+      runner.stopRequested = true;
+    });
+
+    await Promise.all(runners.map(runner => runner.promise));
+  }
+
+  /**
+   * Queue an export of the user's indexed mail and start it in the background
+   * @param {Object} user - User record
+   * @param {Object} options - { format: 'mbox' | 'jsonl', filters: GET /api/emails filters }
+   * @returns {Object} Export job record
+   */
+  async createJob(user, options) {
+    const { format, filters = {} } = options;
+
+    const active = await ExportJob.findOne({
+      where: { userId: user.id, status: ['pending', 'running'] }
+    });
+
+    if (active) {
+      const error = new Error('An export is already in progress');
+      error.code = 'EXPORT_IN_PROGRESS';
+      throw error;
+    }
+
+    const job = await ExportJob.create({
+      userId: user.id,
+      format,
+      filters
+    });
+
+    this.launch(job);
+    return job;
+  }
+
+  /**
+   * Find one of a user's export jobs
+   * @param {number} userId - User ID
+   * @param {number} exportId - Export job ID
+   * @returns {Object|null} Export job record
+   */
+  async findForUser(userId, exportId) {
+    return ExportJob.findOne({ where: { id: exportId, userId } });
+  }
+
+  /**
+   * Download filename for a finished export
+   * @param {Object} job - Export job record
+   * @returns {string} Filename
+   */
+  getFilename(job) {
+    const date = new Date(job.createdAt).toISOString().slice(0, 10);
+    return `mailbox-export-${date}-${job.id}.${job.format}`;
+  }
+
+  /**
+   * Run a job in the background
+   * @param {Object} job - Export job record
+   */
+  launch(job) {
+    const runner = { stopRequested: false, promise: null };
+    this.runners.set(job.id, runner);
+
+    runner.promise = this.run(job, runner)
+      .catch(error => logger.error(`Export runner crashed for job ${job.id}:`, error))
+      .finally(() => this.runners.delete(job.id));
+  }
+
+  /**
+   * Write every matching message to the job's artifact file
+   * @param {Object} job - Export job record
+   * @param {Object} runner - Runner state for stop requests
+   */
+  async run(job, runner) {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+    // A restarted job begins again with a fresh file
+    await this.removeFile(job);
+
+    const where = EmailMetadata.buildListFilter(job.userId, job.filters);
+    const filePath = path.join(EXPORT_DIR, `${job.id}-${crypto.randomBytes(8).toString('hex')}.${job.format}`);
+
+    await job.update({
+      status: 'running',
+      totalMessages: await EmailMetadata.count({ where }),
+      exportedMessages: 0,
+      failedMessages: 0,
+      filePath,
+      fileSize: null,
+      startedAt: new Date(),
+      lastError: null
+    });
+
+    const output = fs.createWriteStream(filePath);
+    // Write errors surface through write() and close()
+    output.on('error', () => {});
+
+    try {
+      const user = await User.findByPk(job.userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found or inactive');
+      }
+
+      let lastId = 0;
+
+      while (!runner.stopRequested) {
+        // Keyset paging, so messages synced during the export don't shift pages
+        const emails = await EmailMetadata.findAll({
+          where: { ...where, id: { [Op.gt]: lastId } },
+          order: [['id', 'ASC']],
+          limit: PAGE_SIZE
+        });
+
+        if (emails.length === 0) break;
+
+        const counts = { exported: 0, failed: 0 };
+        for (const email of emails) {
+          if (runner.stopRequested) break;
+
+          const written = job.format === 'mbox'
+            ? await this.writeMboxMessage(output, user, email, runner)
+            : await this.writeJsonLine(output, email);
+
+          counts[written ? 'exported' : 'failed']++;
+          lastId = email.id;
+        }
+
+        await job.update({
+          exportedMessages: job.exportedMessages + counts.exported,
+          failedMessages: job.failedMessages + counts.failed
+        });
+      }
+
+      await this.close(output);
+
+      if (runner.stopRequested) {
+        logger.info(`Export ${job.id} interrupted; it will restart on the next start`);
+        return;
+      }
+
+      const { size } = await fs.promises.stat(filePath);
+      await job.update({
+        status: 'completed',
+        fileSize: size,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+      });
+      logger.info(`Export ${job.id} completed for user ${job.userId}: ${job.exportedMessages} messages, ${size} bytes`);
+    } catch (error) {
+      logger.error(`Export ${job.id} failed for user ${job.userId}:`, error);
+      await this.close(output).catch(() => {});
+      await this.removeFile(job);
+      await job.update({
+        status: 'failed',
+        filePath: null,
+        lastError: error.message
+      });
+    }
+  }
+
+  /**
+   * Append one message to an mbox file (mboxrd: "From " lines in the
+   * message are quoted with '>')
+   * @param {Object} output - File write stream
+   * @param {Object} user - User record
+   * @param {Object} email - EmailMetadata record
+   * @param {Object} runner - Runner state for stop requests
+   * @returns {boolean} Whether the message was written
+   */
+  async writeMboxMessage(output, user, email, runner) {
+    if (!email.gmailMessageId) return false;
+
+    let raw;
+    while (!raw) {
+      try {
+        raw = await this.readRawMessage(user, email.gmailMessageId);
+      } catch (error) {
+        const code = gmailService.getErrorCode(error);
+
+        if (code === 'AUTHENTICATION_REQUIRED') throw error;
+
+        // Rate limiting is temporary: wait and retry the same message
+        if (code === 'RATE_LIMIT_EXCEEDED' && !runner.stopRequested) {
+          const { openUntil } = retryPolicy.getState(user.id);
+          await this.wait(runner, openUntil ? Math.max(openUntil - Date.now(), STOP_CHECK_MS) : RATE_LIMIT_WAIT_MS);
+          continue;
+        }
+
+        logger.warn(`Export skipped email ${email.id}: ${error.message}`);
+        return false;
+      }
+    }
+
+    // latin1 keeps one character per byte, so 8bit content is written back unchanged
+    const body = raw.toString('latin1')
+      .split(/\r?\n/)
+      .map(line => (/^>*From /.test(line) ? `>${line}` : line))
+      .join('\n')
+      .replace(/\n*$/, '\n');
+
+    const from = (email.sender || 'MAILER-DAEMON').replace(/\s+/g, '');
+    await this.write(output, Buffer.from(`From ${from} ${asctime(new Date(email.receivedDate))}\n${body}\n`, 'latin1'));
+    return true;
+  }
+
+  /**
+   * Append one EmailMetadata row, labels included, as a JSON line
+   * @param {Object} output - File write stream
+   * @param {Object} email - EmailMetadata record
+   * @returns {boolean} Always true
+   */
+  async writeJsonLine(output, email) {
+    const row = {};
+    JSONL_ATTRIBUTES.forEach(attribute => {
+      row[attribute] = email[attribute];
+    });
+
+    await this.write(output, `${JSON.stringify(row)}\n`);
+    return true;
+  }
+
+  async readRawMessage(user, gmailMessageId) {
+    const stream = await gmailService.getRawMessageStream(user, gmailMessageId);
+    const chunks = [];
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Delete artifacts of exports past their expiry
+   */
+  async removeExpired() {
+    try {
+      const jobs = await ExportJob.findAll({
+        where: {
+          status: 'completed',
+          expiresAt: { [Op.lte]: new Date() }
+        }
+      });
+
+      for (const job of jobs) {
+        await this.removeFile(job);
+        await job.update({ status: 'expired', filePath: null });
+      }
+
+      if (jobs.length > 0) {
+        logger.info(`Removed ${jobs.length} expired export(s)`);
+      }
+    } catch (error) {
+      logger.error('Error removing expired exports:', error);
+    }
+  }
+
+  async removeFile(job) {
+    if (!job.filePath) return;
+
+    try {
+      await fs.promises.unlink(job.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error removing export file ${job.filePath}:`, error);
+      }
+    }
+  }
+
+  // Waiting for each chunk to flush keeps at most one message in memory
+  async write(output, chunk) {
+    await new Promise((resolve, reject) => {
+      output.write(chunk, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async close(output) {
+    await new Promise((resolve, reject) => {
+      output.end(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Sleep for up to `ms`, waking early if the runner is asked to stop
+   * @param {Object} runner - Runner state for stop requests
+   * @param {number} ms - Milliseconds to wait
+   */
+  async wait(runner, ms) {
+    const until = Date.now() + ms;
+
+    while (!runner.stopRequested && Date.now() < until) {
+      await sleep(Math.min(STOP_CHECK_MS, until - Date.now()));
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -1,8 +1,109 @@
+const { Transform, pipeline } = require('stream');
 const { google } = require('googleapis');
 const imaps = require('imap-simple');
-const { EmailMetadata } = require('../models');
+const { EmailMetadata, Attachment } = require('../models');
 const { logger } = require('../config/database');
 const authService = require('./authService');
+const quotaManager = require('./quotaManager');
+const retryPolicy = require('./retryPolicy');
+const mimeParser = require('./mimeParser');
+const threadService = require('./threadService');
+
+// Labels whose messages are mirrored into EmailMetadata (sent mail is kept
+// so conversations include the user's own replies)
+const SYNC_LABEL_IDS = ['INBOX', 'SENT'];
+
+// Gmail search matching messages in any synced label; like Gmail's own
+// searches it leaves out trash and spam
+const SYNC_QUERY = `{${SYNC_LABEL_IDS.map(id => `in:${id.toLowerCase()}`).join(' ')}}`;
+
+// Labels that take a message out of the synced set even with a synced label on it
+const UNSYNCED_LABEL_IDS = ['TRASH', 'SPAM'];
+
+// History record types applied during incremental sync
+const HISTORY_TYPES = ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'];
+
+// Upper bound on messages re-checked per listed page during reconciliation
+const MAX_RECONCILE_CHECKS = 50;
+
+// Fields fetched for each synced message: format 'full' narrowed to the
+// headers and part structure (no body data), nested PART_DEPTH levels deep
+const PART_DEPTH = 6;
+const partFields = (depth) => 'partId,mimeType,filename,headers,body(size,attachmentId)' +
+  (depth > 0 ? `,parts(${partFields(depth - 1)})` : '');
+const MESSAGE_FIELDS = `id,threadId,labelIds,snippet,sizeEstimate,historyId,payload(${partFields(PART_DEPTH)})`;
+
+// Gmail batch endpoint; Google recommends at most 50 calls per batch
+const BATCH_URL = 'https://gmail.googleapis.com/batch/gmail/v1';
+const BATCH_SIZE = Math.min(parseInt(process.env.GMAIL_BATCH_SIZE) || 50, 100);
+
+// Parallel single requests when a batch has to fall back to them
+const FETCH_CONCURRENCY = parseInt(process.env.GMAIL_FETCH_CONCURRENCY) || 10;
+
+// Largest cid: image embedded into an HTML body as a data URI
+const INLINE_IMAGE_MAX_BYTES = parseInt(process.env.INLINE_IMAGE_MAX_BYTES) || 512 * 1024;
+
+/**
+ * Decode one base64url member of a Gmail JSON response as it streams in
+ * (attachment "data", message "raw"), without buffering the whole response
+ * @param {string} field - Member name
+ * @returns {Transform} JSON in, bytes out
+ */
+const createFieldDecoder = (field) => {
+  let state = 'seek';
+  let pending = '';
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (state === 'done') return callback();
+
+      pending += chunk.toString('latin1');
+
+      if (state === 'seek') {
+        const match = pending.match(new RegExp(`"${field}"\\s*:\\s*"`));
+        if (!match) {
+          return pending.length > 1024
+            ? callback(new Error(`Gmail response has no "${field}" member`))
+            : callback();
+        }
+        pending = pending.slice(match.index + match[0].length);
+        state = 'data';
+      }
+
+      const end = pending.indexOf('"');
+      if (end >= 0) {
+        state = 'done';
+      }
+
+      // Decode whole 4-character groups; the rest waits for the next chunk
+      const data = end >= 0 ? pending.slice(0, end) : pending;
+      const usable = state === 'done' ? data.length : data.length - (data.length % 4);
+      pending = state === 'done' ? '' : data.slice(usable);
+
+      if (usable > 0) {
+        this.push(mimeParser.decodeBase64Url(data.slice(0, usable)));
+      }
+      callback();
+    },
+
+    flush(callback) {
+      callback(state === 'done' ? null : new Error('Gmail response ended early'));
+    }
+  });
+};
+
+const isInSyncedLabels = (labelIds = []) => (
+  labelIds.some(id => SYNC_LABEL_IDS.includes(id)) &&
+  !labelIds.some(id => UNSYNCED_LABEL_IDS.includes(id))
+);
+
+const FULL_ACCESS_REQUIRED_MESSAGE = 'Permanent delete needs full mailbox access, which has not been granted';
+
+// Snoozing can take a message out of the inbox; it stays stored until it wakes
+const isKept = (labelIds = [], isSnoozed = false) => (
+  isInSyncedLabels(labelIds) ||
+  (isSnoozed && !labelIds.some(id => UNSYNCED_LABEL_IDS.includes(id)))
+);
 
 class GmailService {
   constructor() {
@@ -10,173 +111,1406 @@ class GmailService {
     this.oauth2Client = null;
   }
   /**
-   * Initialize Gmail API client with user credentials
-   * @param {Object} user - User record with tokens
+   * Initialize Gmail API client with user credentials
+   * @param {Object} user - User record with tokens
+   * @returns {Object} Gmail API client
+   */
+  async initializeClient(user) {
+    try {
+      // Validate required environment variables
+      if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET || !process.env.GOOGLE_REDIRECT_URI) {
+        throw new Error('Missing Google OAuth configuration in environment variables');
+      }
+
+      // Validate user tokens
+      if (!user.accessToken && !user.refreshToken) {
+        throw new Error('User has no valid OAuth tokens. Re-authentication required.');
+      }
+
+      // Check if token is expired and refresh if needed
+      if (user.isTokenExpired()) {
+        logger.info(`Token expired for user ${user.email}, attempting refresh...`);
+        
+        if (!user.refreshToken) {
+          throw new Error('Refresh token not available. User needs to re-authenticate.');
+        }
+
+        try {
+          await authService.refreshAccessToken(user);
+          // Reload user to get updated token
+          await user.reload();
+          logger.info(`Token refreshed successfully for user ${user.email}`);
+        } catch (refreshError) {
+          logger.error(`Failed to refresh token for user ${user.email}:`, refreshError);
+          
+          // Handle specific OAuth errors
+          if (refreshError.message.includes('invalid_grant')) {
+            throw new Error('Refresh token is invalid or expired. User needs to re-authenticate.');
+          }
+          throw new Error('Failed to refresh access token. Please re-authenticate.');
+        }
+      }
+
+      this.oauth2Client = this.createOAuthClient(user);
+
+      this.gmail = google.gmail({
+        version: 'v1',
+        auth: this.oauth2Client
+      });
+
+      logger.info(`Gmail client initialized for user: ${user.email}`);
+      return this.gmail;
+    } catch (error) {
+      logger.error('Error initializing Gmail client:', error);
+      
+      // Re-throw with more specific error message
+      if (error.message.includes('re-authenticate')) {
+        throw error; // Pass through authentication errors as-is
+      }
+      throw new Error(`Failed to initialize Gmail connection: ${error.message}`);
+    }
+  }
+  /**
+   * Build an OAuth2 client carrying the user's tokens
+   * @param {Object} user - User record with tokens
+   * @returns {Object} OAuth2 client
+   */
+  createOAuthClient(user) {
+    const oauth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      process.env.GOOGLE_REDIRECT_URI
+    );
+
+    oauth2Client.setCredentials({
+      access_token: user.accessToken,
+      refresh_token: user.refreshToken
+    });
+
+    return oauth2Client;
+  }
+
+  /**
+   * Make a Gmail API call once the user has quota for it, retrying
+   * transient failures (see retryPolicy)
+   * @param {Object} user - User record
+   * @param {string} method - Gmail API method, e.g. 'users.messages.get'
+   * @param {Function} request - Performs the call
+   * @returns {Promise} The call's response
+   */
+  async callApi(user, method, request) {
+    return retryPolicy.run(user.id, async () => {
+      await quotaManager.acquire(user.id, method);
+      return request();
+    });
+  }
+
+  /**
+   * Fetch emails from Gmail API with pagination
+   * @param {Object} user - User record
+   * @param {Object} options - Fetch options
+   * @returns {Object} Emails data with pagination info
+   */
+  async fetchEmails(user, options = {}) {
+    try {
+      const { maxResults = 20 } = options;
+
+      const page = await this.syncMessagePage(user, options);
+
+      if (page.emails.length === 0) {
+        return {
+          emails: [],
+          nextPageToken: page.nextPageToken,
+          totalCount: 0,
+          added: 0,
+          updated: 0,
+          deleted: 0,
+          failed: page.failed
+        };
+      }
+
+      // Get stored emails with additional metadata
+      const storedEmails = await EmailMetadata.findByUser(user.id, {
+        limit: maxResults,
+        where: {
+          gmailMessageId: page.emails.map(email => email.gmailMessageId)
+        }
+      });
+
+      return {
+        emails: storedEmails.rows,
+        nextPageToken: page.nextPageToken,
+        totalCount: storedEmails.count,
+        added: page.added,
+        updated: page.updated,
+        deleted: page.deleted,
+        failed: page.failed
+      };
+    } catch (error) {
+      logger.error('Error fetching emails:', error);
+      
+      // Provide more specific error messages
+      if (error.message.includes('re-authenticate') || error.message.includes('authentication failed')) {
+        throw error; // Pass through authentication errors
+      }
+      
+      throw new Error(`Failed to fetch emails from Gmail: ${error.message}`);
+    }
+  }
+
+  /**
+   * List one page of messages from Gmail and store their metadata
+   * @param {Object} user - User record
+   * @param {Object} options - Fetch options
+   * @returns {Object} Parsed emails, next page token, Gmail's size estimate,
+   *   stored counts and the number of messages that could not be fetched
+   */
+  async syncMessagePage(user, options = {}) {
+    const gmail = await this.initializeClient(user);
+
+    const {
+      maxResults = 20,
+      pageToken = null,
+      query = ''
+    } = options;
+
+    // Build Gmail API query
+    const searchQuery = query ? `${SYNC_QUERY} ${query}` : SYNC_QUERY;
+
+    // Fetch message list with proper error handling
+    let listResponse;
+    try {
+      listResponse = await this.callApi(user, 'users.messages.list', () => gmail.users.messages.list({
+        userId: 'me',
+        maxResults,
+        pageToken,
+        q: searchQuery
+      }));
+    } catch (apiError) {
+      logger.error('Gmail API error while listing messages:', apiError);
+      throw this.translateApiError(apiError);
+    }
+
+    const nextPageToken = listResponse.data.nextPageToken || null;
+    const resultSizeEstimate = listResponse.data.resultSizeEstimate || 0;
+
+    if (!listResponse.data.messages) {
+      return { emails: [], nextPageToken, resultSizeEstimate, added: 0, updated: 0, deleted: 0, failed: 0 };
+    }
+
+    const listedIds = listResponse.data.messages.map(message => message.id);
+
+    // Fetch detailed message data in batches for performance
+    const { emails, failedIds } = await this.fetchMessageMetadata(user, gmail, listedIds);
+
+    // Store/update emails in database
+    const { added, updated } = await this.storeEmails(emails);
+
+    if (failedIds.length > 0) {
+      // Still listed in Gmail, so rows we already have must not look unseen
+      await EmailMetadata.update({ lastSeenAt: new Date() }, {
+        where: { userId: user.id, gmailMessageId: failedIds }
+      });
+      logger.warn(`Kept ${emails.length} of ${listedIds.length} listed messages for user ${user.email}; ${failedIds.length} could not be fetched`);
+    }
+
+    // A filtered listing says nothing about messages outside the filter
+    const deleted = query
+      ? 0
+      : await this.reconcileListedPage(user, gmail, emails, {
+        listedIds,
+        isFirstPage: !pageToken,
+        isLastPage: !nextPageToken
+      });
+
+    return { emails, nextPageToken, resultSizeEstimate, added, updated, deleted, failed: failedIds.length };
+  }
+
+  /**
+   * Find local messages that should have appeared in a listed page but
+   * didn't, re-check them with Gmail and tombstone the ones that were
+   * deleted or have left the synced labels
+   * @param {Object} user - User record
+   * @param {Object} gmail - Gmail API client
+   * @param {Array} emails - Parsed emails from the listed page
+   * @param {Object} page - { listedIds, isFirstPage, isLastPage }; the flags open the date range at either end
+   * @returns {number} Number of messages tombstoned
+   */
+  async reconcileListedPage(user, gmail, emails, page) {
+    const { Op } = require('sequelize');
+
+    if (emails.length === 0) return 0;
+
+    const dates = emails.map(email => email.receivedDate.getTime());
+    const where = {
+      userId: user.id,
+      source: 'gmail',
+      isDeleted: false,
+      // Snoozed out of the inbox, so not listed
+      snoozedUntil: null,
+      gmailMessageId: {
+        [Op.notIn]: page.listedIds || emails.map(email => email.gmailMessageId)
+      }
+    };
+
+    if (!page.isLastPage) {
+      where.receivedDate = {
+        ...(where.receivedDate || {}),
+        [Op.gte]: new Date(Math.min(...dates))
+      };
+    }
+
+    if (!page.isFirstPage) {
+      where.receivedDate = {
+        ...(where.receivedDate || {}),
+        [Op.lte]: new Date(Math.max(...dates))
+      };
+    }
+
+    const missing = await EmailMetadata.findAll({
+      where,
+      attributes: ['id', 'gmailMessageId'],
+      limit: MAX_RECONCILE_CHECKS
+    });
+
+    const gone = [];
+    for (const email of missing) {
+      try {
+        const { data } = await this.callApi(user, 'users.messages.get', () => gmail.users.messages.get({
+          userId: 'me',
+          id: email.gmailMessageId,
+          format: 'minimal'
+        }));
+
+        if (!isInSyncedLabels(data.labelIds)) {
+          await email.update({ labels: data.labelIds || [] });
+          gone.push(email.gmailMessageId);
+        }
+      } catch (apiError) {
+        if (apiError.code === 404) {
+          gone.push(email.gmailMessageId);
+        } else {
+          logger.error(`Error re-checking message ${email.gmailMessageId}:`, apiError);
+        }
+      }
+    }
+
+    const deleted = await EmailMetadata.tombstone(user.id, gone);
+    await threadService.refreshForMessages(user.id, gone);
+
+    return deleted;
+  }
+
+  /**
+   * Tombstone messages that a completed full walk of the mailbox never saw
+   * @param {Object} user - User record
+   * @param {Date} walkStartedAt - When the walk started
+   * @returns {number} Number of messages tombstoned
+   */
+  async tombstoneUnseen(user, walkStartedAt) {
+    const { Op } = require('sequelize');
+
+    const [count] = await EmailMetadata.update({
+      isDeleted: true,
+      deletedAt: new Date()
+    }, {
+      where: {
+        userId: user.id,
+        // Imported messages are never listed by Gmail, nor are messages snoozed out of the inbox
+        source: 'gmail',
+        isDeleted: false,
+        snoozedUntil: null,
+        [Op.or]: [
+          { lastSeenAt: null },
+          { lastSeenAt: { [Op.lt]: walkStartedAt } }
+        ]
+      }
+    });
+
+    if (count > 0) {
+      logger.info(`Tombstoned ${count} messages no longer in the mailbox for user ${user.email}`);
+      await threadService.rebuild(user.id);
+    }
+
+    return count;
+  }
+
+  /**
+   * Get the total number of messages carrying a label
+   * @param {Object} user - User record
+   * @param {string} labelId - Gmail label ID
+   * @returns {number} Message count
+   */
+  async getLabelMessageCount(user, labelId) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.labels.get', () => (
+        gmail.users.labels.get({ userId: 'me', id: labelId })
+      ));
+      return data.messagesTotal || 0;
+    } catch (apiError) {
+      logger.error(`Gmail API error while reading label ${labelId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Estimate how many messages a full sync covers (messages in more than
+   * one synced label, such as sent mail to oneself, count more than once)
+   * @param {Object} user - User record
+   * @returns {number} Message count
+   */
+  async getSyncedMessageCount(user) {
+    const counts = await Promise.all(SYNC_LABEL_IDS.map(labelId => this.getLabelMessageCount(user, labelId)));
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Get all of a user's labels with their message and thread counts.
+   * labels.list leaves the counts out, so each label is read with
+   * labels.get; a label deleted in between is dropped.
+   * @param {Object} user - User record
+   * @returns {Array} Gmail label resources
+   */
+  async listLabels(user) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.labels.list', () => (
+        gmail.users.labels.list({ userId: 'me' })
+      ));
+
+      const labels = await this.mapWithConcurrency(data.labels || [], FETCH_CONCURRENCY, async (label) => {
+        try {
+          const response = await this.callApi(user, 'users.labels.get', () => (
+            gmail.users.labels.get({ userId: 'me', id: label.id })
+          ));
+          return response.data;
+        } catch (apiError) {
+          if (apiError.code === 404) return null;
+          throw apiError;
+        }
+      });
+
+      return labels.filter(Boolean);
+    } catch (apiError) {
+      logger.error('Gmail API error while listing labels:', apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Create a user label
+   * @param {Object} user - User record
+   * @param {Object} resource - { name, color, labelListVisibility, messageListVisibility }
+   * @returns {Object} Gmail label resource
+   */
+  async createLabel(user, resource) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.labels.create', () => (
+        gmail.users.labels.create({ userId: 'me', requestBody: resource })
+      ));
+      return data;
+    } catch (apiError) {
+      logger.error('Gmail API error while creating label:', apiError);
+      throw this.translateLabelError(apiError);
+    }
+  }
+
+  /**
+   * Rename or recolor a user label (only the given fields change)
+   * @param {Object} user - User record
+   * @param {string} labelId - Gmail label ID
+   * @param {Object} resource - Fields to change
+   * @returns {Object} Gmail label resource
+   */
+  async updateLabel(user, labelId, resource) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.labels.patch', () => (
+        gmail.users.labels.patch({ userId: 'me', id: labelId, requestBody: resource })
+      ));
+      return data;
+    } catch (apiError) {
+      logger.error(`Gmail API error while updating label ${labelId}:`, apiError);
+      throw this.translateLabelError(apiError);
+    }
+  }
+
+  /**
+   * Delete a user label; Gmail removes it from every message
+   * @param {Object} user - User record
+   * @param {string} labelId - Gmail label ID
+   */
+  async deleteLabel(user, labelId) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      await this.callApi(user, 'users.labels.delete', () => (
+        gmail.users.labels.delete({ userId: 'me', id: labelId })
+      ));
+    } catch (apiError) {
+      // Already gone in Gmail
+      if (apiError.code === 404) return;
+
+      logger.error(`Gmail API error while deleting label ${labelId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Translate a labels.create/patch error, keeping the cases the client
+   * can act on (duplicate name, unknown label, rejected name or color) as
+   * error codes
+   * @param {Object} apiError - Error thrown by the Gmail API client
+   * @returns {Error} Translated error
+   */
+  translateLabelError(apiError) {
+    const codes = { 400: 'INVALID_LABEL', 404: 'LABEL_NOT_FOUND', 409: 'LABEL_EXISTS' };
+
+    if (!codes[apiError.code]) {
+      return this.translateApiError(apiError);
+    }
+
+    const error = new Error(apiError.message || 'Gmail rejected the label');
+    error.code = codes[apiError.code];
+    return error;
+  }
+
+  /**
+   * Fetch metadata (headers, labels and part structure) for a list of Gmail
+   * message IDs. Messages are requested
+   * through Gmail's batch endpoint; calls that fail inside a batch (or
+   * batches that fail outright) are retried as single requests through a
+   * bounded pool.
+   * @param {Object} user - User record
+   * @param {Object} gmail - Gmail API client
+   * @param {Array} messageIds - Gmail message IDs
+   * @returns {Object} { emails: parsed email data, failedIds: messages that
+   *   could not be fetched (messages that no longer exist are in neither) }
+   */
+  async fetchMessageMetadata(user, gmail, messageIds) {
+    const messages = [];
+    const retry = [];
+
+    for (let i = 0; i < messageIds.length; i += BATCH_SIZE) {
+      const chunk = messageIds.slice(i, i + BATCH_SIZE);
+
+      try {
+        const results = await retryPolicy.run(user.id, () => this.batchGetMetadata(user, chunk));
+
+        results.forEach((result, index) => {
+          if (result.status === 200) {
+            messages.push(result.body);
+          } else if (result.status !== 404) {
+            retry.push(chunk[index]);
+          }
+        });
+      } catch (error) {
+        logger.warn(`Gmail batch request failed, falling back to single requests: ${error.message}`);
+        retry.push(...chunk);
+      }
+    }
+
+    const failedIds = [];
+    const retried = await this.mapWithConcurrency(retry, FETCH_CONCURRENCY, async (messageId) => {
+      try {
+        const { data } = await this.callApi(user, 'users.messages.get', () => gmail.users.messages.get({
+          userId: 'me',
+          id: messageId,
+          format: 'full',
+          fields: MESSAGE_FIELDS
+        }));
+        return data;
+      } catch (error) {
+        if (error.code !== 404) {
+          logger.error(`Error fetching message ${messageId}:`, error);
+          failedIds.push(messageId);
+        }
+        return null;
+      }
+    });
+
+    const emails = [...messages, ...retried.filter(Boolean)]
+      .map(message => {
+        try {
+          return this.parseEmailMessage(message, user.id);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(email => email !== null);
+
+    return { emails, failedIds };
+  }
+
+  /**
+   * Fetch metadata for up to BATCH_SIZE messages in one multipart/mixed
+   * request to Gmail's batch endpoint
+   * @param {Object} user - User record (tokens must be fresh)
+   * @param {Array} messageIds - Gmail message IDs
+   * @returns {Array} One { status, body } per message ID, in order
+   */
+  async batchGetMetadata(user, messageIds) {
+    const boundary = `batch_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    const query = new URLSearchParams({ format: 'full', fields: MESSAGE_FIELDS });
+
+    const body = messageIds.map((messageId, index) => [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item-${index}>`,
+      '',
+      `GET /gmail/v1/users/me/messages/${encodeURIComponent(messageId)}?${query}`,
+      '',
+      ''
+    ].join('\r\n')).join('') + `--${boundary}--`;
+
+    await quotaManager.acquire(user.id, 'users.messages.get', messageIds.length);
+
+    const response = await this.createOAuthClient(user).request({
+      url: BATCH_URL,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: body,
+      responseType: 'text'
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    const match = contentType.match(/boundary="?([^";]+)"?/i);
+    if (!match) {
+      throw new Error('Gmail batch response has no multipart boundary');
+    }
+
+    const results = messageIds.map(() => ({ status: 0, body: null }));
+    this.parseBatchResponse(response.data, match[1]).forEach(part => {
+      if (part.index !== null && results[part.index]) {
+        results[part.index] = { status: part.status, body: part.body };
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Split a multipart/mixed batch response into its embedded HTTP responses
+   * @param {string} text - Response body
+   * @param {string} boundary - Multipart boundary
+   * @returns {Array} Parts as { index, status, body }
+   */
+  parseBatchResponse(text, boundary) {
+    return text
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => {
+        const idMatch = part.match(/Content-ID:\s*<response-item-(\d+)>/i);
+        const httpStart = part.indexOf('HTTP/');
+        const http = httpStart >= 0 ? part.slice(httpStart) : '';
+        const statusMatch = http.match(/^HTTP\/[\d.]+\s+(\d{3})/);
+        const bodyStart = http.search(/\r?\n\r?\n/);
+
+        let body = null;
+        if (bodyStart >= 0) {
+          try {
+            body = JSON.parse(http.slice(bodyStart).trim());
+          } catch (error) {
+            body = null;
+          }
+        }
+
+        return {
+          index: idMatch ? parseInt(idMatch[1]) : null,
+          status: statusMatch ? parseInt(statusMatch[1]) : 0,
+          body
+        };
+      });
+  }
+
+  /**
+   * Map items through an async function with at most `limit` in flight
+   * @param {Array} items - Items to map
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - Async mapper
+   * @returns {Array} Results in input order
+   */
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Map a Gmail API error to an error with a user-facing message
+   * @param {Object} apiError - Error thrown by the Gmail API client
+   * @returns {Error} Translated error
+   */
+  translateApiError(apiError) {
+    // Quota errors come as 403 too, told apart by their reason
+    if (retryPolicy.isRateLimited(apiError)) {
+      return new Error('Gmail API rate limit exceeded. Please try again later.');
+    } else if (apiError.code === 401) {
+      return new Error('Gmail API authentication failed. User needs to re-authenticate.');
+    } else if (apiError.code === 403) {
+      return new Error('Gmail API access forbidden. Check OAuth scopes and permissions.');
+    }
+
+    return new Error(`Gmail API error: ${apiError.message || 'Unknown error'}`);
+  }
+
+  /**
+   * Classify an error thrown by this service into a stable error code
+   * @param {Error} error - Error thrown by the Gmail service
+   * @returns {string} Error code
+   */
+  getErrorCode(error) {
+    const message = error.message || '';
+
+    if (message.includes('re-authenticate') || 
+        message.includes('authentication failed') ||
+        message.includes('invalid_grant')) {
+      return 'AUTHENTICATION_REQUIRED';
+    }
+    if (message.includes('rate limit')) {
+      return 'RATE_LIMIT_EXCEEDED';
+    }
+    if (message === FULL_ACCESS_REQUIRED_MESSAGE) {
+      return 'FULL_ACCESS_REQUIRED';
+    }
+    if (message.includes('forbidden')) {
+      return 'ACCESS_FORBIDDEN';
+    }
+
+    return 'EMAIL_SYNC_FAILED';
+  }
+
+  /**
+   * Get the mailbox's current history ID
+   * @param {Object} user - User record
+   * @param {Object} gmail - Gmail API client
+   * @returns {string} Current history ID
+   */
+  async getCurrentHistoryId(user, gmail) {
+    try {
+      const { data } = await this.callApi(user, 'users.getProfile', () => (
+        gmail.users.getProfile({ userId: 'me' })
+      ));
+      return data.historyId;
+    } catch (apiError) {
+      logger.error('Gmail API error while reading profile:', apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Full sync of one page of messages. Sets the user's history checkpoint
+   * when they don't have one yet, so later syncs can be incremental.
+   * @param {Object} user - User record
+   * @param {Object} options - Fetch options (see fetchEmails)
+   * @returns {Object} Emails data with pagination info
+   */
+  async syncFull(user, options = {}) {
+    let checkpoint = null;
+
+    if (!user.historyId) {
+      // Read the checkpoint before listing so no change slips in between
+      const gmail = await this.initializeClient(user);
+      checkpoint = await this.getCurrentHistoryId(user, gmail);
+    }
+
+    const result = await this.fetchEmails(user, options);
+    result.partial = result.failed > 0;
+
+    if (checkpoint) {
+      await user.update({ historyId: checkpoint });
+      logger.info(`History checkpoint ${checkpoint} set for user ${user.email}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Incremental sync using the Gmail History API. Falls back to a full
+   * resync when the user has no checkpoint or the checkpoint has expired.
+   * If Gmail gives up part way, the changes read so far are applied and the
+   * checkpoint only moves as far as they go, so the next sync resumes there.
+   * @param {Object} user - User record
+   * @returns {Object} Sync summary with added/updated/deleted counts, and
+   *   partial/error when the sync stopped early
+   */
+  async syncIncremental(user) {
+    if (!user.historyId) {
+      logger.info(`No history checkpoint for user ${user.email}, running full resync`);
+      return this.resync(user);
+    }
+
+    const gmail = await this.initializeClient(user);
+    const changes = {
+      added: new Map(),
+      deleted: new Set(),
+      labelOps: new Map()
+    };
+
+    let latestHistoryId = user.historyId;
+    let pageToken = null;
+    let pagesRead = 0;
+    let interruption = null;
+
+    try {
+      do {
+        const response = await this.callApi(user, 'users.history.list', () => gmail.users.history.list({
+          userId: 'me',
+          startHistoryId: user.historyId,
+          historyTypes: HISTORY_TYPES,
+          maxResults: 500,
+          pageToken
+        }));
+
+        const records = response.data.history || [];
+        records.forEach(record => this.collectHistoryRecord(record, changes));
+        pagesRead++;
+
+        pageToken = response.data.nextPageToken || null;
+
+        // Until the last page, the newest record read is as far as we can vouch for
+        if (!pageToken) {
+          latestHistoryId = response.data.historyId || latestHistoryId;
+        } else if (records.length > 0) {
+          latestHistoryId = records[records.length - 1].id;
+        }
+      } while (pageToken);
+    } catch (apiError) {
+      // 404 means the start history ID is too old to be replayed
+      if (apiError.code === 404) {
+        logger.warn(`History ID ${user.historyId} expired for user ${user.email}, running full resync`);
+        return this.resync(user);
+      }
+
+      logger.error('Gmail API error while listing history:', apiError);
+      if (pagesRead === 0) {
+        throw this.translateApiError(apiError);
+      }
+
+      interruption = this.translateApiError(apiError);
+    }
+
+    const summary = await this.applyHistoryChanges(user, gmail, changes);
+
+    // Replaying history is idempotent, so keep the old checkpoint until every message is in
+    if (summary.failed > 0) {
+      latestHistoryId = user.historyId;
+      interruption = interruption || new Error(`Gmail API error: ${summary.failed} messages could not be fetched`);
+    }
+
+    await user.update({ historyId: latestHistoryId });
+
+    logger.info(`Incremental sync for ${user.email}: ${summary.added} added, ${summary.updated} updated, ${summary.deleted} deleted${interruption ? ' (partial)' : ''}`);
+
+    return {
+      mode: 'incremental',
+      fullResync: false,
+      historyId: latestHistoryId,
+      ...summary,
+      partial: Boolean(interruption),
+      error: interruption
+        ? { code: this.getErrorCode(interruption), message: interruption.message }
+        : null
+    };
+  }
+
+  /**
+   * Re-list the first page of messages and reset the history checkpoint
+   * @param {Object} user - User record
+   * @returns {Object} Sync summary
+   */
+  async resync(user) {
+    const gmail = await this.initializeClient(user);
+    const historyId = await this.getCurrentHistoryId(user, gmail);
+
+    const result = await this.fetchEmails(user, { maxResults: 100 });
+
+    // Without a fresh checkpoint the next incremental sync resyncs again
+    if (result.failed === 0) {
+      await user.update({ historyId });
+    }
+
+    return {
+      mode: 'incremental',
+      fullResync: true,
+      historyId: user.historyId,
+      added: result.added,
+      updated: result.updated,
+      deleted: result.deleted,
+      failed: result.failed,
+      partial: result.failed > 0
+    };
+  }
+
+  /**
+   * Fold a single history record into the pending change set
+   * @param {Object} record - Gmail history record
+   * @param {Object} changes - Accumulated changes
+   */
+  collectHistoryRecord(record, changes) {
+    (record.messagesAdded || []).forEach(({ message }) => {
+      changes.deleted.delete(message.id);
+      changes.added.set(message.id, message.labelIds || []);
+    });
+
+    (record.messagesDeleted || []).forEach(({ message }) => {
+      changes.added.delete(message.id);
+      changes.labelOps.delete(message.id);
+      changes.deleted.add(message.id);
+    });
+
+    const pushLabelOp = (messageId, op) => {
+      if (changes.deleted.has(messageId)) return;
+      if (!changes.labelOps.has(messageId)) {
+        changes.labelOps.set(messageId, []);
+      }
+      changes.labelOps.get(messageId).push(op);
+    };
+
+    (record.labelsAdded || []).forEach(({ message, labelIds }) => {
+      pushLabelOp(message.id, { add: labelIds || [] });
+    });
+
+    (record.labelsRemoved || []).forEach(({ message, labelIds }) => {
+      pushLabelOp(message.id, { remove: labelIds || [] });
+    });
+  }
+
+  /**
+   * Apply collected history changes to EmailMetadata
+   * @param {Object} user - User record
+   * @param {Object} gmail - Gmail API client
+   * @param {Object} changes - Changes collected from the history list
+   * @returns {Object} Counts of added, updated, deleted and unfetchable messages
    */
-  async initializeClient(user) {
+  async applyHistoryChanges(user, gmail, changes) {
+    // Deleted messages
+    let deleted = await EmailMetadata.tombstone(user.id, [...changes.deleted]);
+
+    // Label changes on messages we already have
+    const labelOpIds = [...changes.labelOps.keys()].filter(id => !changes.added.has(id));
+    const existing = labelOpIds.length > 0
+      ? await EmailMetadata.findAll({
+        where: {
+          userId: user.id,
+          gmailMessageId: labelOpIds
+        }
+      })
+      : [];
+    const existingIds = new Set(existing.map(email => email.gmailMessageId));
+
+    let updated = 0;
+    for (const email of existing) {
+      const labels = new Set(email.labels || []);
+      changes.labelOps.get(email.gmailMessageId).forEach(op => {
+        (op.add || []).forEach(id => labels.add(id));
+        (op.remove || []).forEach(id => labels.delete(id));
+      });
+
+      const updateData = this.labelUpdate(email, [...labels]);
+      if (updateData.isDeleted === true) {
+        deleted++;
+      } else if (!email.isDeleted || updateData.isDeleted === false) {
+        updated++;
+      }
+
+      await email.update(updateData);
+    }
+
+    // New messages, plus unknown messages that were moved into a synced label
+    const toFetch = [...changes.added.entries()]
+      .filter(([, labelIds]) => isInSyncedLabels(labelIds))
+      .map(([id]) => id);
+
+    labelOpIds
+      .filter(id => !existingIds.has(id))
+      .filter(id => changes.labelOps.get(id).some(op => isInSyncedLabels(op.add || [])))
+      .forEach(id => toFetch.push(id));
+
+    const { emails, failedIds } = await this.fetchMessageMetadata(user, gmail, toFetch);
+    const stored = await this.storeEmails(emails);
+
+    // Newly stored messages refreshed their threads in storeEmails
+    await threadService.refreshForMessages(user.id, [...changes.deleted, ...labelOpIds]);
+
+    return {
+      added: stored.added,
+      updated: updated + stored.updated,
+      deleted,
+      failed: failedIds.length
+    };
+  }
+
+  /**
+   * Fields to update on a stored message whose labels changed in Gmail.
+   * Moving out of (or back into) the synced labels tombstones (or restores)
+   * the row; snoozed messages may leave the inbox. A message snoozed out of
+   * the inbox that is moved back there (e.g. from another client) is no
+   * longer snoozed.
+   * @param {Object} email - EmailMetadata row
+   * @param {Array} labelIds - Gmail's current label IDs for the message
+   * @returns {Object} Fields to update
+   */
+  labelUpdate(email, labelIds) {
+    const updateData = email.mergeRemote({
+      labels: labelIds,
+      isRead: !labelIds.includes('UNREAD'),
+      isStarred: labelIds.includes('STARRED')
+    });
+
+    if (email.snoozeRemovedInbox && labelIds.includes('INBOX')) {
+      Object.assign(updateData, { snoozedUntil: null, snoozeRemovedInbox: false });
+    }
+
+    const isSnoozed = 'snoozedUntil' in updateData ? false : Boolean(email.snoozedUntil);
+    // A label edit still on its way to Gmail decides, e.g. INBOX put back on waking from snooze
+    const pendingLabels = (email.localChanges || {}).labels && !updateData.labels;
+    const synced = isKept(pendingLabels ? email.labels : labelIds, isSnoozed);
+    if (!synced && !email.isDeleted) {
+      Object.assign(updateData, { isDeleted: true, deletedAt: new Date() });
+    } else if (synced && email.isDeleted) {
+      Object.assign(updateData, { isDeleted: false, deletedAt: null });
+    }
+
+    return updateData;
+  }
+
+  /**
+   * Add or remove labels on messages in Gmail
+   * @param {Object} user - User record
+   * @param {Array} messageIds - Gmail message IDs
+   * @param {Object} labels - { addLabelIds, removeLabelIds }
+   */
+  async modifyMessages(user, messageIds, labels) {
+    const gmail = await this.initializeClient(user);
+    const { addLabelIds = [], removeLabelIds = [] } = labels;
+
     try {
-      // Validate required environment variables
-      if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET || !process.env.GOOGLE_REDIRECT_URI) {
-        throw new Error('Missing Google OAuth configuration in environment variables');
+      if (messageIds.length === 1) {
+        await this.callApi(user, 'users.messages.modify', () => gmail.users.messages.modify({
+          userId: 'me',
+          id: messageIds[0],
+          requestBody: { addLabelIds, removeLabelIds }
+        }));
+        return;
       }
 
-      // Validate user tokens
-      if (!user.accessToken && !user.refreshToken) {
-        throw new Error('User has no valid OAuth tokens. Re-authentication required.');
+      // batchModify accepts at most 1000 IDs per call
+      for (let i = 0; i < messageIds.length; i += 1000) {
+        await this.callApi(user, 'users.messages.batchModify', () => gmail.users.messages.batchModify({
+          userId: 'me',
+          requestBody: {
+            ids: messageIds.slice(i, i + 1000),
+            addLabelIds,
+            removeLabelIds
+          }
+        }));
       }
+    } catch (apiError) {
+      logger.error('Gmail API error while modifying messages:', apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
 
-      // Check if token is expired and refresh if needed
-      if (user.isTokenExpired()) {
-        logger.info(`Token expired for user ${user.email}, attempting refresh...`);
-        
-        if (!user.refreshToken) {
-          throw new Error('Refresh token not available. User needs to re-authenticate.');
-        }
+  /**
+   * Move messages to the trash, or restore them from it
+   * @param {Object} user - User record
+   * @param {Array} messageIds - Gmail message IDs
+   * @param {boolean} trashed - true to trash, false to restore
+   * @returns {Array} Gmail's resulting label IDs for each message, in input
+   *   order (null for messages that no longer exist)
+   */
+  async setTrashed(user, messageIds, trashed) {
+    const gmail = await this.initializeClient(user);
+    const method = trashed ? 'trash' : 'untrash';
 
+    try {
+      // Gmail has no batch form of trash/untrash
+      return await this.mapWithConcurrency(messageIds, FETCH_CONCURRENCY, async (id) => {
         try {
-          await authService.refreshAccessToken(user);
-          // Reload user to get updated token
-          await user.reload();
-          logger.info(`Token refreshed successfully for user ${user.email}`);
-        } catch (refreshError) {
-          logger.error(`Failed to refresh token for user ${user.email}:`, refreshError);
-          
-          // Handle specific OAuth errors
-          if (refreshError.message.includes('invalid_grant')) {
-            throw new Error('Refresh token is invalid or expired. User needs to re-authenticate.');
-          }
-          throw new Error('Failed to refresh access token. Please re-authenticate.');
+          const { data } = await this.callApi(user, `users.messages.${method}`, () => (
+            gmail.users.messages[method]({ userId: 'me', id })
+          ));
+          return data.labelIds || [];
+        } catch (apiError) {
+          if (apiError.code === 404) return null;
+          throw apiError;
         }
-      }
+      });
+    } catch (apiError) {
+      logger.error(`Gmail API error while running ${method} on messages:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
 
-      this.oauth2Client = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
-      );
+  /**
+   * Permanently delete messages in Gmail, skipping the trash. Needs the
+   * full https://mail.google.com/ scope, which users grant separately
+   * (see authService.getFullAccessUrl).
+   * @param {Object} user - User record
+   * @param {Array} messageIds - Gmail message IDs
+   */
+  async deleteMessages(user, messageIds) {
+    if (!authService.hasFullAccess(user)) {
+      throw new Error(FULL_ACCESS_REQUIRED_MESSAGE);
+    }
 
-      this.oauth2Client.setCredentials({
-        access_token: user.accessToken,
-        refresh_token: user.refreshToken
-      });
+    const gmail = await this.initializeClient(user);
 
-      this.gmail = google.gmail({
-        version: 'v1',
-        auth: this.oauth2Client
-      });
+    try {
+      if (messageIds.length === 1) {
+        await this.callApi(user, 'users.messages.delete', () => gmail.users.messages.delete({
+          userId: 'me',
+          id: messageIds[0]
+        }));
+        return;
+      }
 
-      logger.info(`Gmail client initialized for user: ${user.email}`);
-    } catch (error) {
-      logger.error('Error initializing Gmail client:', error);
-      
-      // Re-throw with more specific error message
-      if (error.message.includes('re-authenticate')) {
-        throw error; // Pass through authentication errors as-is
+      // batchDelete accepts at most 1000 IDs per call
+      for (let i = 0; i < messageIds.length; i += 1000) {
+        await this.callApi(user, 'users.messages.batchDelete', () => gmail.users.messages.batchDelete({
+          userId: 'me',
+          requestBody: { ids: messageIds.slice(i, i + 1000) }
+        }));
       }
-      throw new Error(`Failed to initialize Gmail connection: ${error.message}`);
+    } catch (apiError) {
+      // Already gone in Gmail
+      if (apiError.code === 404) return;
+      // The grant was withdrawn since it was recorded
+      if (apiError.code === 403 && !retryPolicy.isRateLimited(apiError)) throw new Error(FULL_ACCESS_REQUIRED_MESSAGE);
+
+      logger.error('Gmail API error while deleting messages:', apiError);
+      throw this.translateApiError(apiError);
     }
   }
+
   /**
-   * Fetch emails from Gmail API with pagination
+   * Send a message and store its metadata right away, so it shows up
+   * before the next sync
    * @param {Object} user - User record
-   * @param {Object} options - Fetch options
-   * @returns {Object} Emails data with pagination info
+   * @param {Buffer} raw - RFC 5322 message source
+   * @param {Object} options - { threadId: Gmail thread the message replies in }
+   * @returns {Object|null} EmailMetadata record of the sent message (null
+   *   if Gmail sent it but it could not be read back yet)
    */
-  async fetchEmails(user, options = {}) {
+  async sendMessage(user, raw, options = {}) {
+    const gmail = await this.initializeClient(user);
+
+    let sent;
     try {
-      await this.initializeClient(user);
+      // Uploaded as media so messages up to Gmail's 35 MB limit can be sent
+      const { data } = await this.callApi(user, 'users.messages.send', () => gmail.users.messages.send({
+        userId: 'me',
+        requestBody: options.threadId ? { threadId: options.threadId } : {},
+        media: { mimeType: 'message/rfc822', body: raw }
+      }));
+      sent = data;
+    } catch (apiError) {
+      logger.error('Gmail API error while sending message:', apiError);
+      throw this.translateApiError(apiError);
+    }
 
-      const {
-        maxResults = 20,
-        pageToken = null,
-        query = '',
-        labelIds = ['INBOX']
-      } = options;
+    const { emails } = await this.fetchMessageMetadata(user, gmail, [sent.id]);
+    await this.storeEmails(emails);
 
-      // Build Gmail API query
-      let searchQuery = query;
-      if (labelIds.includes('INBOX')) {
-        searchQuery = searchQuery ? `in:inbox ${searchQuery}` : 'in:inbox';
-      }
+    return EmailMetadata.findOne({ where: { userId: user.id, gmailMessageId: sent.id } });
+  }
 
-      // Fetch message list with proper error handling
-      let listResponse;
-      try {
-        listResponse = await this.gmail.users.messages.list({
+  /**
+   * Look up a message by its Message-ID header, anywhere in the mailbox
+   * @param {Object} user - User record
+   * @param {string} messageId - Message-ID, with angle brackets
+   * @returns {string|null} Gmail message ID, or null when there is none
+   */
+  async findMessageByMessageId(user, messageId) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.messages.list', () => gmail.users.messages.list({
+        userId: 'me',
+        maxResults: 1,
+        includeSpamTrash: true,
+        q: `rfc822msgid:${messageId.replace(/^<|>$/g, '')}`
+      }));
+      return data.messages && data.messages.length > 0 ? data.messages[0].id : null;
+    } catch (apiError) {
+      logger.error(`Gmail API error while looking up message ${messageId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * List the user's Gmail drafts
+   * @param {Object} user - User record
+   * @returns {Array} [{ id, message: { id, threadId } }]
+   */
+  async listDrafts(user) {
+    const gmail = await this.initializeClient(user);
+    const drafts = [];
+    let pageToken = null;
+
+    try {
+      do {
+        const { data } = await this.callApi(user, 'users.drafts.list', () => gmail.users.drafts.list({
           userId: 'me',
-          maxResults,
-          pageToken,
-          q: searchQuery,
-          labelIds
-        });
-      } catch (apiError) {
-        logger.error('Gmail API error while listing messages:', apiError);
-        
-        // Handle specific API errors
-        if (apiError.code === 401) {
-          throw new Error('Gmail API authentication failed. User needs to re-authenticate.');
-        } else if (apiError.code === 403) {
-          throw new Error('Gmail API access forbidden. Check OAuth scopes and permissions.');
-        } else if (apiError.code === 429) {
-          throw new Error('Gmail API rate limit exceeded. Please try again later.');
+          maxResults: 500,
+          pageToken
+        }));
+        drafts.push(...(data.drafts || []));
+        pageToken = data.nextPageToken || null;
+      } while (pageToken);
+
+      return drafts;
+    } catch (apiError) {
+      logger.error('Gmail API error while listing drafts:', apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Get a draft's current message ID and thread
+   * @param {Object} user - User record
+   * @param {string} draftId - Gmail draft ID
+   * @returns {Object|null} { id, message: { id, threadId } }, or null when the
+   *   draft is gone (deleted or sent)
+   */
+  async getDraft(user, draftId) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.drafts.get', () => gmail.users.drafts.get({
+        userId: 'me',
+        id: draftId,
+        format: 'minimal'
+      }));
+      return data;
+    } catch (apiError) {
+      if (apiError.code === 404) return null;
+
+      logger.error(`Gmail API error while fetching draft ${draftId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Create a draft, or replace the message of an existing one
+   * @param {Object} user - User record
+   * @param {string|null} draftId - Gmail draft ID to update, or null to create
+   * @param {Buffer} raw - RFC 5322 message source
+   * @param {Object} options - { threadId: Gmail thread the draft replies in }
+   * @returns {Object} { id, message: { id, threadId } }
+   */
+  async saveDraft(user, draftId, raw, options = {}) {
+    const gmail = await this.initializeClient(user);
+    const method = draftId ? 'update' : 'create';
+
+    try {
+      const { data } = await this.callApi(user, `users.drafts.${method}`, () => gmail.users.drafts[method]({
+        userId: 'me',
+        ...(draftId && { id: draftId }),
+        requestBody: {
+          ...(draftId && { id: draftId }),
+          message: options.threadId ? { threadId: options.threadId } : {}
+        },
+        media: { mimeType: 'message/rfc822', body: raw }
+      }));
+      return data;
+    } catch (apiError) {
+      logger.error(`Gmail API error while saving draft ${draftId || '(new)'}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Delete a draft in Gmail
+   * @param {Object} user - User record
+   * @param {string} draftId - Gmail draft ID
+   */
+  async deleteDraft(user, draftId) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      await this.callApi(user, 'users.drafts.delete', () => (
+        gmail.users.drafts.delete({ userId: 'me', id: draftId })
+      ));
+    } catch (apiError) {
+      // Already gone in Gmail
+      if (apiError.code === 404) return;
+
+      logger.error(`Gmail API error while deleting draft ${draftId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Fetch a message with format 'full' and parse it into a MIME part tree.
+   * Text parts that Gmail stores out of line (body.attachmentId) are loaded,
+   * and with inlineImages so are images referenced by Content-ID.
+   * @param {Object} user - User record
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {Object} options - { inlineImages: also load cid: images up to INLINE_IMAGE_MAX_BYTES }
+   * @returns {Object} MIME part tree (see mimeParser)
+   */
+  async getMessageTree(user, gmailMessageId, options = {}) {
+    const { inlineImages = false } = options;
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.messages.get', () => gmail.users.messages.get({
+        userId: 'me',
+        id: gmailMessageId,
+        format: 'full'
+      }));
+
+      const tree = mimeParser.parseGmailPayload(data.payload);
+
+      const detached = [];
+      mimeParser.walk(tree, (part) => {
+        if (part.body || !part.attachmentId) return;
+
+        const isBodyText = part.mimeType.startsWith('text/') && !mimeParser.isAttachment(part);
+        const isInlineImage = inlineImages && mimeParser.isInlineImage(part) && part.size <= INLINE_IMAGE_MAX_BYTES;
+
+        if (isBodyText || isInlineImage) {
+          detached.push(part);
         }
-        
-        throw new Error(`Gmail API error: ${apiError.message || 'Unknown error'}`);
+      });
+
+      for (const part of detached) {
+        const response = await this.callApi(user, 'users.messages.attachments.get', () => (
+          gmail.users.messages.attachments.get({ userId: 'me', messageId: gmailMessageId, id: part.attachmentId })
+        ));
+        part.body = mimeParser.decodeBase64Url(response.data.data || '');
       }
 
-      if (!listResponse.data.messages) {
-        return {
-          emails: [],
-          nextPageToken: null,
-          totalCount: 0
-        };
+      return tree;
+    } catch (apiError) {
+      logger.error(`Gmail API error while fetching message ${gmailMessageId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Open a streamed download of an attachment
+   * @param {Object} user - User record
+   * @param {string} gmailMessageId - Gmail message ID
+   * @param {string} attachmentId - Gmail attachment ID
+   * @returns {Object|null} Readable stream of the attachment bytes, or null
+   *   when Gmail no longer accepts the attachment ID
+   */
+  async getAttachmentStream(user, gmailMessageId, attachmentId) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.messages.attachments.get', () => (
+        gmail.users.messages.attachments.get(
+          { userId: 'me', messageId: gmailMessageId, id: attachmentId, fields: 'data' },
+          { responseType: 'stream' }
+        )
+      ));
+      return this.decodeField(data, 'data');
+    } catch (apiError) {
+      // Attachment IDs change between fetches; old ones can be rejected
+      if (apiError.code === 400 || apiError.code === 404) {
+        return null;
       }
 
-      // Fetch detailed message data in batches for performance
-      const emailPromises = listResponse.data.messages.map(async (message) => {
-        try {
-          const messageResponse = await this.gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'metadata',
-            metadataHeaders: ['Date', 'From', 'Subject', 'To', 'Message-ID']
-          });
+      logger.error(`Gmail API error while fetching attachment of message ${gmailMessageId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
 
-          return this.parseEmailMessage(messageResponse.data, user.id);
-        } catch (error) {
-          logger.error(`Error fetching message ${message.id}:`, error);
-          return null;
-        }
-      });
+  /**
+   * Open a streamed download of a message's original RFC 822 source
+   * @param {Object} user - User record
+   * @param {string} gmailMessageId - Gmail message ID
+   * @returns {Object} Readable stream of the message bytes
+   */
+  async getRawMessageStream(user, gmailMessageId) {
+    const gmail = await this.initializeClient(user);
 
-      const emailResults = await Promise.all(emailPromises);
-      const emails = emailResults.filter(email => email !== null);
+    try {
+      const { data } = await this.callApi(user, 'users.messages.get', () => (
+        gmail.users.messages.get(
+          { userId: 'me', id: gmailMessageId, format: 'raw', fields: 'raw' },
+          { responseType: 'stream' }
+        )
+      ));
+      return this.decodeField(data, 'raw');
+    } catch (apiError) {
+      logger.error(`Gmail API error while fetching raw message ${gmailMessageId}:`, apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
 
-      // Store/update emails in database
-      await this.storeEmails(emails);
+  decodeField(response, field) {
+    // pipeline carries errors from Gmail's response through to the decoder
+    return pipeline(response, createFieldDecoder(field), () => {});
+  }
 
-      // Get stored emails with additional metadata
-      const storedEmails = await EmailMetadata.findByUser(user.id, {
-        limit: maxResults,
-        where: {
-          gmailMessageId: emails.map(email => email.gmailMessageId)
+  /**
+   * Start (or renew) push notifications for the user's synced labels.
+   * Gmail publishes to the Pub/Sub topic until the returned expiration.
+   * @param {Object} user - User record
+   * @param {string} topicName - Pub/Sub topic, e.g. projects/my-project/topics/gmail
+   * @returns {Object} { historyId, expiration }
+   */
+  async watchMailbox(user, topicName) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      const { data } = await this.callApi(user, 'users.watch', () => gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+          topicName,
+          labelIds: SYNC_LABEL_IDS,
+          labelFilterBehavior: 'include'
         }
+      }));
+
+      const expiration = new Date(Number(data.expiration));
+      await user.update({
+        watchExpiresAt: expiration,
+        // Without a checkpoint the first notification would trigger a resync anyway
+        historyId: user.historyId || data.historyId
       });
 
-      return {
-        emails: storedEmails.rows,
-        nextPageToken: listResponse.data.nextPageToken || null,
-        totalCount: storedEmails.count
-      };
-    } catch (error) {
-      logger.error('Error fetching emails:', error);
-      
-      // Provide more specific error messages
-      if (error.message.includes('re-authenticate') || error.message.includes('authentication failed')) {
-        throw error; // Pass through authentication errors
-      }
-      
-      throw new Error(`Failed to fetch emails from Gmail: ${error.message}`);
+      return { historyId: data.historyId, expiration };
+    } catch (apiError) {
+      logger.error('Gmail API error while starting watch:', apiError);
+      throw this.translateApiError(apiError);
+    }
+  }
+
+  /**
+   * Stop push notifications for the user
+   * @param {Object} user - User record
+   */
+  async stopWatch(user) {
+    const gmail = await this.initializeClient(user);
+
+    try {
+      await this.callApi(user, 'users.stop', () => gmail.users.stop({ userId: 'me' }));
+      await user.update({ watchExpiresAt: null });
+    } catch (apiError) {
+      logger.error('Gmail API error while stopping watch:', apiError);
+      throw this.translateApiError(apiError);
     }
   }
 
@@ -207,8 +1541,9 @@ class GmailService {
       // Get email body snippet
       const snippet = messageData.snippet || '';
 
-      // Check for attachments
-      const hasAttachments = this.checkForAttachments(messageData.payload);
+      // Attachments can sit in nested multiparts, so walk the whole part tree
+      const attachments = mimeParser.listAttachments(mimeParser.parseGmailPayload(messageData.payload));
+      const hasAttachments = attachments.some(attachment => !attachment.isInline);
 
       // Parse labels and determine priority
       const labels = messageData.labelIds || [];
@@ -231,7 +1566,10 @@ class GmailService {
         labels,
         priority,
         size: messageData.sizeEstimate || 0,
-        gmailMessageId: messageData.id
+        gmailMessageId: messageData.id,
+        // A message found in Gmail takes over an imported copy of it
+        source: 'gmail',
+        attachments
       };
     } catch (error) {
       logger.error('Error parsing email message:', error);
@@ -239,25 +1577,6 @@ class GmailService {
     }
   }
 
-  /**
-   * Check if email has attachments
-   * @param {Object} payload - Email payload
-   * @returns {boolean} Has attachments
-   */
-  checkForAttachments(payload) {
-    try {
-      if (payload.parts) {
-        return payload.parts.some(part => 
-          part.filename && part.filename.length > 0 ||
-          part.body.attachmentId
-        );
-      }
-      return false;
-    } catch (error) {
-      return false;
-    }
-  }
-
   /**
    * Determine email priority based on labels and headers
    * @param {Array} labels - Gmail labels
@@ -290,20 +1609,62 @@ class GmailService {
   }
 
   /**
-   * Store emails in database
+   * Store emails in database. New messages are inserted; existing rows get
+   * their Gmail-derived fields refreshed (see EmailMetadata#mergeRemote for
+   * how pending local edits are treated). The threads they belong to are
+   * then recomputed.
    * @param {Array} emails - Array of email objects
+   * @returns {Object} Counts of added and updated rows
    */
   async storeEmails(emails) {
+    const counts = { added: 0, updated: 0 };
+    const seenAt = new Date();
+    // userId -> thread IDs touched, including the thread an imported row leaves
+    const touchedThreads = new Map();
+    const touch = (userId, threadId) => {
+      if (!touchedThreads.has(userId)) touchedThreads.set(userId, new Set());
+      touchedThreads.get(userId).add(threadId);
+    };
+
     try {
-      const operations = emails.map(async (emailData) => {
+      const operations = emails.map(async ({ attachments = [], ...emailData }) => {
         try {
-          await EmailMetadata.findOrCreate({
+          touch(emailData.userId, emailData.threadId);
+
+          const [email, created] = await EmailMetadata.findOrCreate({
             where: {
               userId: emailData.userId,
               messageId: emailData.messageId
             },
-            defaults: emailData
+            defaults: {
+              ...emailData,
+              lastSeenAt: seenAt
+            }
+          });
+
+          if (created) {
+            counts.added++;
+            await this.storeAttachments(email, attachments, { isNew: true });
+            return;
+          }
+
+          touch(email.userId, email.threadId);
+
+          const { userId, messageId, ...remote } = emailData;
+          const updateData = email.mergeRemote(remote);
+          const changed = Object.keys(updateData).some(field => field !== 'localChanges');
+
+          if (changed || email.isDeleted) counts.updated++;
+
+          // Seen again in Gmail: refresh the sighting and lift any tombstone
+          await email.update({
+            ...updateData,
+            lastSeenAt: seenAt,
+            isDeleted: false,
+            deletedAt: null
           });
+
+          await this.storeAttachments(email, attachments);
         } catch (error) {
           logger.error(`Error storing email ${emailData.messageId}:`, error);
         }
@@ -311,10 +1672,49 @@ class GmailService {
 
       await Promise.all(operations);
       logger.info(`Stored ${emails.length} emails in database`);
+
+      for (const [userId, threadIds] of touchedThreads) {
+        await threadService.refresh(userId, [...threadIds]);
+      }
     } catch (error) {
       logger.error('Error storing emails:', error);
       // Don't throw error as this shouldn't break the flow
     }
+
+    return counts;
+  }
+
+  /**
+   * Record a message's attachments. Gmail messages never change, so rows
+   * are only rewritten when they don't match (e.g. synced before
+   * attachments were indexed).
+   * @param {Object} email - EmailMetadata record
+   * @param {Array} attachments - Parsed attachments (see mimeParser#listAttachments)
+   * @param {Object} options - { isNew: the email row was just created }
+   */
+  async storeAttachments(email, attachments, options = {}) {
+    if (attachments.length === 0) return;
+
+    if (!options.isNew) {
+      const stored = await Attachment.findAll({ where: { emailId: email.id }, attributes: ['partId'] });
+      const storedPartIds = stored.map(attachment => attachment.partId).sort();
+      const partIds = attachments.map(attachment => attachment.partId).sort();
+
+      if (JSON.stringify(storedPartIds) === JSON.stringify(partIds)) return;
+
+      await Attachment.destroy({ where: { emailId: email.id } });
+    }
+
+    await Attachment.bulkCreate(attachments.map(attachment => ({
+      emailId: email.id,
+      partId: attachment.partId,
+      filename: attachment.filename,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      gmailAttachmentId: attachment.attachmentId,
+      contentId: attachment.contentId,
+      isInline: attachment.isInline
+    })));
   }
 
   /**
@@ -390,7 +1790,7 @@ class GmailService {
       const { Op } = require('sequelize');
       
       const totalCount = await EmailMetadata.count({
-        where: { userId: user.id }
+        where: { userId: user.id, isDeleted: false }
       });
 
       const unreadCount = await EmailMetadata.getUnreadCount(user.id);
@@ -398,6 +1798,7 @@ class GmailService {
       const starredCount = await EmailMetadata.count({
         where: {
           userId: user.id,
+          isDeleted: false,
           isStarred: true
         }
       });
@@ -405,6 +1806,7 @@ class GmailService {
       const todayCount = await EmailMetadata.count({
         where: {
           userId: user.id,
+          isDeleted: false,
           receivedDate: {
             [Op.gte]: new Date(new Date().setHours(0, 0, 0, 0))
           }
@@ -0,0 +1,146 @@
+const sanitizeHtml = require('sanitize-html');
+
+// CSS constructs that can run code or load remote content
+const DANGEROUS_CSS = [
+  /expression\s*\(/gi,
+  /javascript\s*:/gi,
+  /vbscript\s*:/gi,
+  /behavior\s*:/gi,
+  /-moz-binding\s*:/gi,
+  /@import[^;]*;?/gi
+];
+
+const CSS_URL = /url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+// Escapes can spell url( past the patterns above, and image-set() takes bare strings as URLs
+const CSS_UNSAFE = /\\|image-set\s*\(/i;
+
+// Innermost rule of a style sheet: selector (or at-rule prelude) and its declarations
+const CSS_RULE = /[^{}]*\{[^{}]*\}/g;
+
+const STYLE_BLOCK = /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi;
+
+const ALLOWED_TAGS = sanitizeHtml.defaults.allowedTags.concat([
+  'img', 'style', 'font', 'center', 'u', 's', 'strike', 'big', 'small', 'col', 'colgroup'
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  '*': ['style', 'class', 'id', 'align', 'valign', 'width', 'height', 'bgcolor', 'border', 'dir', 'lang', 'title'],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'alt', 'data-external-src'],
+  font: ['face', 'size', 'color'],
+  table: ['cellpadding', 'cellspacing'],
+  td: ['colspan', 'rowspan', 'nowrap'],
+  th: ['colspan', 'rowspan', 'nowrap'],
+  col: ['span'],
+  colgroup: ['span']
+};
+
+/**
+ * Turns untrusted email HTML into markup that is safe to show in a
+ * sandboxed iframe: scripts, event handlers, forms, embeds and dangerous
+ * CSS are removed, links open outside the frame, and remote images are
+ * disabled (src moved to data-external-src) unless explicitly allowed.
+ */
+class HtmlSanitizer {
+  /**
+   * Sanitize an HTML body
+   * @param {string} html - Untrusted HTML
+   * @param {Object} options - { allowExternalImages }
+   * @returns {Object} { html, externalResources: number of remote resources blocked or kept }
+   */
+  sanitize(html, options = {}) {
+    const { allowExternalImages = false } = options;
+    const state = { externalResources: 0 };
+
+    const cleanStyle = (attribs) => {
+      if (attribs.style) {
+        attribs.style = this.cleanCss(attribs.style, state);
+      }
+      return attribs;
+    };
+
+    const output = sanitizeHtml(html, {
+      allowedTags: ALLOWED_TAGS,
+      allowedAttributes: ALLOWED_ATTRIBUTES,
+      allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+      allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+      allowProtocolRelative: false,
+      // <style> is needed for most HTML mail; its contents are cleaned below
+      allowVulnerableTags: true,
+      transformTags: {
+        a: (tagName, attribs) => ({
+          tagName,
+          attribs: cleanStyle({ ...attribs, target: '_blank', rel: 'noopener noreferrer' })
+        }),
+        img: (tagName, attribs) => {
+          const src = attribs.src || '';
+
+          if (/^https?:/i.test(src) || src.startsWith('//')) {
+            state.externalResources++;
+            if (!allowExternalImages) {
+              attribs['data-external-src'] = src;
+              delete attribs.src;
+            }
+          } else if (!src.startsWith('data:image/')) {
+            // Unresolved cid: references and anything else that can't load
+            delete attribs.src;
+          }
+
+          return { tagName, attribs: cleanStyle(attribs) };
+        },
+        '*': (tagName, attribs) => ({ tagName, attribs: cleanStyle(attribs) })
+      }
+    });
+
+    // The serializer writes style sheets back verbatim, one block per <style> element
+    const cleaned = output.replace(STYLE_BLOCK, (match, open, css, close) => (
+      `${open}${this.cleanCss(css, state, { sheet: true })}${close}`
+    ));
+
+    return { html: cleaned, externalResources: state.externalResources };
+  }
+
+  /**
+   * Remove script-capable CSS and remote url() references
+   * @param {string} css - Style sheet or style attribute
+   * @param {Object} state - Counter of external resources
+   * @param {Object} options - { sheet: css is a style sheet rather than a style attribute }
+   * @returns {string} Cleaned CSS
+   */
+  cleanCss(css, state, options = {}) {
+    const { sheet = false } = options;
+
+    // Escaped or image-set() parts can't be checked, so they are dropped whole:
+    // declarations of a style attribute, rules of a style sheet
+    const dropUnsafe = (part) => {
+      if (!CSS_UNSAFE.test(part)) return part;
+
+      state.externalResources++;
+      return '';
+    };
+
+    let cleaned = sheet
+      ? css.replace(CSS_RULE, dropUnsafe)
+      : css.split(';').map(dropUnsafe).filter(part => part.trim()).join(';');
+
+    // Left outside any rule (e.g. in an unclosed block): nothing of the sheet is kept
+    if (CSS_UNSAFE.test(cleaned)) {
+      state.externalResources++;
+      return '';
+    }
+
+    cleaned = DANGEROUS_CSS.reduce((text, pattern) => text.replace(pattern, ''), cleaned);
+
+    cleaned = cleaned.replace(CSS_URL, (match, quote, url) => {
+      if (/^data:image\//i.test(url.trim())) return match;
+
+      state.externalResources++;
+      return 'none';
+    });
+
+    return cleaned;
+  }
+}
+
+module.exports = new HtmlSanitizer();
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Op } = require('sequelize');
+const { EmailMetadata, EmailBody } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const emailBodyService = require('./emailBodyService');
+const mimeParser = require('./mimeParser');
+const threadService = require('./threadService');
+
+const SNIPPET_LENGTH = 200;
+
+// Largest archive accepted by the upload endpoint (the CLI has no limit)
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES) || 100 * 1024 * 1024;
+
+/**
+ * Imports legacy mail archives (mbox files and .eml messages) into the
+ * local index as EmailMetadata rows with source 'import'. Messages are
+ * deduplicated on Message-ID through the (userId, messageId) unique index,
+ * so re-running an import, or importing mail that is also synced from
+ * Gmail, adds nothing twice.
+ */
+class ImportService {
+  constructor() {
+    this.maxBytes = IMPORT_MAX_BYTES;
+  }
+
+  /**
+   * Import every message of an mbox stream (mboxo or mboxrd)
+   * @param {Object} user - User record
+   * @param {Readable} input - mbox content
+   * @returns {Object} { imported, duplicates, failed }
+   */
+  async importMbox(user, input) {
+    const summary = { imported: 0, duplicates: 0, failed: 0 };
+
+    // latin1 keeps one character per byte, so 8bit messages survive the round trip
+    input.setEncoding('latin1');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let message = null;
+    let previousBlank = true;
+
+    for await (const line of lines) {
+      if (line.startsWith('From ') && previousBlank) {
+        if (message) {
+          await this.importMessage(user, this.joinMboxLines(message), summary);
+        }
+        message = [];
+      } else if (message) {
+        message.push(line.replace(/^>(>*From )/, '$1'));
+      }
+
+      previousBlank = line === '';
+    }
+
+    if (message) {
+      await this.importMessage(user, this.joinMboxLines(message), summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Import a directory of .eml files (not recursive)
+   * @param {Object} user - User record
+   * @param {string} directory - Directory path
+   * @returns {Object} { imported, duplicates, failed }
+   */
+  async importEmlDirectory(user, directory) {
+    const summary = { imported: 0, duplicates: 0, failed: 0 };
+    const files = (await fs.promises.readdir(directory))
+      .filter(file => file.toLowerCase().endsWith('.eml'))
+      .sort();
+
+    for (const file of files) {
+      const raw = await fs.promises.readFile(path.join(directory, file));
+      await this.importMessage(user, raw, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Import one RFC 822 message, adding the outcome to the summary
+   * @param {Object} user - User record
+   * @param {Buffer|string} raw - Message source
+   * @param {Object} summary - { imported, duplicates, failed } counters
+   * @returns {Object} The summary
+   */
+  async importMessage(user, raw, summary = { imported: 0, duplicates: 0, failed: 0 }) {
+    try {
+      const tree = mimeParser.parseRawMessage(raw);
+      const { text, html } = mimeParser.extractBodies(tree);
+      const emailData = this.buildEmailData(user.id, tree, raw, { text, html });
+      emailData.threadId = await this.resolveThreadId(user.id, tree, emailData.messageId);
+
+      const [email, created] = await EmailMetadata.findOrCreate({
+        where: {
+          userId: user.id,
+          messageId: emailData.messageId
+        },
+        defaults: emailData
+      });
+
+      if (!created) {
+        summary.duplicates++;
+        return summary;
+      }
+
+      // The archive is the only copy of the body, so it is stored whatever EMAIL_BODY_CACHE says
+      await EmailBody.create({
+        emailId: email.id,
+        textBody: text,
+        htmlBody: html ? emailBodyService.resolveContentIds(html, mimeParser.getInlineImages(tree)) : null,
+        fetchedAt: new Date()
+      });
+
+      await threadService.refresh(user.id, [email.threadId]);
+
+      summary.imported++;
+    } catch (error) {
+      logger.error(`Error importing message for user ${user.id}:`, error);
+      summary.failed++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * EmailMetadata fields for an imported message, mirroring what sync
+   * stores for Gmail messages
+   * @param {number} userId - User ID
+   * @param {Object} tree - MIME part tree
+   * @param {Buffer|string} raw - Message source
+   * @param {Object} bodies - { text, html }
+   * @returns {Object} Email data
+   */
+  buildEmailData(userId, tree, raw, bodies) {
+    const getHeader = (name) => mimeParser.decodeHeader(mimeParser.getHeader(tree.headers, name)).trim();
+
+    const fromHeader = getHeader('From');
+    const senderMatch = fromHeader.match(/^(.+?)\s*<(.+?)>$|^(.+)$/);
+    const senderName = senderMatch ? (senderMatch[1] || '').replace(/^"|"$/g, '').trim() : '';
+    const senderEmail = senderMatch ? (senderMatch[2] || senderMatch[3] || '').trim() : fromHeader;
+
+    const date = new Date(getHeader('Date'));
+    const snippet = this.buildSnippet(bodies);
+
+    // Messages without a usable Message-ID are keyed by a hash of their source
+    let messageId = getHeader('Message-ID');
+    if (!messageId || messageId.length > 255) {
+      messageId = `<${crypto.createHash('sha256').update(raw).digest('hex')}@import>`;
+    }
+
+    // mbox Status/X-Status flags: R = read, F = flagged
+    const status = getHeader('Status');
+    const xStatus = getHeader('X-Status');
+
+    return {
+      userId,
+      messageId,
+      threadId: null, // see resolveThreadId
+      subject: getHeader('Subject') || '(No Subject)',
+      // sender must be an address; archives occasionally lack a From header
+      sender: senderEmail || 'unknown@unknown.invalid',
+      senderName: senderName.substring(0, 255),
+      recipient: getHeader('To'),
+      snippet,
+      bodyPreview: snippet.substring(0, 200),
+      receivedDate: isNaN(date.getTime()) ? new Date() : date,
+      isRead: status ? status.includes('R') : true,
+      isStarred: xStatus.includes('F'),
+      hasAttachments: mimeParser.listAttachments(tree).some(attachment => !attachment.isInline),
+      labels: [],
+      priority: gmailService.determinePriority([], tree.headers),
+      size: Buffer.byteLength(raw),
+      gmailMessageId: null,
+      source: 'import'
+    };
+  }
+
+  /**
+   * Thread for an imported message: the thread of a message it refers to
+   * when one is already indexed, otherwise one keyed by the conversation's
+   * root Message-ID (the first References entry), so replies imported
+   * before or after their parent land in the same thread
+   * @param {number} userId - User ID
+   * @param {Object} tree - MIME part tree
+   * @param {string} messageId - The message's own Message-ID
+   * @returns {string} Thread ID
+   */
+  async resolveThreadId(userId, tree, messageId) {
+    const referenced = [
+      mimeParser.getHeader(tree.headers, 'References'),
+      mimeParser.getHeader(tree.headers, 'In-Reply-To')
+    ].join(' ').match(/<[^<>\s]+>/g) || [];
+
+    if (referenced.length > 0) {
+      const parent = await EmailMetadata.findOne({
+        where: { userId, messageId: referenced, threadId: { [Op.ne]: null } },
+        attributes: ['threadId']
+      });
+
+      if (parent) return parent.threadId;
+    }
+
+    return threadService.importThreadId(referenced[0] || messageId);
+  }
+
+  buildSnippet({ text, html }) {
+    const content = text || (html || '')
+      .replace(/<(style|script)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/gi, ' ');
+
+    return content.replace(/\s+/g, ' ').trim().substring(0, SNIPPET_LENGTH);
+  }
+
+  joinMboxLines(lines) {
+    // The blank line before the next "From " separator belongs to the mbox format
+    const end = lines.length > 0 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+    return Buffer.from(lines.slice(0, end).join('\r\n'), 'latin1');
+  }
+}
+
+module.exports = new ImportService();
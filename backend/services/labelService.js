@@ -0,0 +1,316 @@
+const { Op } = require('sequelize');
+const { Label, EmailMetadata } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const threadService = require('./threadService');
+
+// How long labels and their counts are reused when a sync changed nothing
+const LABEL_REFRESH_MS = parseInt(process.env.LABEL_REFRESH_MS) || 60 * 60 * 1000;
+
+// System labels that can be put on or taken off messages like user labels.
+// UNREAD and STARRED go through isRead/isStarred; Gmail rejects the rest.
+const APPLICABLE_SYSTEM_LABEL = /^(IMPORTANT|CATEGORY_[A-Z]+)$/;
+
+// HTTP status for each label error code (see gmailService#translateLabelError)
+const ERROR_STATUS = {
+  INVALID_LABEL: 400,
+  LABEL_NOT_EDITABLE: 400,
+  LABEL_NOT_FOUND: 404,
+  LABEL_EXISTS: 409
+};
+
+const labelError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class LabelService {
+  constructor() {
+    // userId -> time of the last label sync in this process
+    this.syncedAt = new Map();
+  }
+
+  /**
+   * Mirror a user's Gmail labels (names, colors and counts) into the
+   * labels table; labels deleted in Gmail are removed
+   * @param {Object} user - User record
+   * @returns {Array} Label records
+   */
+  async sync(user) {
+    const gmailLabels = await gmailService.listLabels(user);
+
+    for (const label of gmailLabels) {
+      await Label.upsert({
+        userId: user.id,
+        ...this.toRow(label),
+        messagesTotal: label.messagesTotal || 0,
+        messagesUnread: label.messagesUnread || 0,
+        threadsTotal: label.threadsTotal || 0,
+        threadsUnread: label.threadsUnread || 0
+      });
+    }
+
+    await Label.destroy({
+      where: {
+        userId: user.id,
+        labelId: { [Op.notIn]: gmailLabels.map(label => label.id) }
+      }
+    });
+
+    this.syncedAt.set(user.id, Date.now());
+    logger.info(`Synced ${gmailLabels.length} labels for user ${user.email}`);
+
+    return this.listForUser(user.id);
+  }
+
+  /**
+   * Create a user label in Gmail and store it
+   * @param {Object} user - User record
+   * @param {Object} fields - { name, textColor, backgroundColor, labelListVisibility, messageListVisibility }
+   * @returns {Object} Label record
+   */
+  async create(user, fields) {
+    const gmailLabel = await gmailService.createLabel(user, this.toResource(fields));
+
+    return Label.create({
+      userId: user.id,
+      ...this.toRow(gmailLabel)
+    });
+  }
+
+  /**
+   * Rename or recolor a user label in Gmail and store the result
+   * @param {Object} user - User record
+   * @param {Object} label - Label record
+   * @param {Object} fields - Fields to change, as for create
+   * @returns {Object} Label record
+   */
+  async update(user, label, fields) {
+    this.assertUserLabel(label);
+
+    const gmailLabel = await gmailService.updateLabel(user, label.labelId, this.toResource(fields));
+    return label.update(this.toRow(gmailLabel));
+  }
+
+  /**
+   * Delete a user label in Gmail and take it off the user's messages here,
+   * as Gmail does
+   * @param {Object} user - User record
+   * @param {Object} label - Label record
+   */
+  async remove(user, label) {
+    this.assertUserLabel(label);
+
+    await gmailService.deleteLabel(user, label.labelId);
+
+    const emails = await EmailMetadata.findAll({
+      where: {
+        userId: user.id,
+        [Op.and]: [EmailMetadata.hasLabel(label.labelId)]
+      }
+    });
+
+    const removal = { remove: [label.labelId] };
+    for (const email of emails) {
+      const localChanges = { ...(email.localChanges || {}) };
+      if (localChanges.labels) {
+        localChanges.labels = {
+          ...localChanges.labels,
+          base: EmailMetadata.changeLabels(localChanges.labels.base, removal)
+        };
+      }
+
+      await email.update({
+        labels: EmailMetadata.changeLabels(email.labels, removal),
+        localChanges
+      });
+    }
+
+    await threadService.refresh(user.id, emails.map(email => email.threadId));
+    await label.destroy();
+  }
+
+  /**
+   * Add and remove labels on messages in Gmail, then store the labels that
+   * result. Imported messages have no Gmail counterpart and are only changed
+   * here.
+   * @param {Object} user - User record
+   * @param {Array} emails - EmailMetadata rows
+   * @param {Object} labels - { add, remove } with Gmail label IDs
+   * @returns {Object} { updatedCount }
+   */
+  async applyToMessages(user, emails, labels) {
+    const { add = [], remove = [] } = labels;
+    const gmailMessageIds = emails.map(email => email.gmailMessageId).filter(Boolean);
+
+    if (gmailMessageIds.length > 0) {
+      await gmailService.modifyMessages(user, gmailMessageIds, { addLabelIds: add, removeLabelIds: remove });
+    }
+
+    for (const email of emails) {
+      const labelIds = EmailMetadata.changeLabels(email.labels, labels);
+
+      // Only the labels are taken as Gmail's: read/star may have local edits still on their way there
+      await email.update(email.gmailMessageId ? email.mergeRemote({ labels: labelIds }) : { labels: labelIds });
+    }
+
+    await threadService.refresh(user.id, emails.map(email => email.threadId));
+
+    return { updatedCount: emails.length };
+  }
+
+  /**
+   * Resolve a message label change given by label IDs or names, rejecting
+   * unknown labels and labels that can't be put on messages
+   * @param {number} userId - User ID
+   * @param {Object} changes - { add, remove }: label IDs or names
+   * @returns {Object} { add, remove } with Gmail label IDs, as EmailMetadata.changeLabels
+   *   and #applyToMessages take them
+   */
+  async resolveChanges(userId, changes) {
+    const add = await this.resolveApplicable(userId, changes.add || []);
+    const remove = await this.resolveApplicable(userId, changes.remove || []);
+
+    if (add.some(labelId => remove.includes(labelId))) {
+      throw labelError('A label cannot be both added and removed', 'INVALID_LABEL');
+    }
+
+    return { add, remove };
+  }
+
+  /**
+   * Resolve labels given by ID or name to IDs of labels that can be put on
+   * messages
+   * @param {number} userId - User ID
+   * @param {Array} labels - Label IDs or names
+   * @returns {Array} Gmail label IDs
+   */
+  async resolveApplicable(userId, labels) {
+    const labelIds = [];
+
+    for (const value of labels) {
+      const labelId = await this.resolveLabelId(userId, value);
+      const label = await Label.findOne({ where: { userId, labelId } });
+
+      if (!label) {
+        throw labelError(`Label not found: ${value}`, 'LABEL_NOT_FOUND');
+      }
+      if (label.type === 'system' && !APPLICABLE_SYSTEM_LABEL.test(label.labelId)) {
+        throw labelError(`Label ${label.name} can't be added or removed`, 'INVALID_LABEL');
+      }
+
+      labelIds.push(labelId);
+    }
+
+    return [...new Set(labelIds)];
+  }
+
+  /**
+   * HTTP status for a label error the client can act on
+   * @param {Error} error - Error thrown by this service
+   * @returns {number|null} Status, or null for other errors
+   */
+  getErrorStatus(error) {
+    return ERROR_STATUS[error.code] || null;
+  }
+
+  assertUserLabel(label) {
+    if (label.type === 'system') {
+      throw labelError('System labels cannot be changed', 'LABEL_NOT_EDITABLE');
+    }
+  }
+
+  /**
+   * Label columns from a Gmail label resource (counts are left to sync)
+   * @param {Object} gmailLabel - Gmail label resource
+   * @returns {Object} Label fields
+   */
+  toRow(gmailLabel) {
+    return {
+      labelId: gmailLabel.id,
+      name: gmailLabel.name,
+      type: gmailLabel.type === 'system' ? 'system' : 'user',
+      textColor: gmailLabel.color ? gmailLabel.color.textColor : null,
+      backgroundColor: gmailLabel.color ? gmailLabel.color.backgroundColor : null,
+      labelListVisibility: gmailLabel.labelListVisibility || null
+    };
+  }
+
+  /**
+   * Gmail label resource for create/patch from request fields
+   * @param {Object} fields - { name, textColor, backgroundColor, labelListVisibility, messageListVisibility }
+   * @returns {Object} Gmail label resource with only the given fields
+   */
+  toResource(fields) {
+    const { name, textColor, backgroundColor, labelListVisibility, messageListVisibility } = fields;
+    const resource = {};
+
+    if (name !== undefined) resource.name = name;
+    if (labelListVisibility !== undefined) resource.labelListVisibility = labelListVisibility;
+    if (messageListVisibility !== undefined) resource.messageListVisibility = messageListVisibility;
+    // Gmail takes the two colors together
+    if (textColor !== undefined || backgroundColor !== undefined) {
+      resource.color = { textColor, backgroundColor };
+    }
+
+    return resource;
+  }
+
+  /**
+   * Sync labels after a mail sync: always when messages changed (the
+   * counts moved), otherwise once LABEL_REFRESH_MS has passed. Failures are
+   * logged, not thrown, so they never fail the mail sync.
+   * @param {Object} user - User record
+   * @param {Object} options - { changed: the sync added, updated or deleted messages }
+   */
+  async refresh(user, options = {}) {
+    const syncedAt = this.syncedAt.get(user.id);
+    if (!options.changed && syncedAt && Date.now() - syncedAt < LABEL_REFRESH_MS) return;
+
+    try {
+      await this.sync(user);
+    } catch (error) {
+      logger.error(`Error syncing labels for user ${user.email}:`, error);
+    }
+  }
+
+  /**
+   * A user's labels, system labels first, then by name
+   * @param {number} userId - User ID
+   * @returns {Array} Label records
+   */
+  async listForUser(userId) {
+    return Label.findAll({
+      where: { userId },
+      order: [['type', 'ASC'], ['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Find one of a user's labels by Gmail label ID
+   * @param {number} userId - User ID
+   * @param {string} labelId - Gmail label ID
+   * @returns {Object|null} Label record
+   */
+  async findForUser(userId, labelId) {
+    return Label.findOne({ where: { userId, labelId } });
+  }
+
+  /**
+   * Gmail label ID for a label given by ID or by name (IDs are matched
+   * first). Unknown values are taken to be IDs.
+   * @param {number} userId - User ID
+   * @param {string} label - Label ID or name
+   * @returns {string} Gmail label ID
+   */
+  async resolveLabelId(userId, label) {
+    const byId = await Label.findOne({ where: { userId, labelId: label } });
+    if (byId) return byId.labelId;
+
+    const byName = await Label.findOne({ where: { userId, name: label } });
+    return byName ? byName.labelId : label;
+  }
+}
+
+module.exports = new LabelService();
@@ -0,0 +1,81 @@
+const { EmailMetadata } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const threadService = require('./threadService');
+
+// Label changes Gmail makes to archive a message or move it back to the inbox
+const ARCHIVE_LABELS = {
+  archive: { remove: ['INBOX'] },
+  unarchive: { add: ['INBOX'] }
+};
+
+// Actions that move messages around the mailbox
+const ACTIONS = ['archive', 'unarchive', 'trash', 'untrash', 'delete'];
+
+class MailboxService {
+  /**
+   * Whether an action name is one of ACTIONS
+   * @param {string} action - Action name
+   * @returns {boolean}
+   */
+  isAction(action) {
+    return ACTIONS.includes(action);
+  }
+
+  /**
+   * Archive, trash, restore or permanently delete messages in Gmail, then
+   * update the stored rows to match. Archived and trashed messages leave the
+   * synced labels, so their rows are tombstoned until they come back;
+   * permanently deleted ones are removed. Imported messages have no Gmail
+   * counterpart: delete removes them, the other actions skip them.
+   * @param {Object} user - User record
+   * @param {Array} emails - EmailMetadata rows
+   * @param {string} action - One of ACTIONS
+   * @returns {Object} { updatedCount, skippedCount }
+   */
+  async apply(user, emails, action) {
+    const gmailEmails = emails.filter(email => email.gmailMessageId);
+    const gmailMessageIds = gmailEmails.map(email => email.gmailMessageId);
+    const threadIds = emails.map(email => email.threadId);
+
+    if (action === 'delete') {
+      if (gmailMessageIds.length > 0) {
+        await gmailService.deleteMessages(user, gmailMessageIds);
+      }
+
+      await EmailMetadata.destroy({ where: { userId: user.id, id: emails.map(email => email.id) } });
+      await threadService.refresh(user.id, threadIds);
+
+      logger.info(`Permanently deleted ${emails.length} messages for user ${user.id}`);
+      return { updatedCount: emails.length, skippedCount: 0 };
+    }
+
+    if (gmailMessageIds.length === 0) {
+      return { updatedCount: 0, skippedCount: emails.length };
+    }
+
+    let labelIds;
+    if (ARCHIVE_LABELS[action]) {
+      const { add = [], remove = [] } = ARCHIVE_LABELS[action];
+      await gmailService.modifyMessages(user, gmailMessageIds, { addLabelIds: add, removeLabelIds: remove });
+      labelIds = gmailEmails.map(email => EmailMetadata.changeLabels(email.labels, ARCHIVE_LABELS[action]));
+    } else {
+      labelIds = await gmailService.setTrashed(user, gmailMessageIds, action === 'trash');
+    }
+
+    let updatedCount = 0;
+    for (const [index, email] of gmailEmails.entries()) {
+      // Gone from Gmail; the next sync tombstones it
+      if (!labelIds[index]) continue;
+
+      await email.update(gmailService.labelUpdate(email, labelIds[index]));
+      updatedCount++;
+    }
+
+    await threadService.refresh(user.id, threadIds);
+
+    return { updatedCount, skippedCount: emails.length - updatedCount };
+  }
+}
+
+module.exports = new MailboxService();
@@ -0,0 +1,211 @@
+/**
+ * Builds RFC 5322 messages for sending: headers (with RFC 2047 encoded
+ * words where needed), text/HTML alternatives and attachments. Every body
+ * part is base64-encoded, so the output is plain 7-bit ASCII.
+ */
+
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+// Bytes of text per RFC 2047 encoded word (base64 turns 45 bytes into 60 characters)
+const ENCODED_WORD_BYTES = 45;
+
+// Characters that force a display name into a quoted string (RFC 5322 "specials")
+const SPECIALS = /[()<>[\]:;@\\,."]/;
+
+const isAscii = (text) => /^[\x20-\x7e]*$/.test(text);
+
+class MimeBuilder {
+  /**
+   * Build a message
+   * @param {Object} message - { from, to, cc, bcc (address lists), subject,
+   *   text, html, attachments: [{ filename, mimeType, content (Buffer) }],
+   *   headers: extra headers such as In-Reply-To, messageId: Message-ID to
+   *   use instead of a new one }
+   * @returns {Buffer} Message source
+   */
+  build(message) {
+    const { from, to = [], cc = [], bcc = [], subject = '', headers = {} } = message;
+
+    const lines = [
+      `From: ${this.formatAddresses([from])}`,
+      to.length > 0 && `To: ${this.formatAddresses(to)}`,
+      cc.length > 0 && `Cc: ${this.formatAddresses(cc)}`,
+      // Gmail leaves Bcc out of the copies it delivers and keeps it in the sent copy
+      bcc.length > 0 && `Bcc: ${this.formatAddresses(bcc)}`,
+      `Subject: ${this.encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+      `Message-ID: ${message.messageId || this.createMessageId(this.parseAddress(from).address)}`,
+      ...Object.entries(headers)
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${this.foldHeader(value)}`),
+      'MIME-Version: 1.0'
+    ].filter(Boolean);
+
+    return Buffer.from(`${lines.join(CRLF)}${CRLF}${this.buildBody(message)}`, 'ascii');
+  }
+
+  /**
+   * Body part, headed by its Content-Type: text/plain, text/html or
+   * multipart/alternative, inside multipart/mixed when there are attachments
+   */
+  buildBody({ text, html, attachments = [] }) {
+    let body;
+    if (text && html) {
+      body = this.buildMultipart('alternative', [
+        this.buildLeaf('text/plain; charset=UTF-8', Buffer.from(text)),
+        this.buildLeaf('text/html; charset=UTF-8', Buffer.from(html))
+      ]);
+    } else if (html) {
+      body = this.buildLeaf('text/html; charset=UTF-8', Buffer.from(html));
+    } else {
+      body = this.buildLeaf('text/plain; charset=UTF-8', Buffer.from(text || ''));
+    }
+
+    if (attachments.length === 0) return body;
+
+    return this.buildMultipart('mixed', [
+      body,
+      ...attachments.map(attachment => this.buildLeaf(
+        `${attachment.mimeType || 'application/octet-stream'}; ${this.formatParam('name', attachment.filename)}`,
+        attachment.content,
+        `attachment; ${this.formatParam('filename', attachment.filename)}`
+      ))
+    ]);
+  }
+
+  buildLeaf(contentType, content, disposition = null) {
+    return [
+      `Content-Type: ${contentType}`,
+      'Content-Transfer-Encoding: base64',
+      disposition && `Content-Disposition: ${disposition}`,
+      '',
+      (content.toString('base64').match(/.{1,76}/g) || []).join(CRLF),
+      ''
+    ].filter(line => line !== null).join(CRLF);
+  }
+
+  buildMultipart(subtype, parts) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+    return [
+      `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+      '',
+      ...parts.map(part => `--${boundary}${CRLF}${part}`),
+      `--${boundary}--`,
+      ''
+    ].join(CRLF);
+  }
+
+  /**
+   * Split "Name <address>" (or a bare address) into its parts
+   * @param {string} input - Address as typed
+   * @returns {Object} { name, address }
+   */
+  parseAddress(input = '') {
+    const match = input.match(/^\s*(.*?)\s*<([^<>]+)>\s*$/);
+    if (!match) return { name: '', address: input.trim() };
+
+    return { name: match[1].replace(/^"(.*)"$/, '$1'), address: match[2].trim() };
+  }
+
+  /**
+   * Split an address list header (To, Cc, Reply-To) into single addresses,
+   * keeping commas inside quoted names
+   * @param {string} value - Decoded header value
+   * @returns {Array} Addresses as "Name <address>" or bare addresses
+   */
+  parseAddressList(value = '') {
+    return (value.match(/(?:"(?:\\.|[^"\\])*"|<[^>]*>|[^,"<])+/g) || [])
+      .map(address => address.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Address list header value, folded one address per line when long
+   * @param {Array} inputs - Addresses as typed
+   * @returns {string}
+   */
+  formatAddresses(inputs) {
+    const formatted = inputs.map(input => {
+      const { name, address } = this.parseAddress(input);
+      if (!name) return address;
+
+      if (!isAscii(name)) return `${this.encodeHeader(name)} <${address}>`;
+      return SPECIALS.test(name)
+        ? `"${name.replace(/(["\\])/g, '\\$1')}" <${address}>`
+        : `${name} <${address}>`;
+    });
+
+    const joined = formatted.join(', ');
+    return joined.length > 72 ? formatted.join(`,${CRLF} `) : joined;
+  }
+
+  /**
+   * Encode a header value as RFC 2047 encoded words when it isn't plain
+   * ASCII; words are split on character boundaries and folded onto lines
+   * @param {string} value - Header value
+   * @returns {string}
+   */
+  encodeHeader(value = '') {
+    if (isAscii(value)) return value;
+
+    const words = [];
+    let chunk = '';
+    for (const char of value) {
+      if (Buffer.byteLength(chunk + char) > ENCODED_WORD_BYTES) {
+        words.push(chunk);
+        chunk = '';
+      }
+      chunk += char;
+    }
+    words.push(chunk);
+
+    return words
+      .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+      .join(`${CRLF} `);
+  }
+
+  /**
+   * Fold a long header value at spaces (used for References, which grows
+   * with every reply)
+   * @param {string} value - Header value
+   * @returns {string}
+   */
+  foldHeader(value) {
+    const lines = [];
+    let line = '';
+    value.split(' ').forEach(word => {
+      if (line && line.length + word.length + 1 > 76) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+
+    return lines.join(`${CRLF} `);
+  }
+
+  /**
+   * Content-Type/Content-Disposition parameter, RFC 2231 encoded when the
+   * value isn't plain ASCII
+   */
+  formatParam(name, value = '') {
+    if (isAscii(value)) {
+      return `${name}="${value.replace(/(["\\])/g, '\\$1')}"`;
+    }
+
+    const encoded = encodeURIComponent(value).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${name}*=UTF-8''${encoded}`;
+  }
+
+  createMessageId(address) {
+    const domain = address.split('@')[1] || 'localhost';
+    return `<${Date.now().toString(36)}.${crypto.randomBytes(12).toString('hex')}@${domain}>`;
+  }
+}
+
+module.exports = new MimeBuilder();
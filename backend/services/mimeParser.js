@@ -0,0 +1,380 @@
+/**
+ * MIME parsing for message bodies. Both Gmail 'full' payloads and raw
+ * RFC 822 messages are turned into the same part tree:
+ *   { partId, mimeType, headers, charset, disposition, filename, contentId,
+ *     body (decoded Buffer or null), attachmentId, size, parts }
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Labels the WHATWG Encoding spec maps to windows-1252
+const WINDOWS_1252_LABELS = ['windows-1252', 'cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'l1', 'us-ascii', 'ascii'];
+
+// windows-1252 code points for bytes 0x80-0x9F (Node's TextDecoder treats them as Latin-1 controls)
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+];
+
+class MimeParser {
+  /**
+   * Build the part tree from a Gmail API message payload (format 'full').
+   * Gmail has already removed the transfer encoding; body.data is base64url.
+   * @param {Object} payload - Gmail message payload
+   * @returns {Object} Part tree
+   */
+  parseGmailPayload(payload) {
+    const body = payload.body || {};
+
+    return this.buildPart({
+      partId: payload.partId || '',
+      mimeType: (payload.mimeType || 'text/plain').toLowerCase(),
+      headers: payload.headers || [],
+      filename: payload.filename || '',
+      body: body.data ? this.decodeBase64Url(body.data) : null,
+      attachmentId: body.attachmentId || null,
+      size: body.size || 0,
+      parts: (payload.parts || []).map(part => this.parseGmailPayload(part))
+    });
+  }
+
+  /**
+   * Build the part tree from a raw RFC 822 message
+   * @param {Buffer|string} raw - Message source
+   * @returns {Object} Part tree
+   */
+  parseRawMessage(raw) {
+    // latin1 keeps one character per byte, so 8bit bodies survive the round trip
+    const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+    return this.parseRawPart(text, '');
+  }
+
+  parseRawPart(text, partId) {
+    const split = text.search(/\r?\n\r?\n/);
+    const headerText = split >= 0 ? text.slice(0, split) : text;
+    const bodyText = split >= 0 ? text.slice(split).replace(/^\r?\n\r?\n/, '') : '';
+
+    const headers = this.parseHeaderBlock(headerText);
+    const contentType = this.parseHeaderValue(this.getHeader(headers, 'Content-Type') || 'text/plain');
+    const mimeType = contentType.value.toLowerCase() || 'text/plain';
+
+    if (mimeType.startsWith('multipart/') && contentType.params.boundary) {
+      const parts = this.splitMultipart(bodyText, contentType.params.boundary)
+        .map((section, index) => this.parseRawPart(section, partId ? `${partId}.${index}` : String(index)));
+
+      return this.buildPart({ partId, mimeType, headers, parts });
+    }
+
+    const encoding = this.getHeader(headers, 'Content-Transfer-Encoding').trim().toLowerCase();
+
+    return this.buildPart({
+      partId,
+      mimeType,
+      headers,
+      body: this.decodeTransferEncoding(bodyText, encoding)
+    });
+  }
+
+  splitMultipart(body, boundary) {
+    const sections = body.split(new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}`));
+    const parts = [];
+
+    // sections[0] is the preamble; the closing delimiter is followed by '--'
+    for (const section of sections.slice(1)) {
+      if (section.startsWith('--')) break;
+      parts.push(section.replace(/^[ \t]*\r?\n/, ''));
+    }
+
+    return parts;
+  }
+
+  /**
+   * Decoded text/plain and text/html bodies of a message. Attachments are
+   * skipped; inline text parts of the same type are joined in order.
+   * @param {Object} tree - Part tree
+   * @returns {Object} { text, html } (null when the message has none)
+   */
+  extractBodies(tree) {
+    const bodies = { text: [], html: [] };
+
+    this.walk(tree, (part) => {
+      if (!part.body || this.isAttachment(part)) return;
+
+      if (part.mimeType === 'text/plain') {
+        bodies.text.push(this.decodeCharset(part.body, part.charset));
+      } else if (part.mimeType === 'text/html') {
+        bodies.html.push(this.decodeCharset(part.body, part.charset));
+      }
+    });
+
+    return {
+      text: bodies.text.length > 0 ? bodies.text.join('\n') : null,
+      html: bodies.html.length > 0 ? bodies.html.join('\n') : null
+    };
+  }
+
+  /**
+   * Visit every leaf part, skipping attached messages' inner parts
+   * @param {Object} part - Part tree
+   * @param {Function} visit - Called with each leaf part
+   */
+  walk(part, visit) {
+    if (part.parts.length > 0 && part.mimeType !== 'message/rfc822') {
+      part.parts.forEach(child => this.walk(child, visit));
+    } else {
+      visit(part);
+    }
+  }
+
+  /**
+   * Whether a part is an attachment rather than displayable body content
+   * @param {Object} part - Part
+   * @returns {boolean}
+   */
+  isAttachment(part) {
+    return part.disposition === 'attachment' ||
+      Boolean(part.filename) ||
+      part.mimeType === 'message/rfc822';
+  }
+
+  /**
+   * Attachments and inline images anywhere in the tree, including nested
+   * multiparts. Inline means referenced from the body by Content-ID.
+   * @param {Object} tree - Part tree
+   * @returns {Array} [{ partId, filename, mimeType, size, attachmentId, contentId, isInline }]
+   */
+  listAttachments(tree) {
+    const attachments = [];
+
+    this.walk(tree, (part) => {
+      if (!this.isAttachment(part) && !this.isInlineImage(part)) return;
+
+      attachments.push({
+        partId: part.partId,
+        filename: part.filename,
+        mimeType: part.mimeType,
+        size: part.size,
+        attachmentId: part.attachmentId,
+        contentId: part.contentId,
+        isInline: Boolean(part.contentId) && part.disposition !== 'attachment'
+      });
+    });
+
+    return attachments;
+  }
+
+  /**
+   * Whether a part is an image that the HTML body can reference by cid:
+   * @param {Object} part - Part
+   * @returns {boolean}
+   */
+  isInlineImage(part) {
+    return Boolean(part.contentId) && part.mimeType.startsWith('image/');
+  }
+
+  /**
+   * data: URIs of the loaded inline images, keyed by Content-ID
+   * @param {Object} tree - Part tree
+   * @returns {Map} contentId -> data URI
+   */
+  getInlineImages(tree) {
+    const images = new Map();
+
+    this.walk(tree, (part) => {
+      if (part.body && this.isInlineImage(part)) {
+        images.set(part.contentId, `data:${part.mimeType};base64,${part.body.toString('base64')}`);
+      }
+    });
+
+    return images;
+  }
+
+  buildPart({ partId, mimeType, headers, filename = '', body = null, attachmentId = null, size = null, parts = [] }) {
+    const contentType = this.parseHeaderValue(this.getHeader(headers, 'Content-Type'));
+    const disposition = this.parseHeaderValue(this.getHeader(headers, 'Content-Disposition'));
+    const contentId = this.getHeader(headers, 'Content-ID').trim().replace(/^<|>$/g, '');
+
+    return {
+      partId,
+      mimeType,
+      headers,
+      charset: contentType.params.charset || null,
+      disposition: disposition.value.toLowerCase() || null,
+      filename: filename || this.decodeHeader(disposition.params.filename || contentType.params.name || ''),
+      contentId: contentId || null,
+      body,
+      attachmentId,
+      size: size !== null ? size : (body ? body.length : 0),
+      parts
+    };
+  }
+
+  /**
+   * Value of the first header with the given name
+   * @param {Array} headers - [{ name, value }]
+   * @param {string} name - Header name (case-insensitive)
+   * @returns {string} Header value, or '' when missing
+   */
+  getHeader(headers, name) {
+    const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : '';
+  }
+
+  parseHeaderBlock(text) {
+    return text
+      .replace(/\r?\n[ \t]+/g, ' ')
+      .split(/\r?\n/)
+      .map(line => {
+        const index = line.indexOf(':');
+        return index > 0
+          ? { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Split a structured header such as Content-Type into its value and
+   * parameters, including RFC 2231 encoded and continued parameters
+   * @param {string} value - Header value
+   * @returns {Object} { value, params }
+   */
+  parseHeaderValue(value = '') {
+    const [first = '', ...rest] = value.match(/(?:[^;"]+|"(?:\\.|[^"\\])*")+/g) || [];
+    const params = {};
+    const continued = {};
+
+    rest.forEach(token => {
+      const index = token.indexOf('=');
+      if (index < 0) return;
+
+      let key = token.slice(0, index).trim().toLowerCase();
+      let paramValue = token.slice(index + 1).trim();
+
+      if (paramValue.startsWith('"')) {
+        paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+
+      const continuation = key.match(/^(.+?)\*(\d+)(\*?)$/);
+      if (continuation) {
+        const [, name, position, encoded] = continuation;
+        continued[name] = continued[name] || [];
+        continued[name][Number(position)] = { value: paramValue, encoded: Boolean(encoded) };
+        return;
+      }
+
+      if (key.endsWith('*')) {
+        key = key.slice(0, -1);
+        paramValue = this.decodeRfc2231(paramValue);
+      }
+
+      params[key] = paramValue;
+    });
+
+    Object.entries(continued).forEach(([name, sections]) => {
+      const joined = sections.filter(Boolean).map(section => section.value).join('');
+      params[name] = sections[0] && sections[0].encoded ? this.decodeRfc2231(joined) : joined;
+    });
+
+    return { value: first.trim(), params };
+  }
+
+  decodeRfc2231(value) {
+    const match = value.match(/^([^']*)'[^']*'(.*)$/);
+    if (!match) return value;
+
+    const bytes = Buffer.from(
+      match[2].replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+      'latin1'
+    );
+    return this.decodeCharset(bytes, match[1] || 'utf-8');
+  }
+
+  /**
+   * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header
+   * @param {string} value - Header value
+   * @returns {string} Decoded value
+   */
+  decodeHeader(value = '') {
+    return value
+      // Whitespace between adjacent encoded words is not part of the text
+      .replace(/(\?=)\s+(?==\?)/g, '$1')
+      .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+        try {
+          const bytes = encoding.toUpperCase() === 'B'
+            ? Buffer.from(text, 'base64')
+            : this.decodeQuotedPrintable(text.replace(/_/g, ' '));
+          return this.decodeCharset(bytes, charset.split('*')[0]);
+        } catch (error) {
+          return word;
+        }
+      });
+  }
+
+  decodeTransferEncoding(text, encoding) {
+    if (encoding === 'base64') {
+      return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+    }
+    if (encoding === 'quoted-printable') {
+      return this.decodeQuotedPrintable(text);
+    }
+    return Buffer.from(text, 'latin1');
+  }
+
+  /**
+   * Decode base64url (Gmail's encoding for body data)
+   * @param {string} data - base64url text
+   * @returns {Buffer} Bytes
+   */
+  decodeBase64Url(data) {
+    return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  }
+
+  /**
+   * Decode quoted-printable text into bytes
+   * @param {string} text - Encoded text (one character per byte)
+   * @returns {Buffer} Bytes
+   */
+  decodeQuotedPrintable(text) {
+    const input = text.replace(/=\r?\n/g, '');
+    const bytes = [];
+
+    for (let i = 0; i < input.length; i++) {
+      const hex = input.substr(i + 1, 2);
+
+      if (input[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+        bytes.push(parseInt(hex, 16));
+        i += 2;
+      } else {
+        bytes.push(input.charCodeAt(i) & 0xff);
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Decode bytes in the given charset, falling back to UTF-8 for charsets
+   * the runtime does not know
+   * @param {Buffer} bytes - Encoded bytes
+   * @param {string} charset - Charset label, e.g. 'iso-8859-1'
+   * @returns {string} Text
+   */
+  decodeCharset(bytes, charset) {
+    const label = (charset || 'utf-8').trim().toLowerCase();
+
+    if (WINDOWS_1252_LABELS.includes(label)) {
+      return Array.from(bytes, byte => String.fromCharCode(
+        byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : byte
+      )).join('');
+    }
+
+    try {
+      return new TextDecoder(label).decode(bytes);
+    } catch (error) {
+      return new TextDecoder('utf-8').decode(bytes);
+    }
+  }
+}
+
+module.exports = new MimeParser();
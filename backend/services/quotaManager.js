@@ -0,0 +1,128 @@
+const { logger } = require('../config/database');
+
+// Per-user quota units Gmail allows per second (Gmail's own limit is 250)
+const UNITS_PER_SECOND = parseInt(process.env.GMAIL_QUOTA_UNITS_PER_SECOND) || 250;
+
+// Quota units charged by Gmail for each API method
+const METHOD_UNITS = {
+  'users.drafts.create': 10,
+  'users.drafts.delete': 10,
+  'users.drafts.get': 5,
+  'users.drafts.list': 5,
+  'users.drafts.update': 15,
+  'users.getProfile': 1,
+  'users.history.list': 2,
+  'users.labels.create': 5,
+  'users.labels.delete': 5,
+  'users.labels.get': 1,
+  'users.labels.list': 1,
+  'users.labels.patch': 5,
+  'users.messages.attachments.get': 5,
+  'users.messages.batchDelete': 50,
+  'users.messages.delete': 10,
+  'users.messages.list': 5,
+  'users.messages.get': 5,
+  'users.messages.modify': 5,
+  'users.messages.batchModify': 50,
+  'users.messages.send': 100,
+  'users.messages.trash': 5,
+  'users.messages.untrash': 5,
+  'users.stop': 50,
+  'users.watch': 100
+};
+
+const DEFAULT_METHOD_UNITS = 5;
+
+/**
+ * Paces Gmail API calls per user with a token bucket refilled at
+ * UNITS_PER_SECOND, and keeps running totals of the units each user spent.
+ */
+class QuotaManager {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Quota units charged for a Gmail API method
+   * @param {string} method - Method name, e.g. 'users.messages.get'
+   * @returns {number} Units
+   */
+  getCost(method) {
+    return METHOD_UNITS[method] || DEFAULT_METHOD_UNITS;
+  }
+
+  /**
+   * Wait until the user has enough quota for a call, then charge it
+   * @param {number} userId - User ID
+   * @param {string} method - Gmail API method
+   * @param {number} count - Number of calls being made at once (batch requests)
+   */
+  async acquire(userId, method, count = 1) {
+    const units = this.getCost(method) * count;
+    const bucket = this.getBucket(userId);
+    const startedAt = Date.now();
+
+    // A charge larger than the bucket waits for a full bucket and overdraws it
+    const needed = Math.min(units, UNITS_PER_SECOND);
+
+    for (;;) {
+      this.refill(bucket);
+      if (bucket.tokens >= needed) break;
+
+      const waitMs = Math.ceil(((needed - bucket.tokens) / UNITS_PER_SECOND) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    bucket.tokens -= units;
+    bucket.unitsUsed += units;
+    bucket.requests += count;
+
+    const waitedMs = Date.now() - startedAt;
+    if (waitedMs > 0) {
+      bucket.throttledMs += waitedMs;
+      logger.debug(`Gmail quota: waited ${waitedMs}ms for ${units} units (user ${userId})`);
+    }
+  }
+
+  /**
+   * Quota usage for a user since the server started
+   * @param {number} userId - User ID
+   * @returns {Object} { unitsPerSecond, unitsUsed, requests, throttledMs, available }
+   */
+  getUsage(userId) {
+    const bucket = this.getBucket(userId);
+    this.refill(bucket);
+
+    return {
+      unitsPerSecond: UNITS_PER_SECOND,
+      unitsUsed: bucket.unitsUsed,
+      requests: bucket.requests,
+      throttledMs: bucket.throttledMs,
+      available: Math.max(0, Math.floor(bucket.tokens))
+    };
+  }
+
+  getBucket(userId) {
+    if (!this.buckets.has(userId)) {
+      this.buckets.set(userId, {
+        tokens: UNITS_PER_SECOND,
+        refilledAt: Date.now(),
+        unitsUsed: 0,
+        requests: 0,
+        throttledMs: 0
+      });
+    }
+
+    return this.buckets.get(userId);
+  }
+
+  refill(bucket) {
+    const now = Date.now();
+    const elapsed = (now - bucket.refilledAt) / 1000;
+
+    bucket.tokens = Math.min(UNITS_PER_SECOND, bucket.tokens + elapsed * UNITS_PER_SECOND);
+    bucket.refilledAt = now;
+  }
+}
+
+module.exports = new QuotaManager();
@@ -0,0 +1,180 @@
+const { logger } = require('../config/database');
+
+const MAX_RETRIES = parseInt(process.env.GMAIL_MAX_RETRIES) || 5;
+const BASE_DELAY_MS = parseInt(process.env.GMAIL_RETRY_BASE_MS) || 1000;
+const MAX_DELAY_MS = 32 * 1000;
+
+// Consecutive failed calls that open a user's circuit, and how long it stays open
+const BREAKER_THRESHOLD = parseInt(process.env.GMAIL_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.GMAIL_BREAKER_COOLDOWN_MS) || 60 * 1000;
+
+// Gmail reports quota errors as 403 with one of these reasons
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retries transient Gmail API failures (429, 5xx, quota 403s, network
+ * errors) with exponential backoff and jitter, honoring Retry-After.
+ * Each user has a circuit breaker: after BREAKER_THRESHOLD calls fail in a
+ * row, further calls fail fast until the cooldown has passed.
+ */
+class RetryPolicy {
+  constructor() {
+    // userId -> { failures, openUntil }
+    this.breakers = new Map();
+  }
+
+  /**
+   * Run a Gmail API call with retries
+   * @param {number} userId - User ID
+   * @param {Function} request - Performs the call
+   * @returns {Promise} The call's response
+   */
+  async run(userId, request) {
+    this.checkBreaker(userId);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request();
+        this.breakers.delete(userId);
+        return response;
+      } catch (error) {
+        if (!this.isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfterMs = this.getRetryAfterMs(error);
+
+        // Gmail wants us to back off longer than we are willing to block for
+        if (retryAfterMs !== null && retryAfterMs > MAX_DELAY_MS) {
+          this.openBreaker(userId, retryAfterMs);
+          throw error;
+        }
+
+        if (attempt >= MAX_RETRIES) {
+          this.recordFailure(userId);
+          throw error;
+        }
+
+        const delay = retryAfterMs !== null ? retryAfterMs : this.getBackoffDelay(attempt);
+        logger.warn(`Gmail API call failed with ${this.getStatus(error)}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms (user ${userId})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Circuit breaker state for a user
+   * @param {number} userId - User ID
+   * @returns {Object} { state: 'closed'|'open'|'half-open', failures, openUntil }
+   */
+  getState(userId) {
+    const breaker = this.breakers.get(userId);
+
+    if (!breaker || !breaker.openUntil) {
+      return { state: 'closed', failures: breaker ? breaker.failures : 0, openUntil: null };
+    }
+
+    return {
+      state: breaker.openUntil > Date.now() ? 'open' : 'half-open',
+      failures: breaker.failures,
+      openUntil: new Date(breaker.openUntil)
+    };
+  }
+
+  /**
+   * Whether an error is worth retrying
+   * @param {Object} error - Error thrown by the Gmail API client
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    const status = this.getStatus(error);
+
+    if (this.isRateLimited(error) || (status >= 500 && status < 600)) {
+      return true;
+    }
+
+    return NETWORK_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Whether Gmail refused a call for quota: 429, or 403 with a rate limit reason
+   * @param {Object} error - Error thrown by the Gmail API client
+   * @returns {boolean}
+   */
+  isRateLimited(error) {
+    const status = this.getStatus(error);
+
+    if (status === 429) {
+      return true;
+    }
+
+    if (status === 403) {
+      const errors = error.errors || error.response?.data?.error?.errors || [];
+      return errors.some(item => RATE_LIMIT_REASONS.includes(item.reason));
+    }
+
+    return false;
+  }
+
+  getStatus(error) {
+    const status = error.response?.status || error.code;
+    return typeof status === 'number' ? status : parseInt(status) || status;
+  }
+
+  /**
+   * Read the Retry-After header (seconds or an HTTP date)
+   * @param {Object} error - Error thrown by the Gmail API client
+   * @returns {number|null} Delay in milliseconds
+   */
+  getRetryAfterMs(error) {
+    const value = error.response?.headers?.['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getBackoffDelay(attempt) {
+    const delay = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+    return delay + Math.floor(Math.random() * BASE_DELAY_MS);
+  }
+
+  checkBreaker(userId) {
+    const breaker = this.breakers.get(userId);
+    if (!breaker || !breaker.openUntil || breaker.openUntil <= Date.now()) return;
+
+    const error = new Error(`Gmail API rate limit exceeded. Requests are paused until ${new Date(breaker.openUntil).toISOString()}.`);
+    error.code = 429;
+    throw error;
+  }
+
+  recordFailure(userId) {
+    const breaker = this.breakers.get(userId) || { failures: 0, openUntil: null };
+    breaker.failures++;
+    this.breakers.set(userId, breaker);
+
+    // A failed half-open trial re-opens the circuit straight away
+    if (breaker.failures >= BREAKER_THRESHOLD || breaker.openUntil) {
+      this.openBreaker(userId, BREAKER_COOLDOWN_MS);
+    }
+  }
+
+  openBreaker(userId, durationMs) {
+    const breaker = this.breakers.get(userId) || { failures: 0, openUntil: null };
+    breaker.openUntil = Date.now() + durationMs;
+    this.breakers.set(userId, breaker);
+
+    logger.warn(`Gmail API circuit opened for user ${userId} for ${Math.round(durationMs / 1000)}s`);
+  }
+}
+
+module.exports = new RetryPolicy();
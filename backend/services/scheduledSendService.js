@@ -0,0 +1,298 @@
+const { User, ScheduledMessage } = require('../models');
+const { sequelize, logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const composeService = require('./composeService');
+const draftService = require('./draftService');
+const mimeBuilder = require('./mimeBuilder');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULED_SEND_POLL_MS) || 15 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULED_SEND_MAX_ATTEMPTS) || 5;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Statuses in which a message can still be edited or cancelled
+const EDITABLE = ['scheduled', 'failed'];
+
+// HTTP status for each scheduled send error code
+const ERROR_STATUS = {
+  SCHEDULED_MESSAGE_SENDING: 409
+};
+
+const scheduledError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class ScheduledSendService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Requeue messages whose delivery was cut short by the last shutdown and
+   * start polling for messages that are due
+   */
+  async start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    logger.info(`Scheduled send worker started (every ${POLL_INTERVAL_MS}ms)`);
+
+    try {
+      // Counted as an attempt, so delivery first checks whether it went through
+      const interrupted = await ScheduledMessage.findAll({ where: { status: 'sending' } });
+      for (const scheduled of interrupted) {
+        await scheduled.update({
+          status: 'scheduled',
+          attempts: scheduled.attempts + 1,
+          nextAttemptAt: new Date(),
+          lastError: 'Interrupted by a server restart'
+        });
+      }
+
+      if (interrupted.length > 0) {
+        logger.info(`Requeued ${interrupted.length} interrupted scheduled message(s)`);
+      }
+    } catch (error) {
+      logger.error('Error requeuing scheduled messages:', error);
+    }
+  }
+
+  /**
+   * Stop polling and wait for the batch in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+
+  /**
+   * List the user's messages waiting to be sent, soonest first
+   * @param {number} userId - User ID
+   * @returns {Array} Scheduled messages, without attachment content
+   */
+  async list(userId) {
+    const messages = await ScheduledMessage.findAll({
+      where: { userId },
+      order: [['sendAt', 'ASC']]
+    });
+
+    return messages.map(scheduled => this.describe(scheduled));
+  }
+
+  /**
+   * Find one of the user's scheduled messages
+   * @param {number} userId - User ID
+   * @param {number|string} scheduledId - Scheduled message ID
+   * @returns {Object|null} Scheduled message record
+   */
+  find(userId, scheduledId) {
+    return ScheduledMessage.findOne({ where: { id: scheduledId, userId } });
+  }
+
+  /**
+   * Queue a message to be sent at a given time. A message written as a
+   * draft keeps the draft's thread and the draft is deleted.
+   * @param {Object} user - User record
+   * @param {Object} message - { to, cc, bcc, subject, text, html, attachments }
+   * @param {Date} sendAt - When to send
+   * @param {Object} options - { draft: Draft record the message was written in }
+   * @returns {Object} Scheduled message record
+   */
+  async schedule(user, message, sendAt, options = {}) {
+    const { draft = null } = options;
+    const isReply = Boolean(draft && draft.inReplyTo);
+
+    // Together, so the message is never both queued and still a draft, or neither
+    const scheduled = await sequelize.transaction(async (transaction) => {
+      if (draft) {
+        await draftService.markDeleting(draft, { transaction });
+      }
+
+      return ScheduledMessage.create({
+        userId: user.id,
+        messageId: mimeBuilder.createMessageId(user.email),
+        ...draftService.messageFields(message),
+        threadId: isReply ? draft.threadId : null,
+        inReplyTo: isReply ? draft.inReplyTo : null,
+        references: isReply ? draft.references : null,
+        sendAt,
+        nextAttemptAt: sendAt
+      }, { transaction });
+    });
+
+    // Failures here are retried by the draft worker
+    if (draft) {
+      await draftService.push(draft, user);
+    }
+
+    logger.info(`Scheduled message ${scheduled.id} for user ${user.id} at ${sendAt.toISOString()}`);
+    return scheduled;
+  }
+
+  /**
+   * Replace the content and time of a message that hasn't been sent. A
+   * message that failed is queued again.
+   * @param {Object} scheduled - Scheduled message record
+   * @param {Object} message - { to, cc, bcc, subject, text, html, attachments }
+   * @param {Date} sendAt - When to send
+   * @returns {Object} Scheduled message record
+   */
+  async update(scheduled, message, sendAt) {
+    // Conditional, so a message the worker has just picked up isn't changed under it
+    const [updated] = await ScheduledMessage.update({
+      ...draftService.messageFields(message),
+      sendAt,
+      status: 'scheduled',
+      attempts: 0,
+      nextAttemptAt: sendAt,
+      lastError: null
+    }, {
+      where: { id: scheduled.id, status: EDITABLE }
+    });
+
+    if (!updated) {
+      throw scheduledError('Message is being sent', 'SCHEDULED_MESSAGE_SENDING');
+    }
+
+    return scheduled.reload();
+  }
+
+  /**
+   * Cancel a message that hasn't been sent
+   * @param {Object} scheduled - Scheduled message record
+   */
+  async cancel(scheduled) {
+    const cancelled = await ScheduledMessage.destroy({
+      where: { id: scheduled.id, status: EDITABLE }
+    });
+
+    if (!cancelled) {
+      throw scheduledError('Message is being sent', 'SCHEDULED_MESSAGE_SENDING');
+    }
+
+    logger.info(`Cancelled scheduled message ${scheduled.id}`);
+  }
+
+  /**
+   * Send every message whose time has come
+   */
+  async processDue() {
+    if (this.processing) return;
+
+    this.processing = (async () => {
+      try {
+        const messages = await ScheduledMessage.findDue();
+
+        for (const scheduled of messages) {
+          if (!this.timer) break;
+          await this.deliver(scheduled);
+        }
+      } catch (error) {
+        logger.error('Error processing scheduled messages:', error);
+      }
+    })();
+
+    await this.processing;
+    this.processing = null;
+  }
+
+  /**
+   * Send a due message through Gmail and remove it from the queue; on
+   * failure schedule a retry with exponential backoff, up to MAX_ATTEMPTS
+   * @param {Object} scheduled - Scheduled message record
+   */
+  async deliver(scheduled) {
+    // Claim the message; it may have been edited or cancelled since it was read
+    const [claimed] = await ScheduledMessage.update({ status: 'sending' }, {
+      where: { id: scheduled.id, status: 'scheduled' }
+    });
+    if (!claimed) return;
+
+    try {
+      await scheduled.reload();
+      const user = await User.findByPk(scheduled.userId);
+
+      if (!user || !user.isActive) {
+        await scheduled.update({ status: 'failed', lastError: 'User not found or inactive' });
+        return;
+      }
+
+      // An earlier attempt may have reached Gmail without an answer coming back
+      const alreadySent = scheduled.attempts > 0 &&
+        await gmailService.findMessageByMessageId(user, scheduled.messageId);
+
+      if (!alreadySent) {
+        await composeService.send(user, draftService.messageFields(scheduled), {
+          headers: {
+            'In-Reply-To': scheduled.inReplyTo,
+            References: scheduled.references
+          },
+          threadId: scheduled.threadId,
+          messageId: scheduled.messageId
+        });
+      }
+
+      await scheduled.destroy();
+      logger.info(`Delivered scheduled message ${scheduled.id} for user ${user.email}`);
+    } catch (error) {
+      const attempts = scheduled.attempts + 1;
+      const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+
+      logger.warn(`Scheduled message ${scheduled.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+
+      await scheduled.update({
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'scheduled',
+        attempts,
+        nextAttemptAt: new Date(Date.now() + delay),
+        lastError: error.message
+      });
+    }
+  }
+
+  getErrorStatus(error) {
+    return ERROR_STATUS[error.code] || null;
+  }
+
+  /**
+   * Summarize a scheduled message for API responses
+   * @param {Object} scheduled - Scheduled message record
+   * @param {Object} options - { content: include attachment content }
+   * @returns {Object}
+   */
+  describe(scheduled, options = {}) {
+    const { content = false } = options;
+    const { to, cc, bcc, subject, text, html } = scheduled;
+
+    return {
+      id: scheduled.id,
+      to,
+      cc,
+      bcc,
+      subject,
+      text,
+      html,
+      attachments: (scheduled.attachments || []).map(({ filename, mimeType, content: data }) => ({
+        filename,
+        mimeType,
+        size: Buffer.byteLength(data || '', 'base64'),
+        ...(content && { content: data })
+      })),
+      isReply: Boolean(scheduled.inReplyTo),
+      sendAt: scheduled.sendAt,
+      status: scheduled.status,
+      attempts: scheduled.attempts,
+      ...(scheduled.lastError && { lastError: scheduled.lastError })
+    };
+  }
+}
+
+module.exports = new ScheduledSendService();
@@ -0,0 +1,215 @@
+const { User, EmailMetadata } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const threadService = require('./threadService');
+const writeBackService = require('./writeBackService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SNOOZE_POLL_MS) || 30 * 1000;
+
+// How long waking keeps retrying Gmail before the message wakes here only
+const WAKE_RETRY_MS = 60 * 60 * 1000;
+
+class SnoozeService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Start waking snoozed messages whose time has come. Messages that came
+   * due while the server was down wake on the first check.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.wakeDue(), POLL_INTERVAL_MS);
+    logger.info(`Snooze worker started (every ${POLL_INTERVAL_MS}ms)`);
+  }
+
+  /**
+   * Stop polling and wait for the batch in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+
+  /**
+   * Hide messages from the inbox listing until a given time. With
+   * removeFromInbox the INBOX label is also taken off in Gmail (and put back
+   * on waking), so other Gmail clients hide them too.
+   * @param {Object} user - User record
+   * @param {Array} emails - EmailMetadata rows
+   * @param {Date} until - When the messages come back
+   * @param {Object} options - { removeFromInbox }
+   */
+  async snooze(user, emails, until, options = {}) {
+    const { removeFromInbox = false } = options;
+
+    // Imported messages have no Gmail inbox to leave
+    const inInbox = removeFromInbox
+      ? emails.filter(email => email.gmailMessageId && (email.labels || []).includes('INBOX'))
+      : [];
+
+    if (inInbox.length > 0) {
+      await gmailService.modifyMessages(user, inInbox.map(email => email.gmailMessageId), {
+        removeLabelIds: ['INBOX']
+      });
+    }
+
+    for (const email of emails) {
+      const removed = inInbox.includes(email);
+
+      // Snoozed again: a message already taken out of the inbox still goes back on waking
+      await email.update({ snoozedUntil: until, snoozeRemovedInbox: removed || Boolean(email.snoozeRemovedInbox) });
+      if (removed) {
+        await email.update(gmailService.labelUpdate(email, EmailMetadata.changeLabels(email.labels, { remove: ['INBOX'] })));
+      }
+    }
+
+    await threadService.refresh(user.id, emails.map(email => email.threadId));
+    logger.info(`Snoozed ${emails.length} messages for user ${user.id} until ${until.toISOString()}`);
+  }
+
+  /**
+   * Bring snoozed messages back to the inbox listing. Messages snoozed out
+   * of the Gmail inbox get INBOX back. Woken on time, they are marked unread
+   * and sort as if they had just arrived; unsnoozed early, they return as
+   * they were.
+   * @param {Object} user - User record
+   * @param {Array} emails - Snoozed EmailMetadata rows
+   * @param {Object} options - { onTime: woken by the worker }
+   */
+  async wake(user, emails, options = {}) {
+    const { onTime = false } = options;
+    const removed = emails.filter(email => email.snoozeRemovedInbox && !email.isDeleted);
+    const add = onTime ? ['INBOX', 'UNREAD'] : ['INBOX'];
+
+    if (removed.length > 0) {
+      await gmailService.modifyMessages(user, removed.map(email => email.gmailMessageId), { addLabelIds: add });
+    }
+
+    const unread = [];
+    for (const email of emails) {
+      await email.update({
+        snoozedUntil: null,
+        snoozeRemovedInbox: false,
+        ...(onTime && { unsnoozedAt: new Date() })
+      });
+
+      if (removed.includes(email)) {
+        await email.update(gmailService.labelUpdate(email, EmailMetadata.changeLabels(email.labels, { add })));
+      } else if (onTime && email.isRead && !email.isDeleted) {
+        await email.applyLocalEdit({ isRead: false });
+        unread.push(email);
+      }
+    }
+
+    // Follows the same path as marking a message unread in the app
+    if (unread.length > 0) {
+      await writeBackService.enqueueChanges(user, unread, { isRead: false });
+    }
+
+    await threadService.refresh(user.id, emails.map(email => email.threadId));
+  }
+
+  /**
+   * Wake every snoozed message whose time has come, user by user
+   */
+  async wakeDue() {
+    if (this.processing) return;
+
+    this.processing = (async () => {
+      try {
+        const due = await EmailMetadata.findSnoozeDue();
+
+        const byUser = new Map();
+        due.forEach(email => {
+          byUser.set(email.userId, [...(byUser.get(email.userId) || []), email]);
+        });
+
+        for (const [userId, emails] of byUser) {
+          if (!this.timer) break;
+          await this.wakeForUser(userId, emails);
+        }
+      } catch (error) {
+        logger.error('Error waking snoozed messages:', error);
+      }
+    })();
+
+    await this.processing;
+    this.processing = null;
+  }
+
+  /**
+   * Wake one user's due messages. When Gmail can't be reached they are
+   * retried on the next checks, and after WAKE_RETRY_MS wake here, with
+   * the changes queued for Gmail.
+   * @param {number} userId - User ID
+   * @param {Array} emails - Due EmailMetadata rows
+   */
+  async wakeForUser(userId, emails) {
+    const user = await User.findByPk(userId);
+
+    try {
+      if (!user || !user.isActive) {
+        throw new Error('User not found or inactive');
+      }
+
+      await this.wake(user, emails, { onTime: true });
+      logger.info(`Woke ${emails.length} snoozed messages for user ${user.email}`);
+    } catch (error) {
+      const overdue = emails.filter(email => (
+        email.snoozedUntil && Date.now() - new Date(email.snoozedUntil).getTime() > WAKE_RETRY_MS
+      ));
+      logger.warn(`Could not wake snoozed messages for user ${userId}: ${error.message}`);
+
+      if (overdue.length > 0) {
+        await this.wakeLocally(user && user.isActive ? user : null, overdue);
+        await threadService.refresh(userId, overdue.map(email => email.threadId));
+        logger.warn(`Woke ${overdue.length} snoozed messages for user ${userId} before Gmail was updated`);
+      }
+    }
+  }
+
+  /**
+   * Wake messages here, as unread and back in the inbox, recording the
+   * changes as local edits; write-back takes them to Gmail when it can
+   * @param {Object|null} user - User record, or null when Gmail can't be used at all
+   * @param {Array} emails - Snoozed EmailMetadata rows
+   */
+  async wakeLocally(user, emails) {
+    const restored = [];
+    const unread = [];
+
+    for (const email of emails) {
+      const restore = email.snoozeRemovedInbox && !email.isDeleted;
+
+      await email.update({ snoozedUntil: null, snoozeRemovedInbox: false, unsnoozedAt: new Date() });
+      if (email.isDeleted) continue;
+
+      await email.applyLocalEdit({
+        isRead: false,
+        ...(restore && { labels: EmailMetadata.changeLabels(email.labels, { add: ['INBOX'] }) })
+      });
+      (restore ? restored : unread).push(email);
+    }
+
+    if (!user) return;
+
+    if (restored.length > 0) {
+      await writeBackService.enqueueChanges(user, restored, { isRead: false, labels: { add: ['INBOX'] } });
+    }
+    if (unread.length > 0) {
+      await writeBackService.enqueueChanges(user, unread, { isRead: false });
+    }
+  }
+}
+
+module.exports = new SnoozeService();
@@ -0,0 +1,159 @@
+const { User } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const syncService = require('./syncService');
+const backfillService = require('./backfillService');
+const retryPolicy = require('./retryPolicy');
+
+const INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS) || 5 * 60 * 1000;
+const JITTER_MS = parseInt(process.env.SYNC_JITTER_MS) || 30 * 1000;
+const MAX_CONCURRENT = parseInt(process.env.SYNC_MAX_CONCURRENT) || 3;
+
+// Recent per-user failures kept for the status endpoint
+const MAX_RECENT_ERRORS = 20;
+
+class SyncScheduler {
+  constructor() {
+    this.timer = null;
+    this.cycle = null;
+    this.stopRequested = false;
+    this.nextRunAt = null;
+    this.lastCycle = null;
+    this.recentErrors = [];
+  }
+
+  /**
+   * Whether scheduled background syncs are turned on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.SYNC_SCHEDULER === 'true';
+  }
+
+  /**
+   * Schedule the first cycle
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) return;
+
+    this.stopRequested = false;
+    this.scheduleNext();
+    logger.info(`Sync scheduler started (every ${INTERVAL_MS}ms, up to ${MAX_CONCURRENT} users at once)`);
+  }
+
+  /**
+   * Cancel the next cycle and wait for a running one to finish the
+   * syncs it has already started
+   */
+  async stop() {
+    this.stopRequested = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+
+    if (this.cycle) {
+      await this.cycle;
+    }
+  }
+
+  scheduleNext() {
+    const delay = INTERVAL_MS + Math.floor(Math.random() * JITTER_MS);
+
+    this.nextRunAt = new Date(Date.now() + delay);
+    this.timer = setTimeout(() => {
+      this.nextRunAt = null;
+      this.cycle = this.runCycle()
+        .catch(error => logger.error('Sync scheduler cycle crashed:', error))
+        .finally(() => {
+          this.cycle = null;
+          if (!this.stopRequested) this.scheduleNext();
+        });
+    }, delay);
+  }
+
+  /**
+   * Run an incremental sync for every active user with a refresh token.
+   * Users already syncing, backfilling or rate limited are skipped.
+   * @returns {Object} Cycle summary
+   */
+  async runCycle() {
+    const summary = {
+      startedAt: new Date(),
+      finishedAt: null,
+      users: 0,
+      succeeded: 0,
+      partial: 0,
+      failed: 0,
+      skipped: 0
+    };
+    this.lastCycle = summary;
+
+    const users = await User.findSyncable();
+    summary.users = users.length;
+
+    await gmailService.mapWithConcurrency(users, MAX_CONCURRENT, async (user) => {
+      if (this.stopRequested ||
+          syncService.isRunning(user.id) ||
+          backfillService.isRunning(user.id) ||
+          retryPolicy.getState(user.id).state === 'open') {
+        summary.skipped++;
+        return;
+      }
+
+      try {
+        const result = await syncService.run(user, 'incremental');
+        if (result.partial) {
+          summary.partial++;
+        } else {
+          summary.succeeded++;
+        }
+      } catch (error) {
+        // Another sync for the user started since the check above
+        if (syncService.getErrorStatus(error)) {
+          summary.skipped++;
+          return;
+        }
+
+        summary.failed++;
+        this.recordError(user, error);
+      }
+    });
+
+    summary.finishedAt = new Date();
+    logger.info(`Sync scheduler cycle: ${summary.succeeded} synced, ${summary.partial} partial, ${summary.failed} failed, ${summary.skipped} skipped`);
+
+    return summary;
+  }
+
+  recordError(user, error) {
+    logger.error(`Scheduled sync failed for user ${user.email}:`, error);
+
+    this.recentErrors.unshift({
+      userId: user.id,
+      email: user.email,
+      errorCode: gmailService.getErrorCode(error),
+      message: error.message,
+      at: new Date()
+    });
+    this.recentErrors.length = Math.min(this.recentErrors.length, MAX_RECENT_ERRORS);
+  }
+
+  /**
+   * Scheduler state for the admin status endpoint
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      running: Boolean(this.cycle),
+      intervalMs: INTERVAL_MS,
+      jitterMs: JITTER_MS,
+      maxConcurrent: MAX_CONCURRENT,
+      nextRunAt: this.nextRunAt,
+      lastCycle: this.lastCycle,
+      recentErrors: this.recentErrors
+    };
+  }
+}
+
+module.exports = new SyncScheduler();
@@ -0,0 +1,146 @@
+const { SyncRun } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const labelService = require('./labelService');
+
+// HTTP status for each sync error code
+const ERROR_STATUS = {
+  SYNC_IN_PROGRESS: 409
+};
+
+const syncError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class SyncService {
+  constructor() {
+    // Sync in progress in this process, by user ID
+    this.running = new Map();
+  }
+
+  /**
+   * Whether a sync is in progress for a user
+   * @param {number} userId - User ID
+   * @returns {boolean}
+   */
+  isRunning(userId) {
+    return this.running.has(userId);
+  }
+
+  /**
+   * Run a sync for a user and record it as a SyncRun. Only one sync runs
+   * per user at a time (SYNC_IN_PROGRESS otherwise), so two never replay
+   * history from the same checkpoint.
+   * @param {Object} user - User record
+   * @param {string} mode - 'manual' (full page re-list) or 'incremental'
+   * @param {Object} options - Fetch options for manual syncs
+   * @returns {Object} Sync result from the Gmail service
+   */
+  async run(user, mode, options = {}) {
+    // Checked and claimed without awaiting in between
+    if (this.running.has(user.id)) {
+      throw syncError('A sync is already running for this user', 'SYNC_IN_PROGRESS');
+    }
+
+    const promise = this.execute(user, mode, options);
+    this.running.set(user.id, promise);
+
+    try {
+      return await promise;
+    } finally {
+      this.running.delete(user.id);
+    }
+  }
+
+  /**
+   * Sync and record the run. A sync that kept partial results is recorded
+   * as interrupted.
+   * @param {Object} user - User record
+   * @param {string} mode - 'manual' or 'incremental'
+   * @param {Object} options - Fetch options for manual syncs
+   * @returns {Object} Sync result from the Gmail service
+   */
+  async execute(user, mode, options) {
+    const run = await SyncRun.begin(user.id, mode);
+
+    try {
+      const result = mode === 'incremental'
+        ? await gmailService.syncIncremental(user)
+        : await gmailService.syncFull(user, options);
+
+      const counts = {
+        added: result.added,
+        updated: result.updated,
+        deleted: result.deleted
+      };
+
+      if (result.partial) {
+        // What was fetched is kept; the next run picks up from the checkpoint
+        const error = result.error || { code: 'EMAIL_SYNC_FAILED', message: `${result.failed} messages could not be fetched` };
+        await run.addCounts(counts);
+        await run.interrupt(user.historyId, error.code, error.message);
+      } else {
+        await run.succeed(counts, user.historyId);
+        await user.update({ lastSyncedAt: run.finishedAt });
+      }
+
+      // Label counts follow the messages; names and colors are picked up periodically
+      await labelService.refresh(user, { changed: counts.added + counts.updated + counts.deleted > 0 });
+
+      return result;
+    } catch (error) {
+      await this.recordFailure(run, error, user.historyId);
+      throw error;
+    }
+  }
+
+  getErrorStatus(error) {
+    return ERROR_STATUS[error.code] || null;
+  }
+
+  /**
+   * Mark a run as failed without masking the original error
+   * @param {Object} run - SyncRun record
+   * @param {Error} error - Error that ended the run
+   * @param {string} historyId - User's history checkpoint at failure time
+   */
+  async recordFailure(run, error, historyId = null) {
+    try {
+      await run.fail(gmailService.getErrorCode(error), error.message, historyId);
+    } catch (recordError) {
+      logger.error(`Error recording failed sync run ${run.id}:`, recordError);
+    }
+  }
+
+  /**
+   * Get a user's sync history, newest first
+   * @param {number} userId - User ID
+   * @param {Object} options - { page, limit, mode }
+   * @returns {Object} Rows and total count
+   */
+  async getHistory(userId, options = {}) {
+    const { page = 1, limit = 20, mode = null } = options;
+
+    return SyncRun.findByUser(userId, {
+      limit,
+      offset: (page - 1) * limit,
+      where: mode ? { mode } : {}
+    });
+  }
+
+  /**
+   * Get the most recent sync run for a user
+   * @param {number} userId - User ID
+   * @returns {Object|null} Latest SyncRun
+   */
+  async getLastRun(userId) {
+    return SyncRun.findOne({
+      where: { userId },
+      order: [['startedAt', 'DESC']]
+    });
+  }
+}
+
+module.exports = new SyncService();
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, EmailMetadata, Thread } = require('../models');
+const { logger } = require('../config/database');
+
+// Threads recomputed per query when rebuilding a whole mailbox
+const REBUILD_BATCH_SIZE = 200;
+
+// EmailMetadata columns returned for each message of a thread
+const MESSAGE_ATTRIBUTES = [
+  'id', 'messageId', 'threadId', 'subject', 'sender', 'senderName', 'recipient',
+  'snippet', 'receivedDate', 'isRead', 'isStarred', 'hasAttachments',
+  'labels', 'priority', 'size', 'source', 'createdAt'
+];
+
+class ThreadService {
+  constructor() {
+    this.building = null;
+  }
+
+  /**
+   * Build thread aggregates for users who have mail but no threads yet
+   * (mailboxes indexed, or archives imported, before threads existed)
+   */
+  start() {
+    this.building = this.buildMissing()
+      .catch(error => logger.error('Error building thread aggregates:', error))
+      .finally(() => {
+        this.building = null;
+      });
+  }
+
+  /**
+   * Wait for a build in progress
+   */
+  async stop() {
+    if (this.building) {
+      await this.building;
+    }
+  }
+
+  async buildMissing() {
+    await this.assignImportThreads();
+
+    const users = await User.findAll({ attributes: ['id'] });
+
+    for (const user of users) {
+      const [threads, emails] = await Promise.all([
+        Thread.count({ where: { userId: user.id } }),
+        EmailMetadata.count({ where: { userId: user.id, threadId: { [Op.ne]: null } } })
+      ]);
+
+      if (threads === 0 && emails > 0) {
+        await this.rebuild(user.id);
+      }
+    }
+  }
+
+  /**
+   * Find one of a user's threads
+   * @param {number} userId - User ID
+   * @param {string} threadId - Thread ID
+   * @returns {Object|null} Thread record
+   */
+  async findForUser(userId, threadId) {
+    return Thread.findOne({ where: { userId, threadId } });
+  }
+
+  /**
+   * Messages of a thread, oldest first
+   * @param {number} userId - User ID
+   * @param {string} threadId - Thread ID
+   * @returns {Array} EmailMetadata records
+   */
+  async listMessages(userId, threadId) {
+    return EmailMetadata.findAll({
+      where: { userId, threadId, isDeleted: false },
+      attributes: MESSAGE_ATTRIBUTES,
+      order: [['receivedDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Thread ID for imported mail, keyed by the conversation's root Message-ID
+   * @param {string} rootMessageId - Message-ID of the first message
+   * @returns {string} Thread ID
+   */
+  importThreadId(rootMessageId) {
+    return `import:${crypto.createHash('sha1').update(rootMessageId).digest('hex')}`;
+  }
+
+  /**
+   * Give messages imported without a thread a thread of their own (their
+   * References headers were not kept, so they can't be joined up later)
+   */
+  async assignImportThreads() {
+    const emails = await EmailMetadata.findAll({
+      where: { threadId: null },
+      attributes: ['id', 'userId', 'messageId']
+    });
+
+    if (emails.length === 0) return;
+
+    const byUser = new Map();
+    for (const email of emails) {
+      const threadId = this.importThreadId(email.messageId);
+      await email.update({ threadId });
+
+      if (!byUser.has(email.userId)) byUser.set(email.userId, []);
+      byUser.get(email.userId).push(threadId);
+    }
+
+    for (const [userId, threadIds] of byUser) {
+      await this.refresh(userId, threadIds);
+    }
+
+    logger.info(`Assigned threads to ${emails.length} imported messages`);
+  }
+
+  /**
+   * Recompute the aggregates of the given threads from their messages.
+   * Threads whose messages are all gone are removed.
+   * @param {number} userId - User ID
+   * @param {Array} threadIds - Thread IDs (duplicates and nulls are ignored)
+   */
+  async refresh(userId, threadIds) {
+    const ids = [...new Set(threadIds.filter(Boolean))];
+    if (ids.length === 0) return;
+
+    const emails = await EmailMetadata.findAll({
+      where: { userId, threadId: ids, isDeleted: false },
+      attributes: [
+        'threadId', 'subject', 'sender', 'senderName', 'snippet', 'receivedDate',
+        'isRead', 'isStarred', 'hasAttachments', 'labels'
+      ],
+      order: [['receivedDate', 'ASC']]
+    });
+
+    const byThread = new Map(ids.map(id => [id, []]));
+    emails.forEach(email => byThread.get(email.threadId).push(email));
+
+    const empty = [];
+    for (const [threadId, messages] of byThread) {
+      if (messages.length === 0) {
+        empty.push(threadId);
+        continue;
+      }
+
+      await Thread.upsert({ userId, threadId, ...this.aggregate(messages) });
+    }
+
+    if (empty.length > 0) {
+      await Thread.destroy({ where: { userId, threadId: empty } });
+    }
+  }
+
+  /**
+   * Refresh the threads of messages identified by Gmail message ID
+   * @param {number} userId - User ID
+   * @param {Array} gmailMessageIds - Gmail message IDs
+   */
+  async refreshForMessages(userId, gmailMessageIds) {
+    if (gmailMessageIds.length === 0) return;
+
+    const emails = await EmailMetadata.findAll({
+      where: { userId, gmailMessageId: gmailMessageIds },
+      attributes: ['threadId']
+    });
+
+    await this.refresh(userId, emails.map(email => email.threadId));
+  }
+
+  /**
+   * Recompute every thread of a user's mailbox
+   * @param {number} userId - User ID
+   */
+  async rebuild(userId) {
+    const [emailThreads, storedThreads] = await Promise.all([
+      EmailMetadata.findAll({
+        where: { userId, threadId: { [Op.ne]: null } },
+        attributes: ['threadId'],
+        group: ['threadId'],
+        raw: true
+      }),
+      Thread.findAll({ where: { userId }, attributes: ['threadId'], raw: true })
+    ]);
+
+    const threadIds = [...new Set([...emailThreads, ...storedThreads].map(row => row.threadId))];
+
+    for (let i = 0; i < threadIds.length; i += REBUILD_BATCH_SIZE) {
+      await this.refresh(userId, threadIds.slice(i, i + REBUILD_BATCH_SIZE));
+    }
+
+    logger.info(`Rebuilt ${threadIds.length} threads for user ${userId}`);
+  }
+
+  /**
+   * Thread aggregates from its messages
+   * @param {Array} messages - EmailMetadata rows, oldest first
+   * @returns {Object} Thread fields
+   */
+  aggregate(messages) {
+    const latest = messages[messages.length - 1];
+    const participants = new Map();
+    const labels = new Set();
+
+    messages.forEach(message => {
+      if (!participants.has(message.sender)) {
+        participants.set(message.sender, { email: message.sender, name: message.senderName || null });
+      }
+      (message.labels || []).forEach(label => labels.add(label));
+    });
+
+    return {
+      subject: messages[0].subject,
+      snippet: latest.snippet,
+      participants: [...participants.values()],
+      messageCount: messages.length,
+      unreadCount: messages.filter(message => !message.isRead).length,
+      isStarred: messages.some(message => message.isStarred),
+      hasAttachments: messages.some(message => message.hasAttachments),
+      labels: [...labels],
+      latestDate: latest.receivedDate
+    };
+  }
+}
+
+module.exports = new ThreadService();
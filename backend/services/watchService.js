@@ -0,0 +1,157 @@
+const { User } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+const syncService = require('./syncService');
+const backfillService = require('./backfillService');
+
+const RENEW_CHECK_MS = parseInt(process.env.WATCH_RENEW_CHECK_MS) || 60 * 60 * 1000;
+const RENEW_BEFORE_MS = parseInt(process.env.WATCH_RENEW_BEFORE_MS) || 24 * 60 * 60 * 1000;
+const BUSY_POLL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Keeps Gmail push notifications (users.watch) alive for every syncable
+ * user and turns incoming notifications into incremental syncs.
+ */
+class WatchService {
+  constructor() {
+    this.timer = null;
+    this.stopping = false;
+    // userId -> promise of the notification-triggered sync in progress
+    this.syncing = new Map();
+    // Users notified again while their sync was running
+    this.pending = new Set();
+  }
+
+  /**
+   * Whether push notifications are configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(process.env.GMAIL_PUBSUB_TOPIC);
+  }
+
+  /**
+   * Renew due watches now and then on every check interval
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) return;
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.renewDue(), RENEW_CHECK_MS);
+    this.renewDue();
+    logger.info(`Gmail watch renewal started (every ${RENEW_CHECK_MS}ms)`);
+  }
+
+  /**
+   * Stop renewing and wait for notification-triggered syncs to finish
+   */
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    await Promise.all([...this.syncing.values()]);
+  }
+
+  /**
+   * Start or renew watches that expire within RENEW_BEFORE_MS
+   * @returns {number} Number of watches renewed
+   */
+  async renewDue() {
+    let renewed = 0;
+
+    try {
+      const renewBy = Date.now() + RENEW_BEFORE_MS;
+      const users = (await User.findSyncable())
+        .filter(user => !user.watchExpiresAt || user.watchExpiresAt.getTime() < renewBy);
+
+      for (const user of users) {
+        if (this.stopping) break;
+
+        try {
+          const { expiration } = await gmailService.watchMailbox(user, process.env.GMAIL_PUBSUB_TOPIC);
+          renewed++;
+          logger.info(`Gmail watch for ${user.email} renewed until ${expiration.toISOString()}`);
+        } catch (error) {
+          logger.error(`Failed to renew Gmail watch for ${user.email}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Error renewing Gmail watches:', error);
+    }
+
+    return renewed;
+  }
+
+  /**
+   * Handle a decoded Gmail push notification
+   * @param {Object} notification - { emailAddress, historyId }
+   * @returns {string} 'queued', 'up_to_date' or 'unknown_user'
+   */
+  async handleNotification({ emailAddress, historyId }) {
+    const user = await User.findByEmail(emailAddress);
+
+    if (!user || !user.refreshToken) {
+      logger.warn(`Gmail push notification for unknown or unsyncable mailbox ${emailAddress}`);
+      return 'unknown_user';
+    }
+
+    if (user.historyId && BigInt(historyId) <= BigInt(user.historyId)) {
+      return 'up_to_date';
+    }
+
+    this.queueSync(user.id);
+    return 'queued';
+  }
+
+  /**
+   * Run an incremental sync for a user, coalescing notifications that
+   * arrive while one is already running into a single follow-up sync
+   * @param {number} userId - User ID
+   */
+  queueSync(userId) {
+    if (this.stopping) return;
+
+    if (this.syncing.has(userId)) {
+      this.pending.add(userId);
+      return;
+    }
+
+    const promise = this.syncUser(userId)
+      .catch(error => logger.error(`Push-triggered sync failed for user ${userId}:`, error))
+      .finally(() => this.syncing.delete(userId));
+
+    this.syncing.set(userId, promise);
+  }
+
+  async syncUser(userId) {
+    do {
+      this.pending.delete(userId);
+
+      // Changes made during a backfill are replayed by the next notification
+      if (backfillService.isRunning(userId)) return;
+
+      // Let a manual or scheduled sync finish first
+      while (!this.stopping && syncService.isRunning(userId)) {
+        await sleep(BUSY_POLL_MS);
+      }
+      if (this.stopping) return;
+
+      const user = await User.findByPk(userId);
+      if (!user || !user.isActive) return;
+
+      try {
+        await syncService.run(user, 'incremental');
+      } catch (error) {
+        if (!syncService.getErrorStatus(error)) throw error;
+
+        // Another sync started meanwhile; go again once it is done
+        this.pending.add(userId);
+      }
+    } while (this.pending.has(userId) && !this.stopping);
+  }
+}
+
+module.exports = new WatchService();
@@ -0,0 +1,218 @@
+const { User, EmailMetadata, WriteBackJob } = require('../models');
+const { logger } = require('../config/database');
+const gmailService = require('./gmailService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.WRITE_BACK_POLL_MS) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.WRITE_BACK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Gmail label changes that carry each locally editable flag
+const FLAG_LABELS = {
+  isRead: (value) => value ? { removeLabelIds: ['UNREAD'] } : { addLabelIds: ['UNREAD'] },
+  isStarred: (value) => value ? { addLabelIds: ['STARRED'] } : { removeLabelIds: ['STARRED'] }
+};
+
+class WriteBackService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Whether local flag changes are pushed back to Gmail
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.GMAIL_WRITE_BACK === 'true';
+  }
+
+  /**
+   * Start polling the queue for due retries
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) return;
+
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    logger.info(`Gmail write-back worker started (every ${POLL_INTERVAL_MS}ms)`);
+  }
+
+  /**
+   * Stop polling and wait for the batch in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+
+  /**
+   * Queue read/star and label changes for Gmail and try to push them right away
+   * @param {Object} user - User record
+   * @param {Array} emails - EmailMetadata rows that were edited
+   * @param {Object} changes - Edited flags, e.g. { isRead: true }, and/or
+   *   labels: { add, remove } with Gmail label IDs
+   * @returns {Object|null} Write-back job, or null when write-back is off or nothing applies
+   */
+  async enqueueChanges(user, emails, changes) {
+    if (!this.isEnabled()) return null;
+
+    const labels = { addLabelIds: [], removeLabelIds: [] };
+    Object.entries(changes)
+      .filter(([field]) => FLAG_LABELS[field])
+      .forEach(([field, value]) => {
+        const { addLabelIds = [], removeLabelIds = [] } = FLAG_LABELS[field](value);
+        labels.addLabelIds.push(...addLabelIds);
+        labels.removeLabelIds.push(...removeLabelIds);
+      });
+
+    if (changes.labels) {
+      labels.addLabelIds.push(...(changes.labels.add || []));
+      labels.removeLabelIds.push(...(changes.labels.remove || []));
+    }
+
+    // Imported messages have no Gmail counterpart
+    const gmailMessageIds = emails
+      .map(email => email.gmailMessageId)
+      .filter(Boolean);
+
+    if (gmailMessageIds.length === 0 ||
+        (labels.addLabelIds.length === 0 && labels.removeLabelIds.length === 0)) {
+      return null;
+    }
+
+    const job = await WriteBackJob.create({
+      userId: user.id,
+      gmailMessageIds,
+      ...labels,
+      changes,
+      nextAttemptAt: new Date()
+    });
+
+    await this.processJob(job, user);
+    return job;
+  }
+
+  /**
+   * Process every job whose retry time has come
+   */
+  async processDue() {
+    if (this.processing) return;
+
+    this.processing = (async () => {
+      try {
+        const jobs = await WriteBackJob.findDue();
+
+        // Jobs run one at a time, oldest first, so a user's changes reach Gmail in order
+        for (const job of jobs) {
+          if (!this.timer) break;
+          await this.processJob(job);
+        }
+      } catch (error) {
+        logger.error('Error processing write-back queue:', error);
+      }
+    })();
+
+    await this.processing;
+    this.processing = null;
+  }
+
+  /**
+   * Push one job to Gmail; on failure schedule a retry with exponential backoff
+   * @param {Object} job - Write-back job
+   * @param {Object} user - User record (loaded when omitted)
+   */
+  async processJob(job, user = null) {
+    try {
+      user = user || await User.findByPk(job.userId);
+
+      if (!user || !user.isActive) {
+        await job.update({ status: 'failed', lastError: 'User not found or inactive' });
+        return;
+      }
+
+      await gmailService.modifyMessages(user, job.gmailMessageIds, {
+        addLabelIds: job.addLabelIds,
+        removeLabelIds: job.removeLabelIds
+      });
+
+      await job.update({
+        status: 'done',
+        attempts: job.attempts + 1,
+        lastError: null
+      });
+
+      await this.settle(job);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+
+      logger.warn(`Write-back job ${job.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+
+      await job.update({
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt: new Date(Date.now() + delay),
+        lastError: error.message
+      });
+    }
+  }
+
+  /**
+   * Clear the pending local edits that Gmail now reflects
+   * @param {Object} job - Completed write-back job
+   */
+  async settle(job) {
+    const emails = await EmailMetadata.findAll({
+      where: {
+        userId: job.userId,
+        gmailMessageId: job.gmailMessageIds
+      }
+    });
+
+    await Promise.all(emails.map(email => email.settleLocalChanges(this.getPushedValues(job, email))));
+  }
+
+  /**
+   * Values Gmail holds for an email's edited fields once a job went through.
+   * Label changes are add/remove operations, so the labels Gmail now has are
+   * worked out from the labels the local edit was made against.
+   * @param {Object} job - Completed write-back job
+   * @param {Object} email - EmailMetadata record
+   * @returns {Object} Field values, as settleLocalChanges expects
+   */
+  getPushedValues(job, email) {
+    const { labels, ...flags } = job.changes || {};
+    if (!labels) return flags;
+
+    const pending = (email.localChanges || {}).labels;
+    return {
+      ...flags,
+      labels: EmailMetadata.changeLabels(pending ? pending.base : email.labels, labels)
+    };
+  }
+
+  /**
+   * Summarize a job for API responses
+   * @param {Object|null} job - Write-back job
+   * @returns {Object} Write-back state
+   */
+  describe(job) {
+    if (!job) {
+      return { status: this.isEnabled() ? 'skipped' : 'disabled' };
+    }
+
+    return {
+      status: job.status === 'done' ? 'synced' : 'queued',
+      jobId: job.id,
+      ...(job.lastError && { lastError: job.lastError })
+    };
+  }
+}
+
+module.exports = new WriteBackService();
@@ -6,7 +6,9 @@ import { ProtectedRoute } from './components/auth/ProtectedRoute';
 import { LoginPage } from './components/auth/LoginPage';
 import { CallbackPage } from './components/auth/CallbackPage';
 import { EmailList } from './components/email/EmailList';
-import { EmailDetail } from './components/email/EmailDetail';
+import { ThreadView } from './components/email/ThreadView';
+import { DraftList } from './components/email/DraftList';
+import { ScheduledList } from './components/email/ScheduledList';
 import { Layout } from './components/common/Layout';
 
 // Create a client
@@ -40,11 +42,31 @@ function App() {
                 }
               />
               <Route
-                path="/email/:id"
+                path="/thread/:threadId"
                 element={
                   <ProtectedRoute>
                     <Layout>
-                      <EmailDetail />
+                      <ThreadView />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/drafts"
+                element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <DraftList />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/scheduled"
+                element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <ScheduledList />
                     </Layout>
                   </ProtectedRoute>
                 }
@@ -0,0 +1,287 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useDeleteDraft, useSaveDraft, useScheduleMessage, useSendEmail } from '../../hooks/useEmails';
+import { AnswerMode, ComposeMessage, Draft, EmailMetadata, OutgoingAttachment, ScheduledMessage } from '../../types';
+import { Button, Input } from '../common/UI';
+
+interface ComposeModalProps {
+  onClose: () => void;
+  // Set when replying to or forwarding an email
+  answer?: { email: EmailMetadata; mode: AnswerMode };
+  // Set when editing a saved draft (with attachment content)
+  draft?: Draft;
+  // Set when editing a message scheduled to be sent later (with attachment content)
+  scheduled?: ScheduledMessage;
+}
+
+// How long after the first unsaved change a new message or draft is saved
+const AUTOSAVE_DELAY_MS = 3000;
+
+const TITLES: Record<AnswerMode, string> = {
+  reply: 'Reply',
+  'reply-all': 'Reply all',
+  forward: 'Forward',
+};
+
+// Split a comma- or semicolon-separated address field
+const parseAddresses = (value: string) =>
+  value.split(/[,;]/).map(address => address.trim()).filter(Boolean);
+
+// Value for a datetime-local input, in local time
+export const toLocalInput = (date: Date) => {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Read a file as base64, without the data: URL prefix
+const readAsBase64 = (file: File) =>
+  new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve((reader.result as string).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+export function ComposeModal({ onClose, answer, draft, scheduled }: ComposeModalProps) {
+  const sendEmailMutation = useSendEmail();
+  const scheduleMutation = useScheduleMessage();
+  const { mutate: saveDraft, isPending: isSavingDraft, error: saveDraftError } = useSaveDraft();
+  const deleteDraftMutation = useDeleteDraft();
+  const saved = draft || scheduled;
+  const [to, setTo] = useState(saved ? saved.to.join(', ') : '');
+  const [cc, setCc] = useState(saved ? saved.cc.join(', ') : '');
+  const [bcc, setBcc] = useState(saved ? saved.bcc.join(', ') : '');
+  const [showCopies, setShowCopies] = useState(Boolean(saved && (saved.cc.length > 0 || saved.bcc.length > 0)));
+  const [subject, setSubject] = useState(saved?.subject || '');
+  const [text, setText] = useState(saved?.text || '');
+  // A saved HTML body (e.g. written in Gmail) is kept until the text is edited here
+  const [html, setHtml] = useState(saved?.html || undefined);
+  const [attachments, setAttachments] = useState<OutgoingAttachment[]>(
+    saved ? saved.attachments.map(({ filename, mimeType, content }) => ({ filename, mimeType, content: content || '' })) : []
+  );
+  const [draftId, setDraftId] = useState(draft?.id);
+  const [isDirty, setIsDirty] = useState(false);
+  // datetime-local value; empty sends right away
+  const [sendAt, setSendAt] = useState(scheduled ? toLocalInput(new Date(scheduled.sendAt)) : '');
+  const [showSchedule, setShowSchedule] = useState(Boolean(scheduled));
+
+  // Replies go to the original's sender (and recipients) unless more are added
+  const isReply = answer !== undefined && answer.mode !== 'forward';
+  const hasRecipients = isReply || [to, cc, bcc].some(field => parseAddresses(field).length > 0);
+  // Replies and forwards are quoted by the server when sent, so only new messages are
+  // drafted or scheduled
+  const isDraftable = !answer && !scheduled;
+  const isSendAtValid = !showSchedule || (sendAt !== '' && new Date(sendAt) > new Date());
+  const isSubmitting = sendEmailMutation.isPending || scheduleMutation.isPending;
+
+  const message = useMemo<ComposeMessage>(() => ({
+    to: parseAddresses(to),
+    cc: parseAddresses(cc),
+    bcc: parseAddresses(bcc),
+    // The server derives Re:/Fwd: subjects from the original
+    ...(!answer && { subject }),
+    text,
+    ...(html && { html }),
+    attachments,
+  }), [to, cc, bcc, subject, text, html, attachments, answer]);
+
+  // The autosave timer reads the latest content without restarting on every keystroke
+  const messageRef = useRef(message);
+  messageRef.current = message;
+
+  useEffect(() => {
+    if (!isDraftable || !isDirty || isSavingDraft || isSubmitting) return;
+
+    const timer = setTimeout(() => {
+      setIsDirty(false);
+      saveDraft({ id: draftId, message: messageRef.current }, {
+        onSuccess: (saved) => setDraftId(saved.id),
+        onError: () => setIsDirty(true),
+      });
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [isDraftable, isDirty, isSavingDraft, isSubmitting, draftId, saveDraft]);
+
+  const edit = <T,>(setter: (value: T) => void) => (value: T) => {
+    setter(value);
+    setIsDirty(true);
+  };
+
+  const handleFiles = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const read: OutgoingAttachment[] = await Promise.all(selected.map(async (file) => ({
+      filename: file.name,
+      mimeType: file.type || undefined,
+      content: await readAsBase64(file),
+    })));
+    setAttachments(current => [...current, ...read]);
+    setIsDirty(true);
+  };
+
+  const handleSend = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!hasRecipients || !isSendAtValid) return;
+
+    setIsDirty(false);
+    if (showSchedule) {
+      scheduleMutation.mutate({ id: scheduled?.id, message, sendAt: new Date(sendAt), draftId }, {
+        onSuccess: onClose,
+      });
+      return;
+    }
+
+    sendEmailMutation.mutate({
+      message,
+      answer: answer && { id: answer.email.id.toString(), mode: answer.mode },
+      draftId,
+    }, {
+      onSuccess: onClose,
+    });
+  };
+
+  // Closing keeps the message as a draft
+  const handleClose = () => {
+    if (isDraftable && isDirty) {
+      saveDraft({ id: draftId, message });
+    }
+    onClose();
+  };
+
+  const handleDiscard = () => {
+    if (draftId) {
+      deleteDraftMutation.mutate(draftId);
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+      <form onSubmit={handleSend} className="w-full max-w-2xl bg-white rounded-lg shadow-xl">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 truncate">
+            {answer
+              ? `${TITLES[answer.mode]}: ${answer.email.subject || '(No subject)'}`
+              : scheduled ? 'Scheduled message' : draft ? 'Draft' : 'New message'}
+          </h2>
+          <div className="flex items-center space-x-3">
+            {isDraftable && draftId && (
+              <span className="text-xs text-gray-500">
+                {isSavingDraft ? 'Saving…' : saveDraftError ? 'Not saved' : isDirty ? '' : 'Draft saved'}
+              </span>
+            )}
+            <button type="button" onClick={handleClose} className="text-gray-400 hover:text-gray-700" title="Save and close">
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="px-6 py-4 space-y-3">
+          <div className="flex items-end gap-2">
+            <Input
+              label="To"
+              type="text"
+              placeholder={isReply
+                ? `${answer.email.senderName || answer.email.sender}${answer.mode === 'reply-all' ? ' and everyone on the message' : ''}`
+                : 'name@example.com, Another Person <other@example.com>'}
+              value={to}
+              onChange={(e) => edit(setTo)(e.target.value)}
+            />
+            {!showCopies && (
+              <Button type="button" variant="outline" size="sm" onClick={() => setShowCopies(true)}>
+                Cc/Bcc
+              </Button>
+            )}
+          </div>
+
+          {showCopies && (
+            <>
+              <Input label="Cc" type="text" value={cc} onChange={(e) => edit(setCc)(e.target.value)} />
+              <Input label="Bcc" type="text" value={bcc} onChange={(e) => edit(setBcc)(e.target.value)} />
+            </>
+          )}
+
+          {!answer && (
+            <Input label="Subject" type="text" value={subject} onChange={(e) => edit(setSubject)(e.target.value)} />
+          )}
+
+          <textarea
+            value={text}
+            onChange={(e) => {
+              edit(setText)(e.target.value);
+              setHtml(undefined);
+            }}
+            rows={12}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+
+          {/* Attachments */}
+          <div>
+            <label className="inline-block cursor-pointer text-sm text-blue-600 hover:text-blue-800">
+              Attach files
+              <input type="file" multiple onChange={handleFiles} className="hidden" />
+            </label>
+            {attachments.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {attachments.map((attachment, index) => (
+                  <li key={`${attachment.filename}-${index}`} className="flex items-center justify-between text-sm text-gray-700">
+                    <span className="truncate">
+                      {attachment.filename} ({Math.ceil((attachment.content.length * 3) / 4 / 1024)} KB)
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setAttachments(current => current.filter((_, i) => i !== index));
+                        setIsDirty(true);
+                      }}
+                      className="ml-2 text-gray-400 hover:text-red-600"
+                      title="Remove attachment"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {sendEmailMutation.error && (
+            <p className="text-sm text-red-600">Couldn't send the message. Please check the recipients and try again.</p>
+          )}
+          {scheduleMutation.error && (
+            <p className="text-sm text-red-600">Couldn't schedule the message. It may already be on its way.</p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end space-x-2 px-6 py-4 border-t border-gray-200">
+          <Button type="button" variant="outline" onClick={scheduled ? onClose : handleDiscard}>
+            {scheduled ? 'Close' : 'Discard'}
+          </Button>
+          {!answer && (showSchedule ? (
+            <input
+              type="datetime-local"
+              value={sendAt}
+              min={toLocalInput(new Date())}
+              onChange={(e) => setSendAt(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+              title="Send at"
+            />
+          ) : (
+            <Button type="button" variant="outline" onClick={() => setShowSchedule(true)}>
+              Send later
+            </Button>
+          ))}
+          {/* Wait for a new draft to be created so sending can remove it */}
+          <Button
+            type="submit"
+            isLoading={isSubmitting}
+            disabled={!hasRecipients || !isSendAtValid || (isSavingDraft && !draftId)}
+          >
+            {scheduled ? 'Save' : showSchedule ? 'Schedule' : 'Send'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+}
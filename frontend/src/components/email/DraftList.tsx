@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDrafts, useDraft, useDeleteDraft, useResolveDraft } from '../../hooks/useEmails';
+import { Draft } from '../../types';
+import { Button, Card, Badge, Loader } from '../common/UI';
+import { ComposeModal } from './ComposeModal';
+
+// Loads a draft with its attachments, then opens it for editing
+function DraftEditor({ id, onClose }: { id: number; onClose: () => void }) {
+  const { data: draft, error } = useDraft(id);
+
+  if (error) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+        <Card className="text-center">
+          <p className="text-red-600">Failed to open the draft. Please try again.</p>
+          <Button onClick={onClose} className="mt-4">
+            Close
+          </Button>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!draft) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+        <Loader size="lg" />
+      </div>
+    );
+  }
+
+  return <ComposeModal draft={draft} onClose={onClose} />;
+}
+
+export function DraftList() {
+  const navigate = useNavigate();
+  const { data: drafts, isLoading, error } = useDrafts();
+  const deleteDraftMutation = useDeleteDraft();
+  const resolveDraftMutation = useResolveDraft();
+  const [openId, setOpenId] = useState<number | null>(null);
+  const [isComposing, setIsComposing] = useState(false);
+
+  const recipients = (draft: Draft) => {
+    const all = [...draft.to, ...draft.cc, ...draft.bcc];
+    return all.length > 0 ? all.join(', ') : '(No recipients)';
+  };
+
+  const handleDelete = (e: React.MouseEvent, draft: Draft) => {
+    e.stopPropagation();
+    if (window.confirm('Delete this draft here and in Gmail?')) {
+      deleteDraftMutation.mutate(draft.id);
+    }
+  };
+
+  const handleResolve = (e: React.MouseEvent, draft: Draft, keep: 'local' | 'remote') => {
+    e.stopPropagation();
+    resolveDraftMutation.mutate({ id: draft.id, keep });
+  };
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <Button variant="outline" onClick={() => navigate('/')}>
+          ← Back to Inbox
+        </Button>
+        <Button onClick={() => setIsComposing(true)}>
+          Compose
+        </Button>
+      </div>
+
+      <Card>
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Drafts</h1>
+
+        {isLoading ? (
+          <Loader size="lg" />
+        ) : error ? (
+          <p className="text-red-600">Failed to load drafts. Please try again.</p>
+        ) : !drafts || drafts.length === 0 ? (
+          <p className="text-gray-500">No drafts.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {drafts.map((draft) => (
+              <li
+                key={draft.id}
+                onClick={() => setOpenId(draft.id)}
+                className="py-3 cursor-pointer hover:bg-gray-50"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-900 truncate">{recipients(draft)}</span>
+                  <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                    {draft.syncStatus === 'pending' && (
+                      <Badge variant="warning" className="whitespace-nowrap">Not in Gmail yet</Badge>
+                    )}
+                    {draft.syncStatus === 'conflict' && (
+                      <Badge variant="error" className="whitespace-nowrap">Conflict</Badge>
+                    )}
+                    <span className="text-xs text-gray-500">{new Date(draft.updatedAt).toLocaleString()}</span>
+                    <button
+                      type="button"
+                      onClick={(e) => handleDelete(e, draft)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete draft"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-700 truncate">{draft.subject || '(No subject)'}</p>
+                {draft.text && <p className="text-sm text-gray-500 truncate">{draft.text}</p>}
+
+                {draft.syncStatus === 'conflict' && (
+                  <div className="mt-2 flex items-center space-x-2">
+                    <span className="text-xs text-red-600">
+                      {draft.lastError || 'Changed in Gmail'}. Which copy should be kept?
+                    </span>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={(e) => handleResolve(e, draft, 'local')}
+                      disabled={resolveDraftMutation.isPending}
+                    >
+                      Keep mine
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={(e) => handleResolve(e, draft, 'remote')}
+                      disabled={resolveDraftMutation.isPending}
+                    >
+                      Use Gmail version
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+
+      {openId !== null && <DraftEditor id={openId} onClose={() => setOpenId(null)} />}
+      {isComposing && <ComposeModal onClose={() => setIsComposing(false)} />}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+
+interface EmailHtmlFrameProps {
+  html: string;
+  title: string;
+  showImages?: boolean; // the user chose to load remote images
+}
+
+// Sanitized server-side, but still untrusted: no scripts, no same-origin access,
+// and the CSP blocks anything the sanitizer missed. Remote images load only when shown.
+const contentSecurityPolicy = (showImages: boolean) =>
+  `default-src 'none'; img-src data:${showImages ? ' https: http:' : ''}; style-src 'unsafe-inline'`;
+
+export function EmailHtmlFrame({ html, title, showImages = false }: EmailHtmlFrameProps) {
+  const srcDoc = `<!DOCTYPE html><html><head><meta charset="utf-8">` +
+    `<meta http-equiv="Content-Security-Policy" content="${contentSecurityPolicy(showImages)}">` +
+    `<base target="_blank"></head><body>${html}</body></html>`;
+
+  return (
+    <iframe
+      title={title}
+      srcDoc={srcDoc}
+      sandbox="allow-popups allow-popups-to-escape-sandbox"
+      referrerPolicy="no-referrer"
+      className="w-full border-0"
+      style={{ height: '70vh' }}
+    />
+  );
+}
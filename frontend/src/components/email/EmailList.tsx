@@ -1,8 +1,22 @@
-import React, { useState } from 'react';
-import { useEmails, useEmailStats, useSyncEmails } from '../../hooks/useEmails';
-import { EmailSearchParams } from '../../types';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { authService } from '../../services/api';
+import { useEmails, useEmailStats, useSyncEmails, useMoveEmail } from '../../hooks/useEmails';
+import { EmailMetadata, EmailSearchParams, MailboxAction } from '../../types';
 import { Button, Input, Card, Loader } from '../common/UI';
 import { EmailListItem } from './EmailListItem';
+import { LabelSidebar } from './LabelSidebar';
+import { ComposeModal } from './ComposeModal';
+
+// How long the undo bar stays up after archiving or trashing
+const UNDO_WINDOW_MS = 8000;
+
+// Actions that can be undone, with their inverse and what the undo bar says
+const UNDOABLE: Partial<Record<MailboxAction, { inverse: MailboxAction; message: string }>> = {
+  archive: { inverse: 'unarchive', message: 'Email archived.' },
+  trash: { inverse: 'untrash', message: 'Email moved to trash.' },
+};
 
 export function EmailList() {
   const [searchParams, setSearchParams] = useState<EmailSearchParams>({
@@ -14,10 +28,21 @@ export function EmailList() {
 
   const [searchQuery, setSearchQuery] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  const [isComposing, setIsComposing] = useState(false);
+  const navigate = useNavigate();
 
   const { data: emailsData, isLoading, error } = useEmails(searchParams);
   const { data: stats } = useEmailStats();
   const syncEmailsMutation = useSyncEmails();
+  const moveEmailMutation = useMoveEmail();
+  const [undo, setUndo] = useState<{ id: string; action: MailboxAction } | null>(null);
+
+  useEffect(() => {
+    if (!undo) return;
+
+    const timer = setTimeout(() => setUndo(null), UNDO_WINDOW_MS);
+    return () => clearTimeout(timer);
+  }, [undo]);
 
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
@@ -44,6 +69,33 @@ export function EmailList() {
     syncEmailsMutation.mutate();
   };
 
+  const handleMove = (email: EmailMetadata, action: MailboxAction) => {
+    if (action === 'delete' &&
+        !window.confirm('Delete this email forever? This skips the trash and cannot be undone.')) {
+      return;
+    }
+
+    const id = email.id.toString();
+    moveEmailMutation.mutate({ id, action }, {
+      onSuccess: () => setUndo(UNDOABLE[action] ? { id, action } : null),
+      onError: async (error) => {
+        // Full mailbox access is only asked for the first time it's needed
+        if (axios.isAxiosError(error) && error.response?.data?.error === 'FULL_ACCESS_REQUIRED' &&
+            window.confirm('Deleting forever needs full access to your Gmail. Grant it now? You can delete the email once you are back.')) {
+          const { url } = await authService.getFullAccessUrl();
+          window.location.href = url;
+        }
+      },
+    });
+  };
+
+  const handleUndo = () => {
+    if (!undo) return;
+
+    moveEmailMutation.mutate({ id: undo.id, action: UNDOABLE[undo.action]!.inverse });
+    setUndo(null);
+  };
+
   if (error) {
     return (
       <div className="p-6">
@@ -75,166 +127,215 @@ export function EmailList() {
             </div>
           )}
         </div>
-        <Button
-          onClick={handleSyncEmails}
-          isLoading={syncEmailsMutation.isPending}
-          className="mt-4 lg:mt-0"
-        >
-          Sync Gmail
-        </Button>
-      </div>
-
-      {/* Search and filters */}
-      <Card className="mb-6">
-        <form onSubmit={handleSearch} className="flex gap-4 mb-4">
-          <Input
-            type="text"
-            placeholder="Search emails..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="flex-1"
-          />
-          <Button type="submit">Search</Button>
+        <div className="flex space-x-2 mt-4 lg:mt-0">
+          <Button onClick={() => setIsComposing(true)}>
+            Compose
+          </Button>
+          <Button variant="outline" onClick={() => navigate('/drafts')}>
+            Drafts
+          </Button>
+          <Button variant="outline" onClick={() => navigate('/scheduled')}>
+            Scheduled
+          </Button>
+          <Button
+            variant={searchParams.snoozed ? 'primary' : 'outline'}
+            onClick={() => handleFilterChange({ snoozed: searchParams.snoozed ? undefined : true })}
+          >
+            Snoozed
+          </Button>
           <Button
-            type="button"
             variant="outline"
-            onClick={() => setShowFilters(!showFilters)}
+            onClick={handleSyncEmails}
+            isLoading={syncEmailsMutation.isPending}
           >
-            Filters
+            Sync Gmail
           </Button>
-        </form>
-
-        {showFilters && (
-          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 pt-4 border-t">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Status
-              </label>
-              <select
-                value={searchParams.isRead === undefined ? 'all' : searchParams.isRead ? 'read' : 'unread'}
-                onChange={(e) => {
-                  const value = e.target.value;
-                  handleFilterChange({
-                    isRead: value === 'all' ? undefined : value === 'read',
-                  });
-                }}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md"
-              >
-                <option value="all">All</option>
-                <option value="unread">Unread</option>
-                <option value="read">Read</option>
-              </select>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Important
-              </label>
-              <select
-                value={searchParams.isImportant === undefined ? 'all' : searchParams.isImportant ? 'yes' : 'no'}
-                onChange={(e) => {
-                  const value = e.target.value;
-                  handleFilterChange({
-                    isImportant: value === 'all' ? undefined : value === 'yes',
-                  });
-                }}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md"
-              >
-                <option value="all">All</option>
-                <option value="yes">Important</option>
-                <option value="no">Not Important</option>
-              </select>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Starred
-              </label>
-              <select
-                value={searchParams.isStarred === undefined ? 'all' : searchParams.isStarred ? 'yes' : 'no'}
-                onChange={(e) => {
-                  const value = e.target.value;
-                  handleFilterChange({
-                    isStarred: value === 'all' ? undefined : value === 'yes',
-                  });
-                }}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md"
-              >
-                <option value="all">All</option>
-                <option value="yes">Starred</option>
-                <option value="no">Not Starred</option>
-              </select>
-            </div>
+        </div>
+      </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                From Date
-              </label>
-              <input
-                type="date"
-                value={searchParams.fromDate || ''}
-                onChange={(e) => handleFilterChange({ fromDate: e.target.value || undefined })}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md"
-              />
-            </div>
+      <div className="flex gap-6">
+        {/* Label sidebar */}
+        <aside className="hidden lg:block w-56 flex-shrink-0">
+          <Card>
+            <LabelSidebar
+              selected={searchParams.label}
+              onSelect={(label) => handleFilterChange({ label })}
+            />
+          </Card>
+        </aside>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                To Date
-              </label>
-              <input
-                type="date"
-                value={searchParams.toDate || ''}
-                onChange={(e) => handleFilterChange({ toDate: e.target.value || undefined })}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+        <div className="flex-1 min-w-0">
+          {/* Search and filters */}
+          <Card className="mb-6">
+            <form onSubmit={handleSearch} className="flex gap-4 mb-4">
+              <Input
+                type="text"
+                placeholder="Search emails..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="flex-1"
               />
-            </div>
-          </div>
-        )}
-      </Card>
-
-      {/* Email list */}
-      {isLoading ? (
-        <div className="flex justify-center py-12">
-          <Loader size="lg" />
-        </div>
-      ) : emailsData?.emails.length === 0 ? (
-        <Card className="text-center py-12">
-          <p className="text-gray-500">No emails found</p>
-        </Card>
-      ) : (
-        <>
-          <div className="space-y-2">
-            {emailsData?.emails.map((email) => (
-              <EmailListItem key={email.id} email={email} />
-            ))}
-          </div>
-
-          {/* Pagination */}
-          {emailsData && emailsData.totalPages > 1 && (
-            <div className="flex justify-center items-center space-x-2 mt-6">
+              <Button type="submit">Search</Button>
               <Button
+                type="button"
                 variant="outline"
-                onClick={() => handlePageChange(emailsData.currentPage - 1)}
-                disabled={!emailsData.hasPreviousPage}
+                onClick={() => setShowFilters(!showFilters)}
               >
-                Previous
-              </Button>
-              
-              <span className="px-4 py-2 text-sm text-gray-600">
-                Page {emailsData.currentPage} of {emailsData.totalPages}
-              </span>
-              
-              <Button
-                variant="outline"
-                onClick={() => handlePageChange(emailsData.currentPage + 1)}
-                disabled={!emailsData.hasNextPage}
-              >
-                Next
+                Filters
               </Button>
+            </form>
+
+            {showFilters && (
+              <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 pt-4 border-t">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Status
+                  </label>
+                  <select
+                    value={searchParams.isRead === undefined ? 'all' : searchParams.isRead ? 'read' : 'unread'}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      handleFilterChange({
+                        isRead: value === 'all' ? undefined : value === 'read',
+                      });
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="all">All</option>
+                    <option value="unread">Unread</option>
+                    <option value="read">Read</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Important
+                  </label>
+                  <select
+                    value={searchParams.isImportant === undefined ? 'all' : searchParams.isImportant ? 'yes' : 'no'}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      handleFilterChange({
+                        isImportant: value === 'all' ? undefined : value === 'yes',
+                      });
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="all">All</option>
+                    <option value="yes">Important</option>
+                    <option value="no">Not Important</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Starred
+                  </label>
+                  <select
+                    value={searchParams.isStarred === undefined ? 'all' : searchParams.isStarred ? 'yes' : 'no'}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      handleFilterChange({
+                        isStarred: value === 'all' ? undefined : value === 'yes',
+                      });
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="all">All</option>
+                    <option value="yes">Starred</option>
+                    <option value="no">Not Starred</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    From Date
+                  </label>
+                  <input
+                    type="date"
+                    value={searchParams.fromDate || ''}
+                    onChange={(e) => handleFilterChange({ fromDate: e.target.value || undefined })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    To Date
+                  </label>
+                  <input
+                    type="date"
+                    value={searchParams.toDate || ''}
+                    onChange={(e) => handleFilterChange({ toDate: e.target.value || undefined })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                </div>
+              </div>
+            )}
+          </Card>
+
+          {/* Email list */}
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <Loader size="lg" />
             </div>
+          ) : emailsData?.emails.length === 0 ? (
+            <Card className="text-center py-12">
+              <p className="text-gray-500">{searchParams.snoozed ? 'No snoozed emails' : 'No emails found'}</p>
+            </Card>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {emailsData?.emails.map((email) => (
+                  <EmailListItem key={email.id} email={email} onMove={handleMove} />
+                ))}
+              </div>
+
+              {/* Pagination */}
+              {emailsData && emailsData.totalPages > 1 && (
+                <div className="flex justify-center items-center space-x-2 mt-6">
+                  <Button
+                    variant="outline"
+                    onClick={() => handlePageChange(emailsData.currentPage - 1)}
+                    disabled={!emailsData.hasPreviousPage}
+                  >
+                    Previous
+                  </Button>
+                  
+                  <span className="px-4 py-2 text-sm text-gray-600">
+                    Page {emailsData.currentPage} of {emailsData.totalPages}
+                  </span>
+                  
+                  <Button
+                    variant="outline"
+                    onClick={() => handlePageChange(emailsData.currentPage + 1)}
+                    disabled={!emailsData.hasNextPage}
+                  >
+                    Next
+                  </Button>
+                </div>
+              )}
+            </>
           )}
-        </>
+        </div>
+      </div>
+
+      {isComposing && <ComposeModal onClose={() => setIsComposing(false)} />}
+
+      {/* Undo bar for the last archive or trash */}
+      {undo && (
+        <div className="fixed bottom-6 left-6 z-50 flex items-center space-x-4 bg-gray-900 text-white text-sm rounded-md shadow-lg px-4 py-3">
+          <span>{UNDOABLE[undo.action]!.message}</span>
+          <button onClick={handleUndo} className="font-semibold text-blue-300 hover:text-blue-200">
+            Undo
+          </button>
+        </div>
+      )}
+
+      {moveEmailMutation.error && !undo && (
+        <div className="fixed bottom-6 left-6 z-50 bg-red-600 text-white text-sm rounded-md shadow-lg px-4 py-3">
+          Couldn't update the email. Please try again.
+        </div>
       )}
     </div>
   );
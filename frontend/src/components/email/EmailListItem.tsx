@@ -1,25 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { EmailMetadata } from '../../types';
-import { useMarkAsRead, useMarkAsImportant, useStarEmail } from '../../hooks/useEmails';
+import { EmailMetadata, MailboxAction } from '../../types';
+import { useMarkAsImportant, useStarEmail, useLabelNames, useSnoozeEmail, useUnsnoozeEmail } from '../../hooks/useEmails';
 import { Badge } from '../common/UI';
+import { SnoozeMenu } from './SnoozeMenu';
 
 interface EmailListItemProps {
   email: EmailMetadata;
+  onMove: (email: EmailMetadata, action: MailboxAction) => void;
 }
 
-export function EmailListItem({ email }: EmailListItemProps) {
+export function EmailListItem({ email, onMove }: EmailListItemProps) {
   const navigate = useNavigate();
-  const markAsReadMutation = useMarkAsRead();
   const markAsImportantMutation = useMarkAsImportant();
   const starEmailMutation = useStarEmail();
+  const snoozeEmailMutation = useSnoozeEmail();
+  const unsnoozeEmailMutation = useUnsnoozeEmail();
+  const labelName = useLabelNames();
+  const [showSnooze, setShowSnooze] = useState(false);
   const handleClick = () => {
-    navigate(`/email/${email.id}`);
-    
-    // Mark as read when opening
-    if (!email.isRead) {
-      markAsReadMutation.mutate({ id: email.id.toString(), isRead: true });
-    }
+    // The thread view marks the messages it opens as read
+    navigate(`/thread/${encodeURIComponent(email.threadId)}`);
   };
 
   const handleStarClick = (e: React.MouseEvent) => {
@@ -31,6 +32,24 @@ export function EmailListItem({ email }: EmailListItemProps) {
     // Since priority is used instead of isImportant, we'll use priority to determine importance state
     markAsImportantMutation.mutate({ id: email.id.toString(), isImportant: email.priority !== 'high' });
   };
+  const handleMoveClick = (e: React.MouseEvent, action: MailboxAction) => {
+    e.stopPropagation();
+    onMove(email, action);
+  };
+  const handleSnoozeClick = (e: React.MouseEvent) => {
+    e.stopPropagation();
+    setShowSnooze(!showSnooze);
+  };
+  const handleSnooze = (until: Date, removeFromInbox: boolean) => {
+    snoozeEmailMutation.mutate(
+      { id: email.id.toString(), until, removeFromInbox },
+      { onSuccess: () => setShowSnooze(false) }
+    );
+  };
+  const handleUnsnoozeClick = (e: React.MouseEvent) => {
+    e.stopPropagation();
+    unsnoozeEmailMutation.mutate(email.id.toString());
+  };
   const formatDate = (dateString: string) => {
     const now = new Date();
     const emailDate = new Date(dateString);
@@ -55,7 +74,7 @@ export function EmailListItem({ email }: EmailListItemProps) {
     <div
       onClick={handleClick}
       className={`
-        group cursor-pointer border border-gray-200 rounded-lg p-4 hover:bg-gray-50 transition-colors
+        group relative cursor-pointer border border-gray-200 rounded-lg p-4 hover:bg-gray-50 transition-colors
         ${!email.isRead ? 'bg-blue-50 border-blue-200' : 'bg-white'}
       `}
     >
@@ -82,9 +101,69 @@ export function EmailListItem({ email }: EmailListItemProps) {
               )}
             </div>
             <div className="flex items-center space-x-2">
-              <span className="text-sm text-gray-500">
-                {formatDate(email.receivedDate)}
-              </span>
+              {/* Mailbox actions, shown on hover; imported emails are not in Gmail and can only be deleted */}
+              <div className="hidden group-hover:flex items-center">
+                {!email.snoozedUntil && (
+                  <button
+                    onClick={handleSnoozeClick}
+                    className="p-1 rounded text-gray-400 hover:bg-gray-200 hover:text-gray-700"
+                    title="Snooze"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </button>
+                )}
+                {email.source !== 'import' && (
+                  <>
+                    <button
+                      onClick={(e) => handleMoveClick(e, 'archive')}
+                      className="p-1 rounded text-gray-400 hover:bg-gray-200 hover:text-gray-700"
+                      title="Archive"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={(e) => handleMoveClick(e, 'trash')}
+                      className="p-1 rounded text-gray-400 hover:bg-gray-200 hover:text-gray-700"
+                      title="Move to trash"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  </>
+                )}
+                <button
+                  onClick={(e) => handleMoveClick(e, 'delete')}
+                  className="p-1 rounded text-gray-400 hover:bg-gray-200 hover:text-red-600"
+                  title="Delete forever"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                </button>
+              </div>
+              {email.snoozedUntil ? (
+                <>
+                  <span className="text-sm text-gray-500">
+                    Snoozed until {new Date(email.snoozedUntil).toLocaleString()}
+                  </span>
+                  <button
+                    onClick={handleUnsnoozeClick}
+                    disabled={unsnoozeEmailMutation.isPending}
+                    className="text-sm text-primary-600 hover:text-primary-800"
+                  >
+                    Unsnooze
+                  </button>
+                </>
+              ) : (
+                <span className="text-sm text-gray-500">
+                  {formatDate(email.receivedDate)}
+                </span>
+              )}
               <button
                 onClick={handleStarClick}
                 className={`p-1 rounded hover:bg-gray-200 ${
@@ -120,7 +199,7 @@ export function EmailListItem({ email }: EmailListItemProps) {
             <div className="flex flex-wrap gap-1 mt-2">
               {email.labels.slice(0, 3).map((label) => (
                 <Badge key={label} variant="default" size="sm">
-                  {label}
+                  {labelName(label)}
                 </Badge>
               ))}
               {email.labels.length > 3 && (
@@ -132,6 +211,15 @@ export function EmailListItem({ email }: EmailListItemProps) {
           )}
         </div>
       </div>
+
+      {showSnooze && (
+        <SnoozeMenu
+          canRemoveFromInbox={email.source !== 'import' && email.labels.includes('INBOX')}
+          isLoading={snoozeEmailMutation.isPending}
+          onSnooze={handleSnooze}
+          onClose={() => setShowSnooze(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { useLabels, useCreateLabel, useRenameLabel, useDeleteLabel } from '../../hooks/useEmails';
+import { Label } from '../../types';
+import { Button, Input, Loader } from '../common/UI';
+
+interface LabelSidebarProps {
+  selected?: string;
+  onSelect: (labelId: string | undefined) => void;
+}
+
+export function LabelSidebar({ selected, onSelect }: LabelSidebarProps) {
+  const { data: labels, isLoading, error } = useLabels();
+  const createLabelMutation = useCreateLabel();
+  const renameLabelMutation = useRenameLabel();
+  const deleteLabelMutation = useDeleteLabel();
+  const [newLabelName, setNewLabelName] = useState('');
+
+  // Follow Gmail's own label list settings
+  const visible = (labels || []).filter((label: Label) =>
+    label.labelListVisibility !== 'labelHide' &&
+    (label.labelListVisibility !== 'labelShowIfUnread' || label.messagesUnread > 0)
+  );
+
+  const handleCreate = (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = newLabelName.trim();
+    if (!name) return;
+
+    createLabelMutation.mutate(name, {
+      onSuccess: () => setNewLabelName(''),
+    });
+  };
+
+  const handleRename = (label: Label) => {
+    const name = window.prompt('Rename label', label.name)?.trim();
+    if (name && name !== label.name) {
+      renameLabelMutation.mutate({ labelId: label.labelId, name });
+    }
+  };
+
+  const handleDelete = (label: Label) => {
+    if (!window.confirm(`Delete the label "${label.name}"? It will be removed from all messages.`)) return;
+
+    deleteLabelMutation.mutate(label.labelId, {
+      onSuccess: () => {
+        if (selected === label.labelId) onSelect(undefined);
+      },
+    });
+  };
+
+  const itemClass = (isSelected: boolean) => `
+    group w-full flex items-center justify-between px-3 py-2 rounded-md text-sm text-left
+    ${isSelected ? 'bg-blue-100 text-blue-900 font-medium' : 'text-gray-700 hover:bg-gray-100'}
+  `;
+
+  const mutationError = createLabelMutation.error || renameLabelMutation.error || deleteLabelMutation.error;
+
+  return (
+    <nav className="space-y-1">
+      <button onClick={() => onSelect(undefined)} className={itemClass(!selected)}>
+        <span>All mail</span>
+      </button>
+
+      {isLoading && (
+        <div className="py-4">
+          <Loader size="sm" />
+        </div>
+      )}
+
+      {error && (
+        <p className="px-3 py-2 text-sm text-red-600">Couldn't load labels.</p>
+      )}
+
+      {visible.map((label) => (
+        <div key={label.labelId} className={itemClass(selected === label.labelId)}>
+          <button
+            onClick={() => onSelect(label.labelId)}
+            className="flex items-center min-w-0 flex-1 text-left"
+            title={`${label.messagesTotal} messages, ${label.messagesUnread} unread`}
+          >
+            <span
+              className="w-2.5 h-2.5 rounded-full mr-2 flex-shrink-0 border border-gray-300"
+              style={{ backgroundColor: label.backgroundColor || 'transparent' }}
+            />
+            <span className="truncate">{label.name}</span>
+          </button>
+
+          {label.type === 'user' && (
+            <span className="hidden group-hover:flex items-center ml-1">
+              <button
+                onClick={() => handleRename(label)}
+                className="px-1 text-gray-400 hover:text-gray-700"
+                title="Rename label"
+              >
+                ✎
+              </button>
+              <button
+                onClick={() => handleDelete(label)}
+                className="px-1 text-gray-400 hover:text-red-600"
+                title="Delete label"
+              >
+                ×
+              </button>
+            </span>
+          )}
+
+          {label.messagesUnread > 0 && (
+            <span className="ml-2 text-xs font-semibold text-gray-600 group-hover:hidden">{label.messagesUnread}</span>
+          )}
+        </div>
+      ))}
+
+      <form onSubmit={handleCreate} className="pt-3 mt-2 border-t border-gray-200 space-y-2">
+        <Input
+          type="text"
+          placeholder="New label"
+          value={newLabelName}
+          onChange={(e) => setNewLabelName(e.target.value)}
+        />
+        <Button
+          type="submit"
+          variant="outline"
+          size="sm"
+          isLoading={createLabelMutation.isPending}
+          disabled={!newLabelName.trim()}
+          className="w-full"
+        >
+          Create label
+        </Button>
+      </form>
+
+      {mutationError && (
+        <p className="px-3 py-2 text-sm text-red-600">Couldn't update labels. Please try again.</p>
+      )}
+    </nav>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useScheduledMessages, useScheduledMessage, useCancelScheduledMessage } from '../../hooks/useEmails';
+import { ScheduledMessage } from '../../types';
+import { Button, Card, Badge, Loader } from '../common/UI';
+import { ComposeModal } from './ComposeModal';
+
+// Loads a scheduled message with its attachments, then opens it for editing
+function ScheduledEditor({ id, onClose }: { id: number; onClose: () => void }) {
+  const { data: scheduled, error } = useScheduledMessage(id);
+
+  if (error) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+        <Card className="text-center">
+          <p className="text-red-600">Failed to open the message. It may already have been sent.</p>
+          <Button onClick={onClose} className="mt-4">
+            Close
+          </Button>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!scheduled) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+        <Loader size="lg" />
+      </div>
+    );
+  }
+
+  return <ComposeModal scheduled={scheduled} onClose={onClose} />;
+}
+
+export function ScheduledList() {
+  const navigate = useNavigate();
+  const { data: messages, isLoading, error } = useScheduledMessages();
+  const cancelMutation = useCancelScheduledMessage();
+  const [openId, setOpenId] = useState<number | null>(null);
+
+  const recipients = (scheduled: ScheduledMessage) =>
+    [...scheduled.to, ...scheduled.cc, ...scheduled.bcc].join(', ');
+
+  const handleCancel = (e: React.MouseEvent, scheduled: ScheduledMessage) => {
+    e.stopPropagation();
+    if (window.confirm('Cancel this message? It will not be sent.')) {
+      cancelMutation.mutate(scheduled.id);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <Button variant="outline" onClick={() => navigate('/')}>
+          ← Back to Inbox
+        </Button>
+      </div>
+
+      <Card>
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Scheduled</h1>
+
+        {isLoading ? (
+          <Loader size="lg" />
+        ) : error ? (
+          <p className="text-red-600">Failed to load scheduled messages. Please try again.</p>
+        ) : !messages || messages.length === 0 ? (
+          <p className="text-gray-500">No messages are scheduled.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {messages.map((scheduled) => {
+              const isSending = scheduled.status === 'sending';
+
+              return (
+                <li
+                  key={scheduled.id}
+                  onClick={() => !isSending && setOpenId(scheduled.id)}
+                  className={`py-3 ${isSending ? '' : 'cursor-pointer hover:bg-gray-50'}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900 truncate">{recipients(scheduled)}</span>
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                      {isSending && <Badge variant="info">Sending</Badge>}
+                      {scheduled.status === 'failed' && <Badge variant="error">Failed</Badge>}
+                      <span className="text-xs text-gray-500">{new Date(scheduled.sendAt).toLocaleString()}</span>
+                      {!isSending && (
+                        <button
+                          type="button"
+                          onClick={(e) => handleCancel(e, scheduled)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Cancel send"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <p className="text-sm text-gray-700 truncate">{scheduled.subject || '(No subject)'}</p>
+                  {scheduled.lastError && (
+                    <p className="text-xs text-red-600 truncate">
+                      {scheduled.status === 'failed'
+                        ? `Not sent: ${scheduled.lastError}. Edit it to try again.`
+                        : `Retrying after: ${scheduled.lastError}`}
+                    </p>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Card>
+
+      {openId !== null && <ScheduledEditor id={openId} onClose={() => setOpenId(null)} />}
+    </div>
+  );
+}
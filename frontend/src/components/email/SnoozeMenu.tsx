@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Button } from '../common/UI';
+import { toLocalInput } from './ComposeModal';
+
+interface SnoozeMenuProps {
+  canRemoveFromInbox: boolean;
+  isLoading?: boolean;
+  onSnooze: (until: Date, removeFromInbox: boolean) => void;
+  onClose: () => void;
+}
+
+// Common snooze times, from the current time
+const presets = () => {
+  const now = new Date();
+  const at = (days: number, hours: number) =>
+    new Date(now.getFullYear(), now.getMonth(), now.getDate() + days, hours);
+  const laterToday = new Date(now.getTime() + 3 * 60 * 60 * 1000);
+  // Next Monday, even when today is Monday
+  const nextWeek = at(((8 - now.getDay()) % 7) || 7, 8);
+
+  return [
+    ...(laterToday.getDate() === now.getDate() ? [{ label: 'Later today', until: laterToday }] : []),
+    { label: 'Tomorrow', until: at(1, 8) },
+    { label: 'Next week', until: nextWeek },
+  ];
+};
+
+export function SnoozeMenu({ canRemoveFromInbox, isLoading = false, onSnooze, onClose }: SnoozeMenuProps) {
+  const [custom, setCustom] = useState('');
+  const [removeFromInbox, setRemoveFromInbox] = useState(false);
+
+  return (
+    <div
+      onClick={(e) => e.stopPropagation()}
+      className="absolute right-0 top-10 z-20 w-64 bg-white border border-gray-200 rounded-md shadow-lg p-3 space-y-2"
+    >
+      <p className="text-sm font-medium text-gray-900">Snooze until…</p>
+
+      {presets().map(({ label, until }) => (
+        <button
+          key={label}
+          type="button"
+          onClick={() => onSnooze(until, removeFromInbox)}
+          disabled={isLoading}
+          className="w-full flex justify-between text-left text-sm px-2 py-1 rounded hover:bg-gray-100"
+        >
+          <span>{label}</span>
+          <span className="text-gray-500">
+            {until.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+          </span>
+        </button>
+      ))}
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="datetime-local"
+          value={custom}
+          min={toLocalInput(new Date())}
+          onChange={(e) => setCustom(e.target.value)}
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md"
+          title="Pick date and time"
+        />
+        <Button
+          size="sm"
+          onClick={() => onSnooze(new Date(custom), removeFromInbox)}
+          disabled={!custom || new Date(custom) <= new Date() || isLoading}
+        >
+          Snooze
+        </Button>
+      </div>
+
+      {canRemoveFromInbox && (
+        <label className="flex items-center space-x-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={removeFromInbox}
+            onChange={(e) => setRemoveFromInbox(e.target.checked)}
+          />
+          <span>Also remove from the Gmail inbox until then</span>
+        </label>
+      )}
+
+      <div className="text-right">
+        <button type="button" onClick={onClose} className="text-xs text-gray-500 hover:text-gray-700">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
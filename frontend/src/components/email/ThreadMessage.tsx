@@ -0,0 +1,219 @@
+import React from 'react';
+import { AnswerMode, EmailMetadata } from '../../types';
+import {
+  useEmailBody,
+  useMarkAsRead,
+  useMarkAsImportant,
+  useStarEmail,
+  useLabels,
+  useChangeEmailLabels,
+} from '../../hooks/useEmails';
+import { Button, Badge, Loader } from '../common/UI';
+import { EmailHtmlFrame } from './EmailHtmlFrame';
+import { ComposeModal } from './ComposeModal';
+
+interface ThreadMessageProps {
+  email: EmailMetadata;
+  expanded: boolean;
+  onToggle: () => void;
+}
+
+export function ThreadMessage({ email, expanded, onToggle }: ThreadMessageProps) {
+  const [showImages, setShowImages] = React.useState(false);
+  const [answerMode, setAnswerMode] = React.useState<AnswerMode | null>(null);
+  const id = email.id.toString();
+  // Bodies are only fetched for expanded messages
+  const { data: body, isLoading: isBodyLoading, error: bodyError } = useEmailBody(expanded ? id : '', showImages);
+  const { mutate: markAsRead } = useMarkAsRead();
+  const markAsImportantMutation = useMarkAsImportant();
+  const starEmailMutation = useStarEmail();
+  const changeLabelsMutation = useChangeEmailLabels();
+  const { data: labels } = useLabels();
+
+  // User labels can be put on and taken off here; system labels are shown only
+  const userLabels = (labels || []).filter(label => label.type === 'user');
+  const userLabelIds = new Set(userLabels.map(label => label.labelId));
+  const labelNames = new Map((labels || []).map(label => [label.labelId, label.name]));
+
+  React.useEffect(() => {
+    // Mark as read when opened
+    if (expanded && !email.isRead) {
+      markAsRead({ id, isRead: true });
+    }
+  }, [expanded, email.isRead, id, markAsRead]);
+
+  const handleStarClick = (e: React.MouseEvent) => {
+    e.stopPropagation();
+    starEmailMutation.mutate({ id, isStarred: !email.isStarred });
+  };
+
+  const handleImportantClick = (e: React.MouseEvent) => {
+    e.stopPropagation();
+    markAsImportantMutation.mutate({ id, isImportant: email.priority !== 'high' });
+  };
+
+  const handleAddLabel = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const labelId = e.target.value;
+    if (labelId) {
+      changeLabelsMutation.mutate({ id, addLabels: [labelId] });
+    }
+  };
+
+  const handleRemoveLabel = (labelId: string) => {
+    changeLabelsMutation.mutate({ id, removeLabels: [labelId] });
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const renderBody = () => {
+    if (isBodyLoading) {
+      return <Loader size="md" />;
+    }
+
+    if (body?.html) {
+      return (
+        <div>
+          {body.externalResources > 0 && !showImages && (
+            <div className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-md px-3 py-2 mb-4 text-sm text-gray-600">
+              <span>Remote images are hidden to protect your privacy.</span>
+              <Button variant="outline" size="sm" onClick={() => setShowImages(true)}>
+                Show images
+              </Button>
+            </div>
+          )}
+          <EmailHtmlFrame html={body.html} title={email.subject || 'Email body'} showImages={showImages} />
+        </div>
+      );
+    }
+
+    // Fall back to the snippet if the body couldn't be fetched or has no text part
+    return (
+      <div className="text-gray-800 whitespace-pre-wrap">
+        {bodyError && (
+          <p className="text-sm text-red-600 mb-2">Couldn't load the full message. Showing a preview.</p>
+        )}
+        {body?.text || email.snippet}
+      </div>
+    );
+  };
+
+  return (
+    <div className={`border border-gray-200 rounded-lg ${!email.isRead ? 'bg-blue-50 border-blue-200' : 'bg-white'}`}>
+      {/* Message header; click to expand or collapse */}
+      <div onClick={onToggle} className="cursor-pointer p-4 flex items-start justify-between">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center space-x-2">
+            <span className={`font-medium ${!email.isRead ? 'text-gray-900' : 'text-gray-700'}`}>
+              {email.senderName ? `${email.senderName} <${email.sender}>` : email.sender}
+            </span>
+            {!email.isRead && (
+              <Badge variant="info" size="sm">
+                New
+              </Badge>
+            )}
+            {email.priority === 'high' && (
+              <Badge variant="warning" size="sm">
+                Important
+              </Badge>
+            )}
+            {email.hasAttachments && (
+              <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+              </svg>
+            )}
+          </div>
+          {expanded ? (
+            email.recipient && <p className="text-sm text-gray-500 truncate">To: {email.recipient}</p>
+          ) : (
+            <p className="text-sm text-gray-600 truncate">{email.snippet}</p>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-2 ml-4">
+          <span className="text-sm text-gray-500 whitespace-nowrap">{formatDate(email.receivedDate)}</span>
+          <button
+            onClick={handleStarClick}
+            className={`p-1 rounded hover:bg-gray-200 ${email.isStarred ? 'text-yellow-500' : 'text-gray-400'}`}
+            title={email.isStarred ? 'Remove star' : 'Add star'}
+          >
+            <svg className="w-5 h-5" fill={email.isStarred ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+            </svg>
+          </button>
+          <button
+            onClick={handleImportantClick}
+            className={`p-1 rounded hover:bg-gray-200 ${email.priority === 'high' ? 'text-red-500' : 'text-gray-400'}`}
+            title={email.priority === 'high' ? 'Remove importance' : 'Mark as important'}
+          >
+            <svg className="w-5 h-5" fill={email.priority === 'high' ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-2.694-.833-3.464 0L3.34 16.5c-.77.833.192 2.5 1.732 2.5z" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Labels */}
+      {expanded && (
+        <div className="px-4 pb-3 flex flex-wrap items-center gap-1">
+          {(email.labels || []).map((labelId) => (
+            <Badge key={labelId} variant="default" size="sm">
+              {labelNames.get(labelId) || labelId}
+              {userLabelIds.has(labelId) && (
+                <button
+                  onClick={() => handleRemoveLabel(labelId)}
+                  className="ml-1 text-gray-500 hover:text-red-600"
+                  title="Remove label"
+                >
+                  ×
+                </button>
+              )}
+            </Badge>
+          ))}
+          {userLabels.some(label => !email.labels?.includes(label.labelId)) && (
+            <select
+              value=""
+              onChange={handleAddLabel}
+              disabled={changeLabelsMutation.isPending}
+              className="text-xs px-2 py-1 border border-gray-300 rounded-md text-gray-600"
+            >
+              <option value="">Add label…</option>
+              {userLabels
+                .filter(label => !email.labels?.includes(label.labelId))
+                .map(label => (
+                  <option key={label.labelId} value={label.labelId}>{label.name}</option>
+                ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {/* Message body */}
+      {expanded && (
+        <div className="px-4 pb-4 border-t border-gray-200 pt-4 prose max-w-none">
+          {renderBody()}
+        </div>
+      )}
+
+      {/* Reply and forward; imported messages are not in Gmail */}
+      {expanded && email.source !== 'import' && (
+        <div className="px-4 pb-4 flex space-x-2">
+          <Button variant="outline" size="sm" onClick={() => setAnswerMode('reply')}>
+            Reply
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setAnswerMode('reply-all')}>
+            Reply all
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setAnswerMode('forward')}>
+            Forward
+          </Button>
+        </div>
+      )}
+
+      {answerMode && (
+        <ComposeModal answer={{ email, mode: answerMode }} onClose={() => setAnswerMode(null)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useThread, useLabelNames } from '../../hooks/useEmails';
+import { Button, Card, Badge, Loader } from '../common/UI';
+import { ThreadMessage } from './ThreadMessage';
+
+export function ThreadView() {
+  const { threadId } = useParams<{ threadId: string }>();
+  const navigate = useNavigate();
+
+  const { data, isLoading, error } = useThread(threadId!);
+  const labelName = useLabelNames();
+  // Open messages; null until the thread has loaded
+  const [expandedIds, setExpandedIds] = React.useState<Set<number> | null>(null);
+
+  React.useEffect(() => {
+    setExpandedIds(null);
+  }, [threadId]);
+
+  React.useEffect(() => {
+    // The latest message starts open, as do messages that were unread when the thread loaded
+    if (data && expandedIds === null && data.thread.threadId === threadId) {
+      const latest = data.messages[data.messages.length - 1];
+      setExpandedIds(new Set(
+        data.messages
+          .filter(message => message === latest || !message.isRead)
+          .map(message => message.id)
+      ));
+    }
+  }, [data, expandedIds, threadId]);
+
+  if (isLoading) {
+    return (
+      <div className="p-6 max-w-4xl mx-auto">
+        <Loader size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="p-6 max-w-4xl mx-auto">
+        <Card className="text-center">
+          <p className="text-red-600">Failed to load conversation. Please try again.</p>
+          <Button onClick={() => navigate('/')} className="mt-4">
+            Back to Inbox
+          </Button>
+        </Card>
+      </div>
+    );
+  }
+
+  const { thread, messages } = data;
+
+  const toggle = (id: number) => {
+    setExpandedIds(current => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <Button
+          variant="outline"
+          onClick={() => navigate('/')}
+        >
+          ← Back to Inbox
+        </Button>
+      </div>
+
+      <Card>
+        {/* Thread Header */}
+        <div className="border-b border-gray-200 pb-6 mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            {thread.subject || '(No subject)'}
+          </h1>
+          <p className="text-sm text-gray-600">
+            {thread.participants.map(participant => participant.name || participant.email).join(', ')}
+          </p>
+
+          <div className="flex items-center space-x-2 mt-4">
+            <Badge variant="default" size="sm">
+              {thread.messageCount} {thread.messageCount === 1 ? 'message' : 'messages'}
+            </Badge>
+            {thread.unreadCount > 0 && (
+              <Badge variant="info" size="sm">
+                {thread.unreadCount} unread
+              </Badge>
+            )}
+            {thread.labels.map((label) => (
+              <Badge key={label} variant="default" size="sm">
+                {labelName(label)}
+              </Badge>
+            ))}
+          </div>
+        </div>
+
+        {/* Messages, oldest first */}
+        <div className="space-y-3">
+          {messages.map((message) => (
+            <ThreadMessage
+              key={message.id}
+              email={message}
+              expanded={!!expandedIds?.has(message.id)}
+              onToggle={() => toggle(message.id)}
+            />
+          ))}
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
+import { useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { emailService } from '../services/api';
-import { EmailSearchParams } from '../types';
+import { draftService, emailService, labelService, scheduledService, threadService } from '../services/api';
+import { AnswerMode, ComposeMessage, EmailSearchParams, MailboxAction } from '../types';
 
 export function useEmails(params: EmailSearchParams = {}) {
   return useQuery({
@@ -20,6 +21,50 @@ export function useEmail(id: string) {
   });
 }
 
+export function useEmailBody(id: string, showImages = false) {
+  return useQuery({
+    queryKey: ['email-body', id, showImages],
+    queryFn: () => emailService.getEmailBody(id, showImages),
+    enabled: !!id,
+    staleTime: 30 * 60 * 1000, // bodies don't change
+  });
+}
+
+export function useThreads(page = 1, limit = 20) {
+  return useQuery({
+    queryKey: ['threads', page, limit],
+    queryFn: () => threadService.getThreads(page, limit),
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+export function useThread(threadId: string) {
+  return useQuery({
+    queryKey: ['thread', threadId],
+    queryFn: () => threadService.getThread(threadId),
+    enabled: !!threadId,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+export function useLabels() {
+  return useQuery({
+    queryKey: ['labels'],
+    queryFn: () => labelService.getLabels(),
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+// Display names for Gmail label IDs; IDs of unknown labels are shown as is
+export function useLabelNames() {
+  const { data: labels } = useLabels();
+
+  return useMemo(() => {
+    const names = new Map((labels || []).map(label => [label.labelId, label.name]));
+    return (labelId: string) => names.get(labelId) || labelId;
+  }, [labels]);
+}
+
 export function useEmailStats() {
   return useQuery({
     queryKey: ['email-stats'],
@@ -36,7 +81,10 @@ export function useSyncEmails() {
     onSuccess: () => {
       // Invalidate email queries to refetch data
       queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
       queryClient.invalidateQueries({ queryKey: ['email-stats'] });
+      queryClient.invalidateQueries({ queryKey: ['labels'] });
     },
   });
 }
@@ -53,6 +101,8 @@ export function useMarkAsRead() {
       
       // Invalidate email list to refetch
       queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
       queryClient.invalidateQueries({ queryKey: ['email-stats'] });
     },
   });
@@ -67,6 +117,8 @@ export function useMarkAsImportant() {
     onSuccess: (updatedEmail) => {
       queryClient.setQueryData(['email', updatedEmail.id], updatedEmail);
       queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
       queryClient.invalidateQueries({ queryKey: ['email-stats'] });
     },
   });
@@ -81,7 +133,214 @@ export function useStarEmail() {
     onSuccess: (updatedEmail) => {
       queryClient.setQueryData(['email', updatedEmail.id], updatedEmail);
       queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
+      queryClient.invalidateQueries({ queryKey: ['email-stats'] });
+    },
+  });
+}
+
+export function useChangeEmailLabels() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, addLabels = [], removeLabels = [] }: { id: string; addLabels?: string[]; removeLabels?: string[] }) =>
+      emailService.updateLabels(id, addLabels, removeLabels),
+    onSuccess: (updatedEmail) => {
+      queryClient.setQueryData(['email', updatedEmail.id], updatedEmail);
+      queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
+    },
+  });
+}
+
+export function useMoveEmail() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, action }: { id: string; action: MailboxAction }) =>
+      emailService.moveEmail(id, action),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
+      queryClient.invalidateQueries({ queryKey: ['email-stats'] });
+      queryClient.invalidateQueries({ queryKey: ['labels'] });
+    },
+  });
+}
+
+export function useSnoozeEmail() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, until, removeFromInbox = false }: { id: string; until: Date; removeFromInbox?: boolean }) =>
+      emailService.snoozeEmail(id, until, removeFromInbox),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
+    },
+  });
+}
+
+export function useUnsnoozeEmail() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => emailService.unsnoozeEmail(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
+    },
+  });
+}
+
+export function useSendEmail() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ message, answer, draftId }: {
+      message: ComposeMessage;
+      answer?: { id: string; mode: AnswerMode };
+      draftId?: number;
+    }) => {
+      if (answer) return emailService.answerEmail(answer.id, answer.mode, message);
+      return draftId ? draftService.sendDraft(draftId, message) : emailService.sendEmail(message);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+      queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
       queryClient.invalidateQueries({ queryKey: ['email-stats'] });
     },
   });
 }
+
+export function useDrafts() {
+  return useQuery({
+    queryKey: ['drafts'],
+    queryFn: () => draftService.getDrafts(),
+  });
+}
+
+export function useDraft(id: number | undefined) {
+  return useQuery({
+    queryKey: ['draft', id],
+    queryFn: () => draftService.getDraft(id!),
+    enabled: id !== undefined,
+    // Opened drafts are edited locally; a refetch would overwrite the editor
+    staleTime: Infinity,
+    gcTime: 0,
+  });
+}
+
+export function useSaveDraft() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, message }: { id?: number; message: ComposeMessage }) =>
+      draftService.saveDraft(id, message),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+    },
+  });
+}
+
+export function useDeleteDraft() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: number) => draftService.deleteDraft(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+    },
+  });
+}
+
+export function useResolveDraft() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, keep }: { id: number; keep: 'local' | 'remote' }) =>
+      draftService.resolveDraft(id, keep),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+    },
+  });
+}
+
+export function useScheduledMessages() {
+  return useQuery({
+    queryKey: ['scheduled'],
+    queryFn: () => scheduledService.getScheduledMessages(),
+  });
+}
+
+export function useScheduledMessage(id: number | undefined) {
+  return useQuery({
+    queryKey: ['scheduled-message', id],
+    queryFn: () => scheduledService.getScheduledMessage(id!),
+    enabled: id !== undefined,
+    gcTime: 0,
+  });
+}
+
+export function useScheduleMessage() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, message, sendAt, draftId }: {
+      id?: number;
+      message: ComposeMessage;
+      sendAt: Date;
+      draftId?: number;
+    }) => scheduledService.scheduleMessage(id, message, sendAt, draftId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['scheduled'] });
+      queryClient.invalidateQueries({ queryKey: ['drafts'] });
+    },
+  });
+}
+
+export function useCancelScheduledMessage() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: number) => scheduledService.cancelScheduledMessage(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['scheduled'] });
+    },
+  });
+}
+
+// Label changes show up in label names and counts, and on every message
+function useLabelMutation<TVariables>(mutationFn: (variables: TVariables) => Promise<unknown>) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['labels'] });
+      queryClient.invalidateQueries({ queryKey: ['emails'] });
+      queryClient.invalidateQueries({ queryKey: ['threads'] });
+      queryClient.invalidateQueries({ queryKey: ['thread'] });
+    },
+  });
+}
+
+export function useCreateLabel() {
+  return useLabelMutation((name: string) => labelService.createLabel(name));
+}
+
+export function useRenameLabel() {
+  return useLabelMutation(({ labelId, name }: { labelId: string; name: string }) =>
+    labelService.renameLabel(labelId, name));
+}
+
+export function useDeleteLabel() {
+  return useLabelMutation((labelId: string) => labelService.deleteLabel(labelId));
+}
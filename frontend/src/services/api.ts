@@ -1,5 +1,20 @@
 import axios, { AxiosResponse } from 'axios';
-import { User, EmailMetadata, EmailSearchParams, EmailsResponse, ApiResponse } from '../types';
+import {
+  User,
+  EmailMetadata,
+  EmailBody,
+  ComposeMessage,
+  AnswerMode,
+  Draft,
+  ScheduledMessage,
+  EmailSearchParams,
+  EmailsResponse,
+  Label,
+  MailboxAction,
+  ThreadDetail,
+  ThreadsResponse,
+  ApiResponse,
+} from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -47,6 +62,12 @@ export const authService = {
     return { url: response.data.data!.authUrl };
   },
 
+  // Get a Google OAuth URL that adds full mailbox access (needed for permanent delete)
+  getFullAccessUrl: async (): Promise<{ url: string }> => {
+    const response: AxiosResponse<ApiResponse<{ authUrl: string }>> = await api.get('/auth/google/full-access');
+    return { url: response.data.data!.authUrl };
+  },
+
   // Handle OAuth callback
   handleCallback: async (code: string): Promise<{ token: string; user: User }> => {
     const response: AxiosResponse<ApiResponse<{ token: string; user: User }>> = await api.post('/auth/callback', { code });
@@ -67,9 +88,9 @@ export const authService = {
 };
 
 export const emailService = {
-  // Sync emails from Gmail
+  // Sync emails from Gmail (incremental, falls back to a full resync on the server)
   syncEmails: async (): Promise<{ synced: number; message: string }> => {
-    const response: AxiosResponse<ApiResponse<{ synced: number; message: string }>> = await api.post('/emails/sync');
+    const response: AxiosResponse<ApiResponse<{ synced: number; message: string }>> = await api.post('/emails/sync', { mode: 'incremental' });
     return response.data.data!;
   },
 
@@ -96,10 +117,18 @@ export const emailService = {
     return response.data.data!.email;
   },
 
+  // Get the full body of an email (fetched from Gmail on demand); remote images only when showImages
+  getEmailBody: async (id: string, showImages = false): Promise<EmailBody> => {
+    const response: AxiosResponse<ApiResponse<{ body: EmailBody }>> = await api.get(`/emails/${id}/body`, {
+      params: showImages ? { images: 'show' } : {},
+    });
+    return response.data.data!.body;
+  },
+
   // Mark email as read/unread
   markAsRead: async (id: string, isRead: boolean): Promise<EmailMetadata> => {
-    const response: AxiosResponse<ApiResponse<EmailMetadata>> = await api.patch(`/emails/${id}/read`, { isRead });
-    return response.data.data!;
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.put(`/emails/${id}`, { isRead });
+    return response.data.data!.email;
   },
 
   // Mark email as important
@@ -110,8 +139,53 @@ export const emailService = {
 
   // Star/unstar email
   starEmail: async (id: string, isStarred: boolean): Promise<EmailMetadata> => {
-    const response: AxiosResponse<ApiResponse<EmailMetadata>> = await api.patch(`/emails/${id}/star`, { isStarred });
-    return response.data.data!;
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.put(`/emails/${id}`, { isStarred });
+    return response.data.data!.email;
+  },
+
+  // Add and/or remove labels (IDs or names) on an email
+  updateLabels: async (id: string, addLabels: string[], removeLabels: string[]): Promise<EmailMetadata> => {
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.put(`/emails/${id}`, {
+      ...(addLabels.length > 0 && { addLabels }),
+      ...(removeLabels.length > 0 && { removeLabels }),
+    });
+    return response.data.data!.email;
+  },
+
+  // Reply to, reply to all on, or forward an email; threading headers and quoting are added by the server
+  answerEmail: async (id: string, mode: AnswerMode, message: Partial<ComposeMessage>): Promise<EmailMetadata> => {
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.post(`/emails/${id}/${mode}`, message);
+    return response.data.data!.email;
+  },
+
+  // Archive, unarchive, trash, untrash or permanently delete an email in Gmail
+  moveEmail: async (id: string, action: MailboxAction): Promise<void> => {
+    if (action === 'delete') {
+      await api.delete(`/emails/${id}`);
+    } else {
+      await api.post(`/emails/${id}/${action}`);
+    }
+  },
+
+  // Hide an email from the inbox until a given time, optionally taking it out of the Gmail inbox too
+  snoozeEmail: async (id: string, until: Date, removeFromInbox: boolean): Promise<EmailMetadata> => {
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.post(`/emails/${id}/snooze`, {
+      until: until.toISOString(),
+      removeFromInbox,
+    });
+    return response.data.data!.email;
+  },
+
+  // Bring a snoozed email back to the inbox now
+  unsnoozeEmail: async (id: string): Promise<EmailMetadata> => {
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.delete(`/emails/${id}/snooze`);
+    return response.data.data!.email;
+  },
+
+  // Send a new message through Gmail; returns the stored sent message
+  sendEmail: async (message: ComposeMessage): Promise<EmailMetadata> => {
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.post('/emails/send', message);
+    return response.data.data!.email;
   },
 
   // Search emails
@@ -136,4 +210,119 @@ export const emailService = {
   },
 };
 
+export const labelService = {
+  // Get Gmail labels with counts; refresh re-reads them from Gmail
+  getLabels: async (refresh = false): Promise<Label[]> => {
+    const response: AxiosResponse<ApiResponse<{ labels: Label[] }>> = await api.get('/labels', {
+      params: refresh ? { refresh: true } : {},
+    });
+    return response.data.data!.labels;
+  },
+
+  // Create a user label in Gmail
+  createLabel: async (name: string): Promise<Label> => {
+    const response: AxiosResponse<ApiResponse<{ label: Label }>> = await api.post('/labels', { name });
+    return response.data.data!.label;
+  },
+
+  // Rename a user label in Gmail
+  renameLabel: async (labelId: string, name: string): Promise<Label> => {
+    const response: AxiosResponse<ApiResponse<{ label: Label }>> = await api.patch(`/labels/${encodeURIComponent(labelId)}`, { name });
+    return response.data.data!.label;
+  },
+
+  // Delete a user label in Gmail (it is removed from every message)
+  deleteLabel: async (labelId: string): Promise<void> => {
+    await api.delete(`/labels/${encodeURIComponent(labelId)}`);
+  },
+};
+
+export const threadService = {
+  // Get conversations, most recent activity first
+  getThreads: async (page = 1, limit = 20): Promise<ThreadsResponse> => {
+    const response: AxiosResponse<ApiResponse<ThreadsResponse>> = await api.get('/threads', {
+      params: { page, limit },
+    });
+    return response.data.data!;
+  },
+
+  // Get a conversation with all of its messages
+  getThread: async (threadId: string): Promise<ThreadDetail> => {
+    const response: AxiosResponse<ApiResponse<ThreadDetail>> = await api.get(`/threads/${encodeURIComponent(threadId)}`);
+    return response.data.data!;
+  },
+};
+
+export const draftService = {
+  // Get drafts, latest first, including changes made in Gmail
+  getDrafts: async (): Promise<Draft[]> => {
+    const response: AxiosResponse<ApiResponse<{ drafts: Draft[] }>> = await api.get('/drafts');
+    return response.data.data!.drafts;
+  },
+
+  // Get a draft with its attachment content, for editing
+  getDraft: async (id: number): Promise<Draft> => {
+    const response: AxiosResponse<ApiResponse<{ draft: Draft }>> = await api.get(`/drafts/${id}`);
+    return response.data.data!.draft;
+  },
+
+  // Save a new draft, or replace the content of an existing one
+  saveDraft: async (id: number | undefined, message: ComposeMessage): Promise<Draft> => {
+    const response: AxiosResponse<ApiResponse<{ draft: Draft }>> = id
+      ? await api.put(`/drafts/${id}`, message)
+      : await api.post('/drafts', message);
+    return response.data.data!.draft;
+  },
+
+  // Delete a draft here and in Gmail
+  deleteDraft: async (id: number): Promise<void> => {
+    await api.delete(`/drafts/${id}`);
+  },
+
+  // Send a draft with its latest content; the draft is deleted
+  sendDraft: async (id: number, message: ComposeMessage): Promise<EmailMetadata> => {
+    const response: AxiosResponse<ApiResponse<{ email: EmailMetadata }>> = await api.post(`/drafts/${id}/send`, message);
+    return response.data.data!.email;
+  },
+
+  // Settle a conflict by keeping this app's copy or Gmail's
+  resolveDraft: async (id: number, keep: 'local' | 'remote'): Promise<Draft | null> => {
+    const response: AxiosResponse<ApiResponse<{ draft: Draft | null }>> = await api.post(`/drafts/${id}/resolve`, { keep });
+    return response.data.data!.draft;
+  },
+};
+
+export const scheduledService = {
+  // Get messages waiting to be sent, soonest first
+  getScheduledMessages: async (): Promise<ScheduledMessage[]> => {
+    const response: AxiosResponse<ApiResponse<{ messages: ScheduledMessage[] }>> = await api.get('/scheduled');
+    return response.data.data!.messages;
+  },
+
+  // Get a scheduled message with its attachment content, for editing
+  getScheduledMessage: async (id: number): Promise<ScheduledMessage> => {
+    const response: AxiosResponse<ApiResponse<{ message: ScheduledMessage }>> = await api.get(`/scheduled/${id}`);
+    return response.data.data!.message;
+  },
+
+  // Schedule a message, or change one that hasn't been sent; a draft it was written in is deleted
+  scheduleMessage: async (
+    id: number | undefined,
+    message: ComposeMessage,
+    sendAt: Date,
+    draftId?: number
+  ): Promise<ScheduledMessage> => {
+    const body = { ...message, sendAt: sendAt.toISOString(), ...(draftId && { draftId }) };
+    const response: AxiosResponse<ApiResponse<{ message: ScheduledMessage }>> = id
+      ? await api.put(`/scheduled/${id}`, body)
+      : await api.post('/scheduled', body);
+    return response.data.data!.message;
+  },
+
+  // Cancel a message that hasn't been sent
+  cancelScheduledMessage: async (id: number): Promise<void> => {
+    await api.delete(`/scheduled/${id}`);
+  },
+};
+
 export default api;
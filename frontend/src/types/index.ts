@@ -17,6 +17,7 @@ export interface EmailMetadata {
   subject: string;
   sender: string;
   senderName?: string;
+  recipient?: string;
   snippet: string;
   receivedDate: string;
   isRead: boolean;
@@ -25,9 +26,139 @@ export interface EmailMetadata {
   labels: string[];
   priority: 'low' | 'medium' | 'high';
   size: number;
+  source?: 'gmail' | 'import';
+  snoozedUntil?: string | null; // hidden from the inbox until then
   createdAt: string;
 }
 
+export interface EmailBody {
+  text: string | null;
+  html: string | null; // sanitized on the server; render only in a sandboxed frame
+  externalResources: number; // remote images blocked (or shown when requested)
+  fetchedAt: string;
+  cached: boolean;
+}
+
+export interface Label {
+  id: number;
+  labelId: string; // Gmail label ID, as stored in EmailMetadata.labels
+  name: string;
+  type: 'system' | 'user';
+  textColor: string | null;
+  backgroundColor: string | null;
+  labelListVisibility: 'labelShow' | 'labelShowIfUnread' | 'labelHide' | null;
+  messagesTotal: number;
+  messagesUnread: number;
+  threadsTotal: number;
+  threadsUnread: number;
+}
+
+export interface ThreadParticipant {
+  email: string;
+  name: string | null;
+}
+
+export interface Thread {
+  id: number;
+  threadId: string;
+  subject: string | null;
+  snippet: string | null;
+  participants: ThreadParticipant[]; // in order of first message
+  messageCount: number;
+  unreadCount: number;
+  isStarred: boolean;
+  hasAttachments: boolean;
+  labels: string[];
+  latestDate: string;
+}
+
+export interface ThreadDetail {
+  thread: Thread;
+  messages: EmailMetadata[]; // oldest first
+}
+
+export interface ThreadsResponse {
+  threads: Thread[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalCount: number;
+    limit: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
+}
+
+export interface OutgoingAttachment {
+  filename: string;
+  mimeType?: string;
+  content: string; // base64
+}
+
+// A message composed in the app; addresses are "Name <address>" or bare addresses
+export interface ComposeMessage {
+  to: string[];
+  cc?: string[];
+  bcc?: string[];
+  subject?: string;
+  text?: string;
+  html?: string;
+  attachments?: OutgoingAttachment[];
+}
+
+// An attachment of a saved draft or scheduled message; content is only sent
+// when the message is opened for editing
+export interface SavedAttachment {
+  filename: string;
+  mimeType?: string;
+  size: number;
+  content?: string; // base64
+}
+
+// A message being written, kept in sync with Gmail drafts. pending: saved
+// here but not yet in Gmail; conflict: also changed in Gmail, waiting for
+// the user to keep one copy
+export interface Draft {
+  id: number;
+  gmailDraftId?: string | null;
+  threadId?: string | null;
+  to: string[];
+  cc: string[];
+  bcc: string[];
+  subject?: string | null;
+  text?: string | null;
+  html?: string | null;
+  attachments: SavedAttachment[];
+  isReply: boolean;
+  syncStatus: 'pending' | 'synced' | 'conflict';
+  lastError?: string;
+  updatedAt: string;
+}
+
+// A message waiting to be sent by the server. failed: out of retries,
+// waiting to be edited or cancelled
+export interface ScheduledMessage {
+  id: number;
+  to: string[];
+  cc: string[];
+  bcc: string[];
+  subject?: string | null;
+  text?: string | null;
+  html?: string | null;
+  attachments: SavedAttachment[];
+  isReply: boolean;
+  sendAt: string;
+  status: 'scheduled' | 'sending' | 'failed';
+  attempts: number;
+  lastError?: string;
+}
+
+// How a composed message answers an existing one
+export type AnswerMode = 'reply' | 'reply-all' | 'forward';
+
+// Moves an email around the mailbox in Gmail; see emailService.moveEmail
+export type MailboxAction = 'archive' | 'unarchive' | 'trash' | 'untrash' | 'delete';
+
 export interface EmailSearchParams {
   query?: string;
   page?: number;
@@ -39,6 +170,8 @@ export interface EmailSearchParams {
   fromDate?: string;
   toDate?: string;
   labels?: string[];
+  label?: string; // Gmail label ID or name
+  snoozed?: boolean; // list only snoozed emails instead of leaving them out
   sortBy?: 'receivedAt' | 'subject' | 'fromEmail';
   sortOrder?: 'ASC' | 'DESC';
 }